@@ -59,10 +59,18 @@ const CheckoutButton = ({ cartItems, customer, cartEndpoint }) => {
                 }
             };
 
+            // Price the order first: checkout only charges a quoted total
+            const quoteResponse = await axios.post('/api/checkout/quote', {
+                cartItems: checkoutData.cartItems,
+                governorate: checkoutData.billingData.state,
+                email: effectiveCustomer.email
+            });
+            const { signature, expiresAt } = quoteResponse.data.quote;
+
             // Call backend using POST request to the current server
             const response = await axios.post(
                 '/api/checkout/egypt',
-                checkoutData
+                { ...checkoutData, quote: { signature, expiresAt } }
             );
 
             if (response.data.success) {
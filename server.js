@@ -3,17 +3,276 @@ const axios = require('axios');
 require('dotenv').config();
 
 const app = express();
-app.use(express.json());
+// Keep the raw body: Shopify webhooks are signed over the exact bytes sent
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Headers', 'Content-Type');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Idempotency-Key');
     next();
 });
 
-const checkoutSessions = new Map();
+// ==================== STORAGE ====================
+
+/**
+ * Key/value stores with TTL, shared by anything that must survive a restart
+ * or be visible to every instance behind the load balancer.
+ *
+ * Every driver implements the same async interface:
+ *   get(key)              → value or null (expired entries are never returned)
+ *   set(key, value, ttlMs) → stores JSON-serialisable value; ttlMs optional
+ *   setIfAbsent(key, value, ttlMs) → true if stored, false if key already live
+ *   take(key)             → get + delete in one step (one-time tokens)
+ *   delete(key)
+ *   keys()                → every stored key (get() still filters expired entries)
+ *   sweep()               → purges expired entries (and files a crashed write
+ *                           or take left behind), returns how many
+ *
+ * Select the driver with STORE_DRIVER=memory|file|redis (default memory).
+ *   file:  STORE_FILE_DIR (default ./.data) — one JSON file per key
+ *   redis: REDIS_URL — any Redis-compatible server; expiry is native
+ */
+const STORE_SWEEP_INTERVAL_MS = Number(process.env.STORE_SWEEP_INTERVAL_MS) || 60 * 1000;
+// .tmp and .taken files only live for one write or take; older ones were left by a crashed process
+const STORE_ORPHAN_FILE_MAX_AGE_MS = 10 * 60 * 1000;
+
+function expiresAtFor(ttlMs) {
+    return ttlMs ? Date.now() + ttlMs : null;
+}
+
+function isExpired(entry) {
+    return !!(entry && entry.expiresAt && entry.expiresAt <= Date.now());
+}
+
+function createMemoryStore() {
+    const entries = new Map();
+    return {
+        driver: 'memory',
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (isExpired(entry)) { entries.delete(key); return null; }
+            return entry.value;
+        },
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: expiresAtFor(ttlMs) });
+        },
+        async setIfAbsent(key, value, ttlMs) {
+            if (await this.get(key) !== null) return false;
+            entries.set(key, { value, expiresAt: expiresAtFor(ttlMs) });
+            return true;
+        },
+        async take(key) {
+            const value = await this.get(key);
+            entries.delete(key);
+            return value;
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async keys() {
+            return [...entries.keys()];
+        },
+        async sweep() {
+            let purged = 0;
+            for (const [key, entry] of entries) {
+                if (isExpired(entry)) { entries.delete(key); purged++; }
+            }
+            return purged;
+        }
+    };
+}
+
+function createFileStore(namespace) {
+    const fs = require('fs');
+    const path = require('path');
+    const dir = path.resolve(process.env.STORE_FILE_DIR || '.data', namespace);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fileFor = (key) => path.join(dir, encodeURIComponent(key) + '.json');
+
+    async function readEntry(file) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async function removeFile(file) {
+        await fs.promises.unlink(file).catch((err) => { if (err.code !== 'ENOENT') throw err; });
+    }
+
+    return {
+        driver: 'file',
+        async get(key) {
+            const file = fileFor(key);
+            const entry = await readEntry(file);
+            if (!entry) return null;
+            if (isExpired(entry)) { await removeFile(file); return null; }
+            return entry.value;
+        },
+        async set(key, value, ttlMs) {
+            // Write to a temp file then rename so readers never see a half-written entry
+            const file = fileFor(key);
+            const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify({ value, expiresAt: expiresAtFor(ttlMs) }));
+            await fs.promises.rename(tmp, file);
+        },
+        async setIfAbsent(key, value, ttlMs) {
+            // link() fails with EEXIST when the key is taken, which makes the claim atomic
+            const file = fileFor(key);
+            const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify({ value, expiresAt: expiresAtFor(ttlMs) }));
+            try {
+                for (let attempt = 0; attempt < 2; attempt++) {
+                    try {
+                        await fs.promises.link(tmp, file);
+                        return true;
+                    } catch (err) {
+                        if (err.code !== 'EEXIST') throw err;
+                        const existing = await readEntry(file);
+                        if (existing && !isExpired(existing)) return false;
+                        await removeFile(file);
+                    }
+                }
+                return false;
+            } finally {
+                await removeFile(tmp);
+            }
+        },
+        async take(key) {
+            // Renaming first makes the read exclusive across processes sharing the directory
+            const file = fileFor(key);
+            const claimed = `${file}.${process.pid}.${Date.now()}.taken`;
+            try {
+                await fs.promises.rename(file, claimed);
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+            const entry = await readEntry(claimed);
+            await removeFile(claimed);
+            return entry && !isExpired(entry) ? entry.value : null;
+        },
+        async delete(key) {
+            await removeFile(fileFor(key));
+        },
+        async keys() {
+            return (await fs.promises.readdir(dir))
+                .filter(name => name.endsWith('.json'))
+                .map(name => decodeURIComponent(name.slice(0, -'.json'.length)));
+        },
+        async sweep() {
+            let purged = 0;
+            for (const name of await fs.promises.readdir(dir)) {
+                const file = path.join(dir, name);
+                if (name.endsWith('.tmp') || name.endsWith('.taken')) {
+                    const stat = await fs.promises.stat(file).catch(() => null);
+                    if (stat && stat.mtimeMs <= Date.now() - STORE_ORPHAN_FILE_MAX_AGE_MS) { await removeFile(file); purged++; }
+                    continue;
+                }
+                if (!name.endsWith('.json')) continue;
+                const entry = await readEntry(file).catch(() => null);
+                if (entry && isExpired(entry)) { await removeFile(file); purged++; }
+            }
+            return purged;
+        }
+    };
+}
+
+let redisClientPromise = null;
+
+function getRedisClient() {
+    if (!redisClientPromise) {
+        const { createClient } = require('redis');
+        const client = createClient({ url: process.env.REDIS_URL });
+        client.on('error', (err) => console.error('Redis error:', err.message));
+        redisClientPromise = client.connect().then(() => client).catch((err) => {
+            redisClientPromise = null;
+            throw err;
+        });
+    }
+    return redisClientPromise;
+}
+
+function createRedisStore(namespace) {
+    const prefix = `${process.env.REDIS_KEY_PREFIX || 'paymob'}:${namespace}:`;
+    return {
+        driver: 'redis',
+        async get(key) {
+            const raw = await (await getRedisClient()).get(prefix + key);
+            return raw === null ? null : JSON.parse(raw);
+        },
+        async set(key, value, ttlMs) {
+            const client = await getRedisClient();
+            await client.set(prefix + key, JSON.stringify(value), ttlMs ? { PX: ttlMs } : undefined);
+        },
+        async setIfAbsent(key, value, ttlMs) {
+            const client = await getRedisClient();
+            const result = await client.set(prefix + key, JSON.stringify(value), ttlMs ? { PX: ttlMs, NX: true } : { NX: true });
+            return result === 'OK';
+        },
+        async take(key) {
+            const raw = await (await getRedisClient()).getDel(prefix + key);
+            return raw === null ? null : JSON.parse(raw);
+        },
+        async delete(key) {
+            await (await getRedisClient()).del(prefix + key);
+        },
+        async keys() {
+            const keys = [];
+            for await (const key of (await getRedisClient()).scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+                keys.push(key.slice(prefix.length));
+            }
+            return keys;
+        },
+        async sweep() {
+            return 0; // Redis expires keys itself
+        }
+    };
+}
+
+const stores = [];
+
+/**
+ * Create a namespaced store using the configured driver.
+ */
+function createStore(namespace) {
+    const driver = String(process.env.STORE_DRIVER || 'memory').toLowerCase();
+    let store;
+    if (driver === 'memory') store = createMemoryStore();
+    else if (driver === 'file') store = createFileStore(namespace);
+    else if (driver === 'redis') store = createRedisStore(namespace);
+    else throw new Error(`Unknown STORE_DRIVER "${driver}" (expected memory, file or redis)`);
+    store.namespace = namespace;
+    stores.push(store);
+    return store;
+}
+
+/**
+ * Background sweeper: purges expired entries from every store so abandoned
+ * tokens don't pile up. unref() keeps it from holding the process open.
+ */
+function startStoreSweeper() {
+    const timer = setInterval(async () => {
+        for (const store of stores) {
+            try {
+                const purged = await store.sweep();
+                if (purged) console.log(`🧹 Purged ${purged} expired ${store.namespace} entries`);
+            } catch (err) {
+                console.error(`Store sweep error (${store.namespace}):`, err.message);
+            }
+        }
+    }, STORE_SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
 const SESSION_TTL_MS = 15 * 60 * 1000;
+const checkoutSessions = createStore('checkout-sessions');
 
 function createCheckoutToken() {
     return require('crypto').randomBytes(24).toString('hex');
@@ -27,8 +286,223 @@ function getMissingEnv(keys) {
     return keys.filter((k) => !process.env[k] || String(process.env[k]).trim() === '');
 }
 
+// ==================== MARKETS ====================
+
+/**
+ * Each market sells in its own currency through its own Paymob account.
+ * Override the defaults with MARKETS_FILE (path to a JSON file) or
+ * MARKETS_JSON (inline JSON) using the same shape; DEFAULT_MARKET names the
+ * market used when a cart or request doesn't say (default eg).
+ *
+ * `paymobBaseUrl` is the Paymob region the account lives in and `envSuffix`
+ * namespaces its credentials: the KSA market reads PAYMOB_API_KEY_SA,
+ * PAYMOB_HMAC_SA, PAYMOB_INTEGRATION_ID_CARD_SA and so on, while a market
+ * without a suffix (Egypt) keeps the plain names. `shipping` has the shape of
+ * SHIPPING_RATES_JSON, in the market's currency; without it the market uses
+ * the shipping config below. `taxRate` (e.g. 0.14) and `taxesIncluded`
+ * (default true) let checkout quotes show or add tax. `phoneCode` is the
+ * country calling code local phone numbers are completed with. `minorUnits`
+ * is how many decimals the currency has (2 when absent, 3 for OMR's baisa):
+ * Paymob amounts and checkout quotes are in that minor unit.
+ * `shopCurrencyRate` is what one unit of the shop currency is worth in the
+ * market's currency, used for amounts set up in Shopify (see convertShopAmount).
+ */
+const DEFAULT_MARKETS = {
+    eg: {
+        id: 'eg', name: 'Egypt', country: process.env.SHOPIFY_MARKET_COUNTRY || 'EG', currency: 'EGP', locale: 'en-EG',
+        paymobBaseUrl: 'https://accept.paymob.com', envSuffix: '', regionLabel: 'Governorate', phoneCode: '20', minorUnits: 2
+    },
+    ae: {
+        id: 'ae', name: 'United Arab Emirates', country: 'AE', currency: 'AED', locale: 'en-AE',
+        paymobBaseUrl: 'https://uae.paymob.com', envSuffix: 'AE', regionLabel: 'Emirate', phoneCode: '971', minorUnits: 2,
+        shipping: {
+            defaultZone: 'uae',
+            zones: [{ id: 'uae', name: 'United Arab Emirates', governorates: ['Abu Dhabi', 'Dubai', 'Sharjah', 'Ajman', 'Umm Al Quwain', 'Ras Al Khaimah', 'Fujairah'] }],
+            methods: [{ id: 'standard', title: 'Standard Shipping', description: '3 to 6 business days', rates: { uae: { base: 35, includedKg: 2, perExtraKg: 10 } } }]
+        }
+    },
+    sa: {
+        id: 'sa', name: 'Saudi Arabia', country: 'SA', currency: 'SAR', locale: 'en-SA',
+        paymobBaseUrl: 'https://ksa.paymob.com', envSuffix: 'SA', regionLabel: 'Region', phoneCode: '966', minorUnits: 2,
+        shipping: {
+            defaultZone: 'ksa',
+            zones: [{ id: 'ksa', name: 'Saudi Arabia', governorates: ['Riyadh', 'Makkah', 'Madinah', 'Eastern Province', 'Qassim', 'Asir', 'Tabuk', 'Hail', 'Northern Borders', 'Jazan', 'Najran', 'Al Bahah', 'Al Jawf'] }],
+            methods: [{ id: 'standard', title: 'Standard Shipping', description: '4 to 8 business days', rates: { ksa: { base: 40, includedKg: 2, perExtraKg: 10 } } }]
+        }
+    },
+    om: {
+        id: 'om', name: 'Oman', country: 'OM', currency: 'OMR', locale: 'en-OM',
+        paymobBaseUrl: 'https://oman.paymob.com', envSuffix: 'OM', regionLabel: 'Governorate', phoneCode: '968', minorUnits: 3,
+        shipping: {
+            defaultZone: 'oman',
+            zones: [{ id: 'oman', name: 'Oman', governorates: ['Muscat', 'Dhofar', 'Musandam', 'Al Buraimi', 'Ad Dakhiliyah', 'North Al Batinah', 'South Al Batinah', 'North Ash Sharqiyah', 'South Ash Sharqiyah', 'Ad Dhahirah', 'Al Wusta'] }],
+            methods: [{ id: 'standard', title: 'Standard Shipping', description: '4 to 8 business days', rates: { oman: { base: 4, includedKg: 2, perExtraKg: 1 } } }]
+        }
+    }
+};
+
+let marketsCache = null;
+
+function getMarkets() {
+    if (marketsCache) return marketsCache;
+    if (process.env.MARKETS_FILE) {
+        marketsCache = JSON.parse(require('fs').readFileSync(process.env.MARKETS_FILE, 'utf8'));
+    } else if (process.env.MARKETS_JSON) {
+        marketsCache = JSON.parse(process.env.MARKETS_JSON);
+    } else {
+        marketsCache = DEFAULT_MARKETS;
+    }
+    return marketsCache;
+}
+
+function getDefaultMarket() {
+    const markets = getMarkets();
+    return markets[String(process.env.DEFAULT_MARKET || 'eg').toLowerCase()] || Object.values(markets)[0];
+}
+
+/**
+ * The market a request asks for, by id. An absent id means the default
+ * market; an unknown one returns null so callers can reject it.
+ */
+function resolveMarket(marketId) {
+    if (marketId === undefined || marketId === null || marketId === '') return getDefaultMarket();
+    return getMarkets()[String(marketId).toLowerCase()] || null;
+}
+
+/**
+ * Paymob callbacks and redirects don't say which account they came from, but
+ * every market charges in its own currency.
+ */
+function findMarketByCurrency(currency) {
+    const wanted = String(currency || '').toUpperCase();
+    return Object.values(getMarkets()).find(m => m.currency === wanted) || null;
+}
+
+/**
+ * A cart posted by the storefront names its market, or at least its currency
+ * (Shopify's cart.js does) or country.
+ */
+function findMarketForCart(cart) {
+    if (cart?.market) return resolveMarket(cart.market);
+    const country = String(cart?.country || cart?.country_code || '').toUpperCase();
+    return findMarketByCurrency(cart?.currency)
+        || (country && Object.values(getMarkets()).find(m => m.country === country))
+        || getDefaultMarket();
+}
+
+function getMarketEnvName(market, name) {
+    return market.envSuffix ? `${name}_${market.envSuffix}` : name;
+}
+
+function getMarketEnv(market, name) {
+    return process.env[getMarketEnvName(market, name)];
+}
+
+function getMissingMarketEnv(market, keys) {
+    return getMissingEnv(keys.map(key => getMarketEnvName(market, key)));
+}
+
+function getMinorUnits(market) {
+    return Number.isInteger(market?.minorUnits) ? market.minorUnits : 2;
+}
+
+/** An amount in the market's currency as a whole number of its minor unit (piastres, fils, baisa). */
+function toMinorUnits(amount, market) {
+    return Math.round(Number(amount || 0) * 10 ** getMinorUnits(market));
+}
+
+function fromMinorUnits(minor, market) {
+    return (Number(minor) || 0) / 10 ** getMinorUnits(market);
+}
+
+/** An amount rounded to the market's minor unit (12.3456 → 12.35 EGP, 12.346 OMR). */
+function roundMarketAmount(amount, market) {
+    return fromMinorUnits(toMinorUnits(amount, market), market);
+}
+
+/** An amount as the decimal string Shopify and Paymob expect ("12.50", "4.125"). */
+function formatMarketAmount(amount, market) {
+    return (Number(amount) || 0).toFixed(getMinorUnits(market));
+}
+
+const SHOP_CURRENCY = String(process.env.SHOPIFY_SHOP_CURRENCY || 'EGP').toUpperCase();
+
+/**
+ * Amounts set up in Shopify (price rule values and minimums, automatic
+ * discount amounts) and in the shared shipping config are in the shop
+ * currency. Returns `amount` in `currency` using that market's
+ * `shopCurrencyRate`, or null when the market has no rate and the amount
+ * can't be used there.
+ */
+function convertShopAmount(amount, currency) {
+    if (!currency || String(currency).toUpperCase() === SHOP_CURRENCY) return amount;
+    const market = findMarketByCurrency(currency);
+    const rate = Number(market?.shopCurrencyRate);
+    return rate > 0 ? roundMarketAmount(amount * rate, market) : null;
+}
+
+/**
+ * A shopper's phone number in E.164 (+201001234567), or null if it can't be
+ * one. Local numbers (01001234567) get the market's calling code.
+ */
+function toE164Phone(phone, market) {
+    let digits = String(phone || '').replace(/[\s().-]/g, '');
+    if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+    if (!digits.startsWith('+')) {
+        const code = market?.phoneCode;
+        if (!code || !/^\d+$/.test(digits)) return null;
+        digits = digits.startsWith(code) && digits.length > code.length + 8
+            ? `+${digits}`
+            : `+${code}${digits.replace(/^0/, '')}`;
+    }
+    return /^\+[1-9]\d{7,14}$/.test(digits) ? digits : null;
+}
+
 // ==================== KLAVIYO FUNCTIONS ====================
 
+const KLAVIYO_API_URL = 'https://a.klaviyo.com/api';
+const KLAVIYO_REVISION = process.env.KLAVIYO_REVISION || '2024-02-15';
+
+function getKlaviyoHeaders() {
+  return {
+      'Authorization': `Klaviyo-API-Key ${process.env.KLAVIYO_API_KEY}`,
+      'revision': KLAVIYO_REVISION,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+  };
+}
+
+function klaviyoPost(path, data) {
+  return axios.post(`${KLAVIYO_API_URL}${path}`, data, { headers: getKlaviyoHeaders() });
+}
+
+/**
+ * Record a Klaviyo event against the shopper's profile (created if new).
+ * Klaviyo drops a second event with the same `uniqueId`, so retries are safe.
+ */
+async function sendKlaviyoEvent({ metric, email, firstName, lastName, phone, properties, value, uniqueId, time }) {
+  if (!process.env.KLAVIYO_API_KEY || !email) return { skipped: true, reason: 'Missing KLAVIYO_API_KEY or customer email' };
+
+  const profile = { email, first_name: firstName || '', last_name: lastName || '' };
+  // Klaviyo rejects the whole event over a phone number that isn't E.164
+  if (/^\+[1-9]\d{7,14}$/.test(String(phone || ''))) profile.phone_number = phone;
+
+  await klaviyoPost('/events/', {
+      data: {
+          type: 'event',
+          attributes: {
+              profile: { data: { type: 'profile', attributes: profile } },
+              metric: { data: { type: 'metric', attributes: { name: metric } } },
+              properties: properties || {},
+              ...(value !== undefined ? { value } : {}),
+              ...(uniqueId ? { unique_id: String(uniqueId) } : {}),
+              ...(time ? { time: new Date(time).toISOString() } : {})
+          }
+      }
+  });
+  return { sent: true };
+}
+
 /**
  * Subscribe a profile to a Klaviyo list.
  * Two-step process required by the Klaviyo v3 API:
@@ -45,19 +519,12 @@ async function klaviyoSubscribe({ email, firstName, lastName, newsletter }) {
       return { skipped: true, reason: 'Missing KLAVIYO_API_KEY or KLAVIYO_LIST_ID' };
   }
 
-  const headers = {
-      'Authorization': `Klaviyo-API-Key ${apiKey}`,
-      'revision': '2024-02-15',
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-  };
-
   let profileResult = null;
 
   // Step 1: Upsert profile
   try {
-      const r = await axios.post(
-          'https://a.klaviyo.com/api/profiles/',
+      const r = await klaviyoPost(
+          '/profiles/',
           {
               data: {
                   type: 'profile',
@@ -68,8 +535,7 @@ async function klaviyoSubscribe({ email, firstName, lastName, newsletter }) {
                       properties: { newsletter_optin: !!newsletter }
                   }
               }
-          },
-          { headers }
+          }
       );
       profileResult = { status: r.status, data: r.data };
   } catch (err) {
@@ -87,8 +553,8 @@ async function klaviyoSubscribe({ email, firstName, lastName, newsletter }) {
 
   // Step 2: Subscribe to list
   try {
-      const r = await axios.post(
-          'https://a.klaviyo.com/api/profile-subscription-bulk-create-jobs/',
+      const r = await klaviyoPost(
+          '/profile-subscription-bulk-create-jobs/',
           {
               data: {
                   type: 'profile-subscription-bulk-create-job',
@@ -116,8 +582,7 @@ async function klaviyoSubscribe({ email, firstName, lastName, newsletter }) {
                       }
                   }
               }
-          },
-          { headers }
+          }
       );
       return {
           profileResult,
@@ -134,596 +599,4408 @@ async function klaviyoSubscribe({ email, firstName, lastName, newsletter }) {
 }
 // ==================== SHOPIFY FUNCTIONS ====================
 
-
-// ==================== EMAIL FUNCTIONS ====================
-
-// ==================== EMAIL FUNCTIONS ====================
-
-async function sendOrderConfirmationEmail({ email, firstName, lastName, orderNumber, totalAmount, items }) {
-  const apiKey = process.env.KLAVIYO_API_KEY;
-  if (!apiKey) { console.error('❌ Missing KLAVIYO_API_KEY'); return; }
-
-  const headers = {
-      'Authorization': `Klaviyo-API-Key ${apiKey}`,
-      'revision': '2024-02-15',
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-  };
-
-  // Step 1: Upsert profile with transactional consent
-  try {
-      await axios.post(
-          'https://a.klaviyo.com/api/profiles/',
-          {
-              data: {
-                  type: 'profile',
-                  attributes: {
-                      email,
-                      first_name: firstName || '',
-                      last_name: lastName || ''
-                  }
-              }
-          },
-          { headers }
-      );
-  } catch (err) {
-      // 409 = profile already exists, that's fine
-      if (err?.response?.status !== 409) {
-          console.error('Profile upsert error:', err?.response?.data || err.message);
-      }
-  }
-
-  // Step 2: Fire the Order Confirmation event
-  try {
-      await axios.post(
-          'https://a.klaviyo.com/api/events/',
-          {
-              data: {
-                  type: 'event',
-                  attributes: {
-                      profile: {
-                          data: {
-                              type: 'profile',
-                              attributes: {
-                                  email,
-                                  first_name: firstName || '',
-                                  last_name: lastName || ''
-                              }
-                          }
-                      },
-                      metric: {
-                          data: {
-                              type: 'metric',
-                              attributes: { name: 'Order Confirmation' }
-                          }
-                      },
-                      properties: {
-                          order_number: orderNumber,
-                          total_amount: totalAmount,
-                          items: items || [],
-                          currency: 'EGP'
-                      },
-                      value: totalAmount
-                  }
-              }
-          },
-          { headers }
-      );
-      console.log(`📧 Order confirmation event sent for order #${orderNumber} to ${email}`);
-  } catch (err) {
-      console.error('❌ Klaviyo event failed:', err?.response?.data || err.message);
-      throw err;
-  }
-}
 /**
- * Validate a Shopify discount code against the Price Rules API.
- * Returns discount metadata + calculated discountAmount in EGP.
+ * Run a query against the Shopify Admin GraphQL API.
+ * Throws when Shopify reports top-level GraphQL errors.
  */
-async function validateShopifyDiscountCode(code, cartTotal) {
-    // 1. Look up the discount code to get its price_rule_id
-    const codeRes = await axios.get(
-        `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/discount_codes/lookup.json?code=${encodeURIComponent(code)}`,
-        { headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
+async function shopifyGraphql(query, variables) {
+    const response = await axios.post(
+        `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/graphql.json`,
+        { query, variables },
+        { headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
     );
+    if (response.data?.errors?.length) {
+        const err = new Error(response.data.errors.map(e => e.message).join('; '));
+        err.details = response.data.errors;
+        throw err;
+    }
+    return response.data.data;
+}
 
-    const discountCode = codeRes.data.discount_code;
-    if (!discountCode) throw new Error('Invalid discount code');
+/**
+ * Storefront API call (SHOPIFY_STOREFRONT_ACCESS_TOKEN), for the few checks
+ * only the storefront can make — e.g. whether a full gift card code is valid.
+ */
+async function shopifyStorefrontGraphql(query, variables) {
+    const response = await axios.post(
+        `https://${process.env.SHOPIFY_STORE_DOMAIN}/api/2025-01/graphql.json`,
+        { query, variables },
+        { headers: { 'Content-Type': 'application/json', 'X-Shopify-Storefront-Access-Token': process.env.SHOPIFY_STOREFRONT_ACCESS_TOKEN } }
+    );
+    if (response.data?.errors?.length) {
+        const err = new Error(response.data.errors.map(e => e.message).join('; '));
+        err.details = response.data.errors;
+        throw err;
+    }
+    return response.data.data;
+}
 
-    // 2. Fetch the associated price rule
-    const ruleRes = await axios.get(
-        `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/price_rules/${discountCode.price_rule_id}.json`,
+async function fetchShopifyOrder(shopifyOrderId) {
+    const response = await axios.get(
+        `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/orders/${shopifyOrderId}.json`,
         { headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
     );
+    return response.data?.order || null;
+}
 
-    const rule = ruleRes.data.price_rule;
-    if (!rule) throw new Error('Price rule not found');
-
-    // 3. Validate active window
-    const now = new Date();
-    if (rule.starts_at && new Date(rule.starts_at) > now)
-        throw new Error('Discount code is not yet active');
-    if (rule.ends_at && new Date(rule.ends_at) < now)
-        throw new Error('Discount code has expired');
-
-    // 4. Check usage limit
-    if (rule.usage_limit !== null && discountCode.usage_count >= rule.usage_limit)
-        throw new Error('Discount code has reached its usage limit');
-
-    // 5. Check minimum order requirement
-    if (rule.prerequisite_subtotal_range?.greater_than_or_equal_to) {
-        const min = parseFloat(rule.prerequisite_subtotal_range.greater_than_or_equal_to);
-        if (cartTotal < min)
-            throw new Error(`Minimum order of EGP ${min} required for this discount`);
-    }
-
-    // 6. Calculate discount amount
-    const discountType = rule.value_type; // 'percentage' | 'fixed_amount'
-    let discountAmount = discountType === 'percentage'
-        ? (Math.abs(parseFloat(rule.value)) / 100) * cartTotal
-        : Math.min(Math.abs(parseFloat(rule.value)), cartTotal);
-    discountAmount = Math.round(discountAmount * 100) / 100;
+function toNumericShopifyId(id) {
+    return id === null || id === undefined ? '' : String(id).split('/').pop();
+}
 
-    return {
-        code: discountCode.code,
-        priceRuleId: discountCode.price_rule_id,
-        discountAmount,
-        discountType,
-        value: rule.value,
-        title: rule.title || code,
-        usageCount: discountCode.usage_count
-    };
+function toVariantGid(variantId) {
+    const numericId = variantId ? String(variantId).split('/').pop() : '';
+    return /^\d+$/.test(numericId) ? `gid://shopify/ProductVariant/${numericId}` : null;
 }
 
 /**
- * Create a Draft Order
+ * Fetch each variant's selling price in the market's currency.
+ * Uses the market's price list (contextual pricing) and falls back to the
+ * base variant price when the shop itself trades in that currency.
+ * Returns a Map keyed by variant GID; unknown variants are simply absent.
  */
-async function createDraftOrder(cartItems, customer, egpTotal, appliedDiscount) {
-    function buildEgpLineItems() {
-        return cartItems.map((item) => {
-            const raw = item?.variantId;
-            const numericVariantId = raw ? String(raw).split('/').pop() : null;
-            const unitPrice = Number(item?.price || 0);
-            const qty = item?.quantity || 1;
-            const lineItem = {
-                title: item?.name || 'Item',
-                quantity: qty,
-                price: '0.00',
-                properties: [
-                    { name: 'EGP Unit Price', value: String(unitPrice) },
-                    { name: 'EGP Line Total', value: String(Math.round(unitPrice * qty * 100) / 100) },
-                ],
-            };
-            if (numericVariantId && numericVariantId !== 'undefined' && numericVariantId !== 'null') {
-                lineItem.properties.push({ name: 'variant_id', value: numericVariantId });
+async function fetchVariantPrices(variantGids, market) {
+    const data = await shopifyGraphql(
+        `query CheckoutVariants($ids: [ID!]!, $country: CountryCode!) {
+            shop { currencyCode }
+            nodes(ids: $ids) {
+                ... on ProductVariant {
+                    id
+                    title
+                    price
+                    product { id title collections(first: 50) { nodes { id } } }
+                    inventoryItem { measurement { weight { unit value } } }
+                    contextualPricing(context: { country: $country }) { price { amount currencyCode } }
+                }
             }
-            return lineItem;
+        }`,
+        { ids: variantGids, country: market.country }
+    );
+
+    const variants = new Map();
+    for (const node of data?.nodes || []) {
+        if (!node?.id) continue;
+        const marketPrice = node.contextualPricing?.price;
+        let price = null;
+        if (marketPrice?.currencyCode === market.currency) price = Number(marketPrice.amount);
+        else if (data.shop?.currencyCode === market.currency) price = Number(node.price);
+        if (price === null || !Number.isFinite(price)) continue;
+
+        const weight = node.inventoryItem?.measurement?.weight;
+        const gramsPerUnit = { GRAMS: 1, KILOGRAMS: 1000, OUNCES: 28.3495, POUNDS: 453.592 }[weight?.unit] || 0;
+
+        variants.set(node.id, {
+            id: node.id,
+            weightGrams: Math.round(Number(weight?.value || 0) * gramsPerUnit),
+            productId: node.product?.id || null,
+            collectionIds: (node.product?.collections?.nodes || []).map(c => c.id),
+            name: node.title && node.title !== 'Default Title'
+                ? `${node.product?.title || ''} - ${node.title}`.replace(/^ - /, '')
+                : (node.product?.title || 'Item'),
+            price: fromMinorUnits(toMinorUnits(price, market), market)
         });
     }
+    return variants;
+}
 
-    const shippingAddress = customer ? {
-        first_name: customer.firstName || customer.first_name || '',
-        last_name: customer.lastName || customer.last_name || '',
-        address1: customer.address1 || '',
-        address2: customer.address2 || '',
-        city: customer.city || '',
-        province: customer.province || customer.state || '',
-        zip: customer.zip || '',
-        country: customer.country || 'EG',
-        country_code: customer.country_code || 'EG',
-        phone: customer.phone || ''
-    } : undefined;
-
-    const shippingLine = { title: 'Flat Rate Shipping', price: '100.00', custom: true };
+/**
+ * Re-price posted cart lines from Shopify.
+ * Never trusts the browser's price: every returned line carries the store's
+ * price in the market's currency. Lines whose posted price disagrees are listed
+ * in `mismatches`, lines that cannot be priced (bad variant / quantity) in `invalid`.
+ */
+async function verifyCartItems(cartItems, market = getDefaultMarket()) {
+    const invalid = [];
+    const requested = [];
+
+    (Array.isArray(cartItems) ? cartItems : []).forEach((item, index) => {
+        const variantGid = toVariantGid(item?.variantId);
+        const quantity = Number(item?.quantity || 1);
+        if (!variantGid) { invalid.push({ index, reason: 'Missing or malformed variantId' }); return; }
+        if (!Number.isInteger(quantity) || quantity < 1) { invalid.push({ index, variantId: variantGid, reason: 'Invalid quantity' }); return; }
+        requested.push({ index, variantGid, quantity, item });
+    });
 
-    async function postDraftOrder(lineItems, extra = {}) {
-        const noteAttributes = [
-            { name: 'egp_total', value: String(egpTotal || 0) },
-            { name: 'currency', value: 'EGP' }
-        ];
+    if (!requested.length) return { items: [], mismatches: [], invalid };
 
-        if (appliedDiscount?.code) {
-            noteAttributes.push(
-                { name: 'discount_code', value: appliedDiscount.code },
-                { name: 'discount_amount_egp', value: String(appliedDiscount.discountAmount) }
-            );
-        }
+    const variants = await fetchVariantPrices([...new Set(requested.map(r => r.variantGid))], market);
 
-        const draftOrderPayload = {
-            line_items: lineItems,
-            customer: customer ? {
-                first_name: customer.firstName || customer.first_name || '',
-                last_name: customer.lastName || customer.last_name || '',
-                email: customer.email || '',
-                phone: customer.phone || ''
-            } : {},
-            shipping_address: shippingAddress,
-            shipping_line: shippingLine,
-            currency: 'EGP',
-            presentment_currency: 'EGP',
-            note: 'Paymob checkout pending',
-            tags: 'paymob-pending',
-            note_attributes: noteAttributes,
-            use_customer_default_address: false,
-            ...extra
-        };
+    const items = [];
+    const mismatches = [];
+    for (const { index, variantGid, quantity, item } of requested) {
+        const variant = variants.get(variantGid);
+        if (!variant) { invalid.push({ index, variantId: variantGid, reason: `Variant not found or not priced in ${market.currency}` }); continue; }
 
-        // Apply discount to draft order via Shopify's applied_discount field
-        if (appliedDiscount?.code) {
-            draftOrderPayload.applied_discount = {
-                description: appliedDiscount.title || appliedDiscount.code,
-                value_type: appliedDiscount.discountType === 'percentage' ? 'percentage' : 'fixed_amount',
-                value: String(
-                    appliedDiscount.discountType === 'percentage'
-                        ? Math.abs(parseFloat(appliedDiscount.value))
-                        : appliedDiscount.discountAmount
-                ),
-                amount: String(appliedDiscount.discountAmount),
-                title: appliedDiscount.code.toUpperCase()
-            };
+        const postedPrice = item.price === undefined || item.price === null ? null : Number(item.price);
+        if (postedPrice !== null && toMinorUnits(postedPrice, market) !== toMinorUnits(variant.price, market)) {
+            mismatches.push({ index, variantId: variantGid, name: item.name || variant.name, postedPrice, price: variant.price });
         }
 
-        const response = await axios.post(
-            `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/draft_orders.json`,
-            { draft_order: draftOrderPayload },
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN
-                }
-            }
-        );
-        return response.data.draft_order;
+        items.push({
+            variantId: variantGid,
+            productId: variant.productId,
+            collectionIds: variant.collectionIds,
+            quantity,
+            name: item.name || variant.name,
+            price: variant.price,
+            weightGrams: variant.weightGrams,
+            description: item.description || item.name || variant.name
+        });
     }
 
-    try {
-        return await postDraftOrder(buildEgpLineItems(), { tags: 'paymob-pending,egp-prices' });
-    } catch (error) {
-        console.error('Error creating draft order:', error?.response?.data || error.message);
-        throw error;
-    }
+    return { items, mismatches, invalid };
 }
 
-// ==================== PAYMOB FUNCTIONS ====================
+/**
+ * Add tags, note attributes and a note line to a draft order or order.
+ * Shopify replaces these fields wholesale on update, so the current values
+ * are fetched and merged first. `resource` is 'draft_orders' or 'orders'.
+ */
+async function annotateShopifyRecord(resource, id, { addTags = [], removeTags = [], noteAttributes = [], appendNote } = {}) {
+    const key = resource === 'draft_orders' ? 'draft_order' : 'order';
+    const url = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/${resource}/${id}.json`;
 
-async function paymobAuthenticate() {
+    const current = (await axios.get(url, { headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } })).data?.[key] || {};
+
+    const tags = new Set(String(current.tags || '').split(',').map(t => t.trim()).filter(Boolean));
+    addTags.forEach(t => tags.add(t));
+    removeTags.forEach(t => tags.delete(t));
+
+    const attributes = new Map((current.note_attributes || []).map(a => [a.name, a.value]));
+    noteAttributes.forEach(a => attributes.set(a.name, String(a.value)));
+
+    const update = {
+        id,
+        tags: [...tags].join(','),
+        note_attributes: [...attributes].map(([name, value]) => ({ name, value }))
+    };
+    if (appendNote) update.note = current.note ? `${current.note}\n${appendNote}` : appendNote;
+
+    const response = await axios.put(
+        url,
+        { [key]: update },
+        { headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
+    );
+    return response.data?.[key];
+}
+
+/**
+ * Look up a gift card by its full code.
+ * The Admin API never returns full codes and its search is fuzzy, so the code
+ * is first confirmed by applying it to a throwaway Storefront cart — Shopify
+ * only accepts an exact match there. The Admin card is then the one with the
+ * confirmed last characters, currency and balance; anything ambiguous is
+ * rejected. Without SHOPIFY_STOREFRONT_ACCESS_TOKEN codes can't be confirmed,
+ * so the lookup throws rather than report every card as not found.
+ * Returns { id, lastCharacters, balance, currency }, or null when no enabled,
+ * unexpired card in the market's currency matches.
+ */
+async function findGiftCard(code, market, items = []) {
+    const normalized = String(code || '').replace(/[\s-]/g, '').toLowerCase();
+    if (!/^[a-z0-9]{8,20}$/.test(normalized)) return null;
+    const missing = getMissingEnv(['SHOPIFY_STOREFRONT_ACCESS_TOKEN']);
+    if (missing.length) throw new Error(`Missing env vars: ${missing.join(', ')}`);
+
+    const confirmed = await shopifyStorefrontGraphql(
+        `mutation ConfirmGiftCardCode($input: CartInput!, $country: CountryCode) @inContext(country: $country) {
+            cartCreate(input: $input) {
+                cart { appliedGiftCards { lastCharacters balance { amount currencyCode } } }
+            }
+        }`,
+        {
+            country: market.country,
+            input: {
+                giftCardCodes: [normalized],
+                lines: items
+                    .map(i => ({ merchandiseId: toVariantGid(i?.variantId), quantity: Number(i?.quantity) || 1 }))
+                    .filter(line => line.merchandiseId)
+            }
+        }
+    );
+    const applied = (confirmed?.cartCreate?.cart?.appliedGiftCards || [])
+        .find(c => String(c.lastCharacters || '').toLowerCase() === normalized.slice(-4));
+    if (!applied) return null;
+
+    const data = await shopifyGraphql(
+        `query GiftCardByLastCharacters($query: String!) {
+            giftCards(first: 10, query: $query) {
+                nodes { id enabled deactivatedAt expiresOn lastCharacters balance { amount currencyCode } }
+            }
+        }`,
+        { query: `last_characters:${normalized.slice(-4)}` }
+    );
+    const candidates = (data?.giftCards?.nodes || []).filter(card =>
+        String(card.lastCharacters || '').toLowerCase() === normalized.slice(-4)
+        && card.balance?.currencyCode === applied.balance?.currencyCode
+        && Number(card.balance?.amount) === Number(applied.balance?.amount));
+    if (candidates.length !== 1) return null;
+
+    const [card] = candidates;
+    if (!card.enabled || card.deactivatedAt) return null;
+    if (card.expiresOn && new Date(`${card.expiresOn}T23:59:59Z`) < new Date()) return null;
+    if (card.balance?.currencyCode !== market.currency) return null;
+
+    return { id: card.id, lastCharacters: card.lastCharacters, balance: Number(card.balance.amount), currency: market.currency };
+}
+
+/**
+ * findGiftCard behind the lookup throttle: a card that isn't found counts
+ * against both the shopper's IP and the code's first characters, so codes
+ * can't be enumerated from one address or spread over many.
+ * Returns { card } or { throttled: true }.
+ */
+async function lookupGiftCard(code, market, items, clientIp) {
+    const prefix = String(code || '').replace(/[\s-]/g, '').toLowerCase().slice(0, GIFT_CARD_THROTTLE_PREFIX_LENGTH);
+    const keys = [`gift-card:ip:${clientIp || 'unknown'}`, `gift-card:prefix:${prefix}`];
+    if (await isRateLimited(keys, GIFT_CARD_THROTTLE)) return { throttled: true };
+
+    const card = await findGiftCard(code, market, items);
+    if (!card) await recordRateLimitHit(keys, GIFT_CARD_THROTTLE);
+    return { card };
+}
+
+const GIFT_CARD_ADJUSTMENTS = {
+    debit: { mutation: 'giftCardDebit', input: 'debitInput', inputType: 'GiftCardDebitInput', amount: 'debitAmount', transaction: 'giftCardDebitTransaction' },
+    credit: { mutation: 'giftCardCredit', input: 'creditInput', inputType: 'GiftCardCreditInput', amount: 'creditAmount', transaction: 'giftCardCreditTransaction' }
+};
+
+async function adjustGiftCard(kind, { id, amount, currency }, note) {
+    const op = GIFT_CARD_ADJUSTMENTS[kind];
+    const data = await shopifyGraphql(
+        `mutation AdjustGiftCard($id: ID!, $input: ${op.inputType}!) {
+            ${op.mutation}(id: $id, ${op.input}: $input) {
+                ${op.transaction} { id balanceAfterTransaction { amount } }
+                userErrors { field message }
+            }
+        }`,
+        { id, input: { [op.amount]: { amount: formatMarketAmount(amount, findMarketByCurrency(currency)), currencyCode: currency }, note } }
+    );
+
+    const result = data?.[op.mutation];
+    if (result?.userErrors?.length) throw new Error(result.userErrors.map(e => e.message).join('; '));
+    return result?.[op.transaction];
+}
+
+/**
+ * Take `giftCard.amount` (in the card's currency) off a gift card. Throws when
+ * Shopify refuses (e.g. the balance was spent elsewhere in the meantime).
+ */
+function debitGiftCard(giftCard, note) {
+    return adjustGiftCard('debit', giftCard, note);
+}
+
+/**
+ * Put `giftCard.amount` back on a gift card (undoes a debit whose order failed).
+ */
+function creditGiftCard(giftCard, note) {
+    return adjustGiftCard('credit', giftCard, note);
+}
+
+// Gift card debits taken at checkout, by checkout and card — see processEgyptCheckout
+const GIFT_CARD_DEBIT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const giftCardDebits = createStore('gift-card-debits');
+
+/**
+ * The gift-card part of a payment, read back from the note attributes
+ * createDraftOrder wrote (they carry over to the completed order).
+ * `currency` is the order's market currency, for orders without a currency attribute.
+ */
+function getGiftCardPayment(noteAttributes, currency) {
+    const attributes = new Map((noteAttributes || []).map(a => [a.name, a.value]));
+    const id = attributes.get('gift_card_id');
+    currency = String(attributes.get('currency') || currency).toUpperCase();
+    const amount = Number(attributes.get(`gift_card_amount_${currency.toLowerCase()}`));
+    return id && amount > 0 ? { id, amount, currency, lastCharacters: attributes.get('gift_card_last_characters') || '' } : null;
+}
+
+// ==================== INVENTORY ====================
+
+// Matches the Paymob payment key / intention expiry: stock is held for as long as the shopper can pay
+const INVENTORY_RESERVATION_MINUTES = Number(process.env.INVENTORY_RESERVATION_MINUTES || 60);
+
+/**
+ * The locations whose stock a market sells from: its `locationIds`, else
+ * INVENTORY_LOCATION_IDS (comma-separated), else every location (empty list).
+ */
+function getInventoryLocationIds(market) {
+    const ids = market.locationIds || String(process.env.INVENTORY_LOCATION_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    return ids.map(toNumericShopifyId);
+}
+
+/**
+ * Available quantity per variant GID, summed over the market's locations.
+ * Untracked variants and ones that keep selling when out of stock are
+ * Infinity; unknown variants are absent.
+ */
+async function fetchVariantAvailability(variantGids, market) {
+    const data = await shopifyGraphql(
+        `query CheckoutInventory($ids: [ID!]!) {
+            nodes(ids: $ids) {
+                ... on ProductVariant {
+                    id
+                    inventoryPolicy
+                    inventoryItem {
+                        tracked
+                        inventoryLevels(first: 50) {
+                            nodes { location { id } quantities(names: ["available"]) { quantity } }
+                        }
+                    }
+                }
+            }
+        }`,
+        { ids: variantGids }
+    );
+
+    const locationIds = getInventoryLocationIds(market);
+    const availability = new Map();
+    for (const node of data?.nodes || []) {
+        if (!node?.id) continue;
+        if (!node.inventoryItem?.tracked || node.inventoryPolicy === 'CONTINUE') { availability.set(node.id, Infinity); continue; }
+        const levels = (node.inventoryItem.inventoryLevels?.nodes || [])
+            .filter(level => !locationIds.length || locationIds.includes(toNumericShopifyId(level.location?.id)));
+        availability.set(node.id, levels.reduce((sum, level) =>
+            sum + (level.quantities || []).reduce((levelSum, q) => levelSum + (Number(q.quantity) || 0), 0), 0));
+    }
+    return availability;
+}
+
+/**
+ * Cart lines ({ variantId, quantity, name }) that ask for more than is in stock,
+ * as { index, variantId, name, requested, available }. Lines of the same
+ * variant count together; lines without a variant are skipped.
+ */
+async function checkCartInventory(lines, market) {
+    const variantGids = [...new Set(lines.map(line => line.variantId).filter(Boolean))];
+    if (!variantGids.length) return [];
+
+    const availability = await fetchVariantAvailability(variantGids, market);
+    const requested = new Map();
+    for (const line of lines) requested.set(line.variantId, (requested.get(line.variantId) || 0) + line.quantity);
+
+    return lines
+        .map((line, index) => ({
+            index,
+            variantId: line.variantId,
+            name: line.name,
+            requested: requested.get(line.variantId),
+            available: Math.max(0, availability.get(line.variantId) ?? 0)
+        }))
+        .filter(line => line.variantId && line.requested > line.available);
+}
+
+/**
+ * Give a draft order's reserved stock back early (its payment failed);
+ * otherwise the reservation lapses by itself at reserveInventoryUntil.
+ */
+async function releaseDraftOrderInventory(draftOrderId) {
+    const data = await shopifyGraphql(
+        `mutation ReleaseDraftOrderInventory($id: ID!, $input: DraftOrderInput!) {
+            draftOrderUpdate(id: $id, input: $input) {
+                draftOrder { id }
+                userErrors { field message }
+            }
+        }`,
+        { id: `gid://shopify/DraftOrder/${toNumericShopifyId(draftOrderId)}`, input: { reserveInventoryUntil: null } }
+    );
+    const result = data?.draftOrderUpdate;
+    if (result?.userErrors?.length) throw new Error(result.userErrors.map(e => e.message).join('; '));
+}
+
+// ==================== EMAIL FUNCTIONS ====================
+
+async function sendOrderConfirmationEmail({ email, firstName, lastName, orderNumber, totalAmount, currency, items, checkoutId }) {
+  if (!process.env.KLAVIYO_API_KEY) { console.error('❌ Missing KLAVIYO_API_KEY'); return; }
+
+  // Step 1: Upsert profile with transactional consent
+  try {
+      await klaviyoPost('/profiles/', {
+          data: {
+              type: 'profile',
+              attributes: {
+                  email,
+                  first_name: firstName || '',
+                  last_name: lastName || ''
+              }
+          }
+      });
+  } catch (err) {
+      // 409 = profile already exists, that's fine
+      if (err?.response?.status !== 409) {
+          console.error('Profile upsert error:', err?.response?.data || err.message);
+      }
+  }
+
+  // Step 2: Fire the Order Confirmation event
+  try {
+      await sendKlaviyoEvent({
+          metric: 'Order Confirmation',
+          email,
+          firstName,
+          lastName,
+          properties: {
+              order_number: orderNumber,
+              total_amount: totalAmount,
+              items: items || [],
+              currency: currency || getDefaultMarket().currency,
+              checkout_id: checkoutId || ''
+          },
+          value: totalAmount
+      });
+      console.log(`📧 Order confirmation event sent for order #${orderNumber} to ${email}`);
+  } catch (err) {
+      console.error('❌ Klaviyo event failed:', err?.response?.data || err.message);
+      throw err;
+  }
+}
+/**
+ * Fire a Klaviyo "Payment Failed" event so a flow can nudge the shopper to retry.
+ * Only sent when KLAVIYO_PAYMENT_FAILED_EVENT=true.
+ */
+async function sendPaymentFailedEvent({ email, firstName, lastName, draftOrderId, reason, totalAmount, currency, retryUrl }) {
+  if (process.env.KLAVIYO_PAYMENT_FAILED_EVENT !== 'true') return { skipped: true, reason: 'KLAVIYO_PAYMENT_FAILED_EVENT not enabled' };
+
+  const result = await sendKlaviyoEvent({
+      metric: 'Payment Failed',
+      email,
+      firstName,
+      lastName,
+      properties: {
+          draft_order_id: draftOrderId,
+          reason: reason || '',
+          total_amount: totalAmount,
+          retry_url: retryUrl || '',
+          currency: currency || getDefaultMarket().currency
+      },
+      value: totalAmount
+  });
+  if (result.sent) console.log(`📧 Payment Failed event sent for draft order ${draftOrderId} to ${email}`);
+  return result;
+}
+
+/**
+ * The items a price rule's `entitled_*` or `prerequisite_*` ids select, as
+ * { all, variantIds, productIds, collectionIds } with numeric ids.
+ * A rule that lists no ids selects every line.
+ */
+function priceRuleItems(rule, kind) {
+    const ids = (type) => (rule[`${kind}_${type}_ids`] || []).map(String);
+    const items = { variantIds: ids('variant'), productIds: ids('product'), collectionIds: ids('collection') };
+    const listsNothing = !items.variantIds.length && !items.productIds.length && !items.collectionIds.length;
+    items.all = listsNothing && (kind !== 'entitled' || rule.target_selection !== 'entitled');
+    return items;
+}
+
+function lineMatchesItems(items, line) {
+    if (items.all) return true;
+    return items.variantIds.includes(toNumericShopifyId(line.variantId))
+        || items.productIds.includes(toNumericShopifyId(line.productId))
+        || (line.collectionIds || []).some(id => items.collectionIds.includes(toNumericShopifyId(id)));
+}
+
+const DISCOUNT_NOT_ELIGIBLE_MESSAGE = 'This discount code is not available for this email address';
+
+/**
+ * Enforce a price rule's customer conditions for the shopper's email:
+ * customer_selection 'prerequisite' (listed customers or customer segments)
+ * and once_per_customer (no earlier order placed with the code).
+ */
+async function checkDiscountCustomer(rule, code, email) {
+    const restricted = rule.customer_selection === 'prerequisite';
+    if (!restricted && !rule.once_per_customer) return;
+
+    const cleanEmail = String(email || '').trim().toLowerCase().replace(/["\\]/g, '');
+    if (!cleanEmail) throw new Error('Enter your email address to use this discount code');
+
+    const data = await shopifyGraphql(
+        `query DiscountCustomer($customerQuery: String!, $orderQuery: String!) {
+            customers(first: 1, query: $customerQuery) { nodes { id } }
+            orders(first: 1, query: $orderQuery) { nodes { id } }
+        }`,
+        {
+            customerQuery: `email:"${cleanEmail}"`,
+            orderQuery: `email:"${cleanEmail}" AND discount_code:"${String(code).replace(/["\\]/g, '')}"`
+        }
+    );
+
+    // One message for every refusal, so the answer doesn't tell who is a customer or has ordered
+    if (rule.once_per_customer && data?.orders?.nodes?.length)
+        throw new Error(DISCOUNT_NOT_ELIGIBLE_MESSAGE);
+    if (!restricted) return;
+
+    const customerId = data?.customers?.nodes?.[0]?.id;
+    if (customerId && (rule.prerequisite_customer_ids || []).map(String).includes(toNumericShopifyId(customerId))) return;
+
+    const segmentIds = (rule.customer_segment_prerequisite_ids || []).map(id => `gid://shopify/Segment/${toNumericShopifyId(id)}`);
+    if (customerId && segmentIds.length) {
+        const membership = await shopifyGraphql(
+            `query DiscountSegments($customerId: ID!, $segmentIds: [ID!]!) {
+                customerSegmentMembership(customerId: $customerId, segmentIds: $segmentIds) { memberships { segmentId isMember } }
+            }`,
+            { customerId, segmentIds }
+        );
+        if ((membership?.customerSegmentMembership?.memberships || []).some(m => m.isMember)) return;
+    }
+
+    throw new Error(DISCOUNT_NOT_ELIGIBLE_MESSAGE);
+}
+
+/**
+ * Spread a line-item discount over the eligible cart lines the way Shopify does.
+ * Percentages apply to every eligible line. Fixed amounts are split across the
+ * eligible lines in proportion to their totals ('across'), or taken off every
+ * eligible unit ('each'). Works in the market's minor unit so the parts add
+ * up to the total.
+ */
+function allocateLineDiscount(rule, lines, eligibleIndexes, market) {
+    const value = Math.abs(parseFloat(rule.value)) || 0;
+    const lineMinor = (index) => toMinorUnits(lines[index].price, market) * lines[index].quantity;
+    const minor = new Map();
+
+    if (rule.value_type === 'percentage') {
+        for (const index of eligibleIndexes) minor.set(index, Math.round(lineMinor(index) * Math.min(value, 100) / 100));
+    } else if (rule.allocation_method === 'each') {
+        for (const index of eligibleIndexes) {
+            const unitMinor = Math.min(toMinorUnits(value, market), toMinorUnits(lines[index].price, market));
+            minor.set(index, unitMinor * lines[index].quantity);
+        }
+    } else {
+        const eligibleMinor = eligibleIndexes.reduce((sum, index) => sum + lineMinor(index), 0);
+        const totalOff = Math.min(toMinorUnits(value, market), eligibleMinor);
+        let remaining = totalOff;
+        eligibleIndexes.forEach((index, i) => {
+            const share = i === eligibleIndexes.length - 1
+                ? remaining
+                : Math.floor(totalOff * lineMinor(index) / eligibleMinor);
+            minor.set(index, share);
+            remaining -= share;
+        });
+    }
+
+    return eligibleIndexes
+        .filter(index => minor.get(index) > 0)
+        .map(index => ({
+            line: index,
+            variantId: lines[index].variantId || null,
+            quantity: lines[index].quantity,
+            amount: fromMinorUnits(minor.get(index), market)
+        }));
+}
+
+/** The total of a discount's allocations, in the market's currency. */
+function sumAllocations(allocations, market) {
+    return fromMinorUnits(allocations.reduce((sum, a) => sum + toMinorUnits(a.amount, market), 0), market);
+}
+
+/**
+ * Buy X get Y: discount the cheapest qualifying "get" units as many times as
+ * the cart allows, while leaving enough other units to count as the "buy" side.
+ * `buys` is { items, quantity } or { items, amount } (amount spent);
+ * `gets` is { items, quantity } plus `percentage` or `amountPerItem`;
+ * `limit` caps how many times the offer applies. Amounts are in `market`'s currency.
+ */
+function allocateBxgyDiscount(lines, { buys, gets, limit }, market) {
+    const groups = lines
+        .map((line, index) => ({
+            index,
+            minor: toMinorUnits(line.price, market),
+            quantity: line.quantity,
+            isBuy: lineMatchesItems(buys.items, line),
+            isGet: lineMatchesItems(gets.items, line)
+        }))
+        .filter(g => g.isBuy || g.isGet);
+
+    // The `count` cheapest get units, as [{ group, count }]
+    const cheapestGets = (count) => {
+        const taken = [];
+        for (const group of groups.filter(g => g.isGet).sort((a, b) => a.minor - b.minor)) {
+            if (count <= 0) break;
+            const n = Math.min(count, group.quantity);
+            taken.push({ group, count: n });
+            count -= n;
+        }
+        return taken;
+    };
+
+    const fits = (applications) => {
+        const taken = cheapestGets(applications * gets.quantity);
+        if (taken.reduce((sum, t) => sum + t.count, 0) < applications * gets.quantity) return false;
+        const usedBuys = taken.filter(t => t.group.isBuy);
+        const buyGroups = groups.filter(g => g.isBuy);
+        if (buys.amount) {
+            const buyMinor = buyGroups.reduce((sum, g) => sum + g.minor * g.quantity, 0)
+                - usedBuys.reduce((sum, t) => sum + t.group.minor * t.count, 0);
+            return buyMinor >= toMinorUnits(buys.amount, market) * applications;
+        }
+        const buyUnits = buyGroups.reduce((sum, g) => sum + g.quantity, 0) - usedBuys.reduce((sum, t) => sum + t.count, 0);
+        return buyUnits >= buys.quantity * applications;
+    };
+
+    // Feasibility only shrinks as applications grow, so binary-search the most that fit
+    const getUnits = groups.filter(g => g.isGet).reduce((sum, g) => sum + g.quantity, 0);
+    let low = 0;
+    let high = Math.floor(getUnits / Math.max(1, gets.quantity));
+    if (limit) high = Math.min(high, limit);
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (fits(mid)) low = mid; else high = mid - 1;
+    }
+    if (!low) return [];
+
+    return cheapestGets(low * gets.quantity)
+        .map(({ group, count }) => {
+            const unitOff = gets.percentage !== undefined
+                ? Math.round(group.minor * Math.min(gets.percentage, 100) / 100)
+                : Math.min(toMinorUnits(gets.amountPerItem, market), group.minor);
+            return { line: group.index, variantId: lines[group.index].variantId || null, quantity: count, amount: fromMinorUnits(unitOff * count, market) };
+        })
+        .filter(a => a.amount > 0)
+        .sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Which discount classes a code may be combined with (Shopify's combinesWith).
+ * Price rules don't expose this, so it comes from the GraphQL code discount.
+ * Codes we can't look up combine with nothing.
+ */
+async function fetchCodeCombinations(code) {
+    const combinations = `combinesWith { orderDiscounts productDiscounts shippingDiscounts }`;
+    try {
+        const data = await shopifyGraphql(
+            `query CodeDiscountCombinations($code: String!) {
+                codeDiscountNodeByCode(code: $code) {
+                    codeDiscount {
+                        ... on DiscountCodeBasic { ${combinations} }
+                        ... on DiscountCodeBxgy { ${combinations} }
+                        ... on DiscountCodeFreeShipping { ${combinations} }
+                    }
+                }
+            }`,
+            { code }
+        );
+        return data?.codeDiscountNodeByCode?.codeDiscount?.combinesWith || NO_DISCOUNT_COMBINATIONS;
+    } catch (error) {
+        console.error('⚠️ Discount combination lookup failed:', error?.response?.data || error.message);
+        return NO_DISCOUNT_COMBINATIONS;
+    }
+}
+
+const NO_DISCOUNT_COMBINATIONS = { orderDiscounts: false, productDiscounts: false, shippingDiscounts: false };
+
+/**
+ * A price rule with its fixed value, minimum subtotal, shipping cap and
+ * "buy" amount converted from the shop currency to `currency`. Throws when
+ * the rule has such an amount and the market has no rate to convert it.
+ */
+function convertPriceRuleAmounts(rule, currency) {
+    const convert = (value) => {
+        if (value === null || value === undefined || value === '') return value;
+        const amount = convertShopAmount(Math.abs(parseFloat(value)), currency);
+        if (amount === null) throw new Error(`This discount code can't be used in ${currency}`);
+        return String(parseFloat(value) < 0 ? -amount : amount);
+    };
+    const converted = { ...rule };
+    if (rule.value_type === 'fixed_amount') converted.value = convert(rule.value);
+    if (rule.prerequisite_subtotal_range) {
+        converted.prerequisite_subtotal_range = {
+            ...rule.prerequisite_subtotal_range,
+            greater_than_or_equal_to: convert(rule.prerequisite_subtotal_range.greater_than_or_equal_to)
+        };
+    }
+    if (rule.prerequisite_shipping_price_range) {
+        converted.prerequisite_shipping_price_range = {
+            ...rule.prerequisite_shipping_price_range,
+            less_than_or_equal_to: convert(rule.prerequisite_shipping_price_range.less_than_or_equal_to)
+        };
+    }
+    if (rule.prerequisite_to_entitlement_purchase) {
+        converted.prerequisite_to_entitlement_purchase = {
+            ...rule.prerequisite_to_entitlement_purchase,
+            prerequisite_amount: convert(rule.prerequisite_to_entitlement_purchase.prerequisite_amount)
+        };
+    }
+    return converted;
+}
+
+/**
+ * Validate a Shopify discount code against the Price Rules API.
+ * `lines` are verified cart lines ({ variantId, productId, collectionIds, quantity, price })
+ * and `email` the shopper's, used for customer-restricted and once-per-customer codes.
+ * Returns discount metadata + calculated discountAmount in `currency` (the
+ * lines' currency, used in messages), with the per-line `allocations` that make it up.
+ * Shipping price rules (target_type 'shipping_line') are calculated against
+ * `shippingAmount` and come back with target 'shipping'.
+ */
+async function validateShopifyDiscountCode(code, { lines = [], email, shippingAmount = 0, currency = SHOP_CURRENCY } = {}) {
+    // 1. Look up the discount code to get its price_rule_id
+    const codeRes = await axios.get(
+        `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/discount_codes/lookup.json?code=${encodeURIComponent(code)}`,
+        { headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
+    );
+
+    const discountCode = codeRes.data.discount_code;
+    if (!discountCode) throw new Error('Invalid discount code');
+
+    // 2. Fetch the associated price rule
+    const ruleRes = await axios.get(
+        `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/price_rules/${discountCode.price_rule_id}.json`,
+        { headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
+    );
+
+    if (!ruleRes.data.price_rule) throw new Error('Price rule not found');
+    const rule = convertPriceRuleAmounts(ruleRes.data.price_rule, currency);
+    const market = findMarketByCurrency(currency);
+
+    // 3. Validate active window
+    const now = new Date();
+    if (rule.starts_at && new Date(rule.starts_at) > now)
+        throw new Error('Discount code is not yet active');
+    if (rule.ends_at && new Date(rule.ends_at) < now)
+        throw new Error('Discount code has expired');
+
+    // 4. Check usage limit
+    if (rule.usage_limit !== null && discountCode.usage_count >= rule.usage_limit)
+        throw new Error('Discount code has reached its usage limit');
+
+    // 5. Work out which lines the rule covers (shipping rules look at the whole cart)
+    const isShipping = rule.target_type === 'shipping_line';
+    const entitled = priceRuleItems(rule, 'entitled');
+    const eligibleIndexes = lines
+        .map((line, index) => (isShipping || lineMatchesItems(entitled, line) ? index : -1))
+        .filter(index => index >= 0);
+    if (!eligibleIndexes.length)
+        throw new Error('This discount does not apply to any items in your cart');
+    const eligibleSubtotal = eligibleIndexes.reduce((sum, index) => sum + lines[index].price * lines[index].quantity, 0);
+    const eligibleQuantity = eligibleIndexes.reduce((sum, index) => sum + lines[index].quantity, 0);
+
+    // 6. Check minimum order requirements against the eligible lines
+    if (rule.prerequisite_subtotal_range?.greater_than_or_equal_to) {
+        const min = parseFloat(rule.prerequisite_subtotal_range.greater_than_or_equal_to);
+        if (eligibleSubtotal < min)
+            throw new Error(`Minimum order of ${currency} ${min} required for this discount`);
+    }
+    if (rule.prerequisite_quantity_range?.greater_than_or_equal_to) {
+        const minQuantity = Number(rule.prerequisite_quantity_range.greater_than_or_equal_to);
+        if (eligibleQuantity < minQuantity)
+            throw new Error(`Add at least ${minQuantity} eligible items to use this discount`);
+    }
+
+    // 7. Customer restrictions
+    await checkDiscountCustomer(rule, discountCode.code, email);
+
+    // 8. Shipping rules may cap the shipping rate they apply to
+    if (isShipping && rule.prerequisite_shipping_price_range?.less_than_or_equal_to) {
+        const maxRate = parseFloat(rule.prerequisite_shipping_price_range.less_than_or_equal_to);
+        if (shippingAmount > maxRate)
+            throw new Error(`This discount only applies to shipping rates up to ${currency} ${maxRate}`);
+    }
+
+    // 9. Calculate discount amount
+    const ratio = rule.prerequisite_to_entitlement_quantity_ratio;
+    const isBxgy = Boolean(ratio?.entitled_quantity);
+    const discountType = isBxgy ? 'bxgy' : rule.value_type; // 'percentage' | 'fixed_amount' | 'bxgy'
+    let discountAmount;
+    let allocations = [];
+    if (isBxgy) {
+        const value = Math.abs(parseFloat(rule.value)) || 0;
+        allocations = allocateBxgyDiscount(lines, {
+            buys: {
+                items: priceRuleItems(rule, 'prerequisite'),
+                quantity: Number(ratio.prerequisite_quantity) || 0,
+                amount: Number(rule.prerequisite_to_entitlement_purchase?.prerequisite_amount) || 0
+            },
+            gets: {
+                items: entitled,
+                quantity: Number(ratio.entitled_quantity),
+                ...(rule.value_type === 'percentage' ? { percentage: value } : { amountPerItem: value })
+            },
+            limit: Number(rule.allocation_limit) || 0
+        }, market);
+        if (!allocations.length)
+            throw new Error('Add the qualifying items to your cart to use this discount');
+        discountAmount = sumAllocations(allocations, market);
+    } else if (isShipping) {
+        const rate = Number(shippingAmount) || 0;
+        discountAmount = discountType === 'percentage'
+            ? (Math.abs(parseFloat(rule.value)) / 100) * rate
+            : Math.min(Math.abs(parseFloat(rule.value)), rate);
+        discountAmount = roundMarketAmount(discountAmount, market);
+    } else {
+        allocations = allocateLineDiscount(rule, lines, eligibleIndexes, market);
+        discountAmount = sumAllocations(allocations, market);
+    }
+
+    // Shopify's discount classes: shipping, product (specific items / BXGY) or order (whole cart)
+    const discountClass = isShipping ? 'shipping' : (isBxgy || !entitled.all ? 'product' : 'order');
+
+    return {
+        code: discountCode.code,
+        priceRuleId: discountCode.price_rule_id,
+        target: isShipping ? 'shipping' : 'line_items',
+        discountClass,
+        combinesWith: await fetchCodeCombinations(discountCode.code),
+        allocationMethod: rule.allocation_method || 'across',
+        discountAmount,
+        allocations,
+        discountType,
+        value: rule.value,
+        maxShippingAmount: isShipping && rule.prerequisite_shipping_price_range?.less_than_or_equal_to
+            ? parseFloat(rule.prerequisite_shipping_price_range.less_than_or_equal_to)
+            : null,
+        title: rule.title || code,
+        usageCount: discountCode.usage_count
+    };
+}
+
+/**
+ * Create a Draft Order
+ * `appliedDiscounts` is the combined set of codes and automatic discounts.
+ * Lines are the real Shopify variants at the verified market price
+ * (priceOverride), so reports, inventory and fulfillment apps see what was
+ * sold and the order total matches what the shopper pays. Their stock is
+ * reserved for INVENTORY_RESERVATION_MINUTES, the payment window. Amounts are
+ * in the market's currency; note attributes carry it in their names (egp_total, ...).
+ * `taxes` is the quote's { amount, rate, included }: tax added on top of the
+ * prices goes in as its own line on a tax-exempt draft, so Shopify charges
+ * exactly the quoted amount. A draft whose total still differs from
+ * `orderTotal` is deleted and the checkout fails rather than charge a price
+ * Shopify disagrees with.
+ * Returns { id (numeric, for the REST endpoints), gid, name, totalPrice }.
+ */
+async function createDraftOrder(cartItems, customer, orderTotal, appliedDiscounts, shipping, giftCard, market, checkoutId, taxes) {
+    const lineDiscounts = (appliedDiscounts || []).filter(d => d.target === 'line_items');
+    const lineDiscountTotal = roundMarketAmount(lineDiscounts.reduce((sum, d) => sum + d.discountAmount, 0), market);
+    const currency = market.currency;
+    const currencyKey = currency.toLowerCase();
+    const money = (amount) => ({ amount: formatMarketAmount(amount, market), currencyCode: currency });
+
+    const allocations = lineDiscounts.flatMap(d => d.allocations || []);
+    const lineItems = cartItems.map((item, index) => {
+        const quantity = item?.quantity || 1;
+        const lineDiscount = allocations.filter(a => a.line === index).reduce((sum, a) => sum + a.amount, 0);
+        const customAttributes = lineDiscount > 0
+            ? [{ key: `${currency} Discount`, value: String(roundMarketAmount(lineDiscount, market)) }]
+            : [];
+        // Verified items always carry a variant; a priced custom line is only the fallback
+        return item?.variantId
+            ? { variantId: item.variantId, quantity, priceOverride: money(item.price), customAttributes }
+            : { title: item?.name || 'Item', quantity, originalUnitPriceWithCurrency: money(item?.price), requiresShipping: true, customAttributes };
+    });
+
+    const shippingAddress = customer ? {
+        firstName: customer.firstName || customer.first_name || '',
+        lastName: customer.lastName || customer.last_name || '',
+        address1: customer.address1 || '',
+        address2: customer.address2 || '',
+        city: customer.city || '',
+        province: customer.province || customer.state || '',
+        zip: customer.zip || '',
+        // An ISO code only: customer.country can be a name ("Egypt"), which Shopify rejects
+        countryCode: /^[a-z]{2}$/i.test(customer.country_code || '') ? customer.country_code.toUpperCase() : market.country,
+        phone: customer.phone || ''
+    } : undefined;
+
+    // Shipping discounts are baked into the line price; Shopify has no draft-order shipping discount field
+    const shippingLine = {
+        title: shipping.discountAmount ? `${shipping.title} (${shipping.discountTitle})` : shipping.title,
+        priceWithCurrency: money(shipping.amount)
+    };
+
+    const noteAttributes = [
+        { name: `${currencyKey}_total`, value: String(orderTotal || 0) },
+        { name: 'currency', value: currency },
+        { name: 'market', value: market.id },
+        { name: 'shipping_method', value: shipping.id }
+    ];
+    if (checkoutId) noteAttributes.push({ name: 'checkout_id', value: checkoutId });
+
+    const addsTax = Boolean(taxes && !taxes.included && taxes.amount > 0);
+    if (addsTax) {
+        lineItems.push({ title: `Tax (${Math.round(taxes.rate * 10000) / 100}%)`, quantity: 1, originalUnitPriceWithCurrency: money(taxes.amount), requiresShipping: false, taxable: false });
+        noteAttributes.push({ name: `tax_${currencyKey}`, value: formatMarketAmount(taxes.amount, market) });
+    }
+
+    if (shipping.discountAmount) {
+        noteAttributes.push(
+            { name: `shipping_rate_${currencyKey}`, value: String(shipping.originalAmount) },
+            { name: `shipping_discount_${currencyKey}`, value: String(shipping.discountAmount) },
+            { name: 'shipping_discount', value: shipping.discountTitle }
+        );
+    }
+
+    if (appliedDiscounts?.length) {
+        const codes = appliedDiscounts.filter(d => d.code).map(d => d.code);
+        const automatic = appliedDiscounts.filter(d => !d.code).map(d => d.title);
+        if (codes.length) noteAttributes.push({ name: 'discount_codes', value: codes.join(', ') });
+        if (automatic.length) noteAttributes.push({ name: 'automatic_discounts', value: automatic.join(', ') });
+        noteAttributes.push(
+            { name: `discount_amount_${currencyKey}`, value: String(roundMarketAmount(appliedDiscounts.reduce((sum, d) => sum + d.discountAmount, 0), market)) },
+            { name: 'discount_breakdown', value: appliedDiscounts.map(d => `${getDiscountLabel(d)}: ${d.discountAmount}`).join('; ') }
+        );
+    }
+
+    if (giftCard) {
+        noteAttributes.push(
+            { name: 'gift_card_id', value: giftCard.id },
+            { name: 'gift_card_last_characters', value: giftCard.lastCharacters },
+            { name: `gift_card_amount_${currencyKey}`, value: String(giftCard.amount) },
+            { name: `amount_due_${currencyKey}`, value: String(roundMarketAmount(orderTotal - giftCard.amount, market)) }
+        );
+    }
+
+    const input = {
+        lineItems,
+        email: customer?.email || undefined,
+        phone: customer?.phone || undefined,
+        shippingAddress,
+        shippingLine,
+        presentmentCurrencyCode: currency,
+        note: 'Paymob checkout pending',
+        tags: ['paymob-pending'],
+        customAttributes: noteAttributes.map(a => ({ key: a.name, value: a.value })),
+        useCustomerDefaultAddress: false,
+        ...(addsTax ? { taxExempt: true } : {}),
+        reserveInventoryUntil: new Date(Date.now() + INVENTORY_RESERVATION_MINUTES * 60 * 1000).toISOString()
+    };
+
+    // A draft holds one applied discount, so stacked discounts go in as their combined amount;
+    // only a lone percentage covering every line (and no tax line) stays a percentage.
+    if (lineDiscounts.length) {
+        const [only] = lineDiscounts;
+        const wholeOrderPercentage = lineDiscounts.length === 1 && only.discountType === 'percentage' && !addsTax
+            && (only.allocations || []).length === cartItems.length;
+        input.appliedDiscount = {
+            description: lineDiscounts.map(d => d.title || d.code).join(' + '),
+            valueType: wholeOrderPercentage ? 'PERCENTAGE' : 'FIXED_AMOUNT',
+            value: wholeOrderPercentage ? Math.abs(parseFloat(only.value)) : lineDiscountTotal,
+            amountWithCurrency: money(lineDiscountTotal),
+            title: lineDiscounts.map(getDiscountLabel).join(' + ')
+        };
+    }
+
+    try {
+        const data = await shopifyGraphql(
+            `mutation CheckoutDraftOrder($input: DraftOrderInput!) {
+                draftOrderCreate(input: $input) {
+                    draftOrder { id legacyResourceId name totalPriceSet { presentmentMoney { amount currencyCode } } }
+                    userErrors { field message }
+                }
+            }`,
+            { input }
+        );
+        const result = data?.draftOrderCreate;
+        if (result?.userErrors?.length) throw new Error(result.userErrors.map(e => e.message).join('; '));
+
+        const draftOrder = result.draftOrder;
+        const totalPrice = Number(draftOrder.totalPriceSet?.presentmentMoney?.amount);
+        // Shopify prices the draft itself — never charge a total it disagrees with
+        if (!Number.isFinite(totalPrice) || toMinorUnits(totalPrice, market) !== toMinorUnits(orderTotal, market)) {
+            console.error(`❌ Draft order ${draftOrder.name} totals ${totalPrice} ${currency} but checkout quoted ${orderTotal}; deleting it`);
+            await shopifyGraphql(
+                `mutation DeleteDraftOrder($input: DraftOrderDeleteInput!) { draftOrderDelete(input: $input) { deletedId } }`,
+                { input: { id: draftOrder.id } }
+            ).catch(err => console.error(`Draft order ${draftOrder.name} delete failed:`, err.message));
+            throw new Error('Your order total could not be confirmed, please try again');
+        }
+        return { id: Number(draftOrder.legacyResourceId), gid: draftOrder.id, name: draftOrder.name, totalPrice };
+    } catch (error) {
+        console.error('Error creating draft order:', error?.response?.data || error.details || error.message);
+        throw error;
+    }
+}
+
+// ==================== AUTOMATIC DISCOUNTS ====================
+
+const AUTOMATIC_DISCOUNTS_CACHE_MS = Number(process.env.AUTOMATIC_DISCOUNTS_CACHE_MS || 60 * 1000);
+let automaticDiscountsCache = { expiresAt: 0, nodes: [] };
+
+/**
+ * Active automatic discounts (amount off, buy X get Y, free shipping) from
+ * the Admin GraphQL API. Cached briefly since every checkout page and
+ * checkout submission evaluates them.
+ */
+async function fetchAutomaticDiscounts() {
+    if (automaticDiscountsCache.expiresAt > Date.now()) return automaticDiscountsCache.nodes;
+
+    const items = `
+        ... on AllDiscountItems { allItems }
+        ... on DiscountProducts { products(first: 100) { nodes { id } } productVariants(first: 100) { nodes { id } } }
+        ... on DiscountCollections { collections(first: 100) { nodes { id } } }`;
+    const combinations = 'combinesWith { orderDiscounts productDiscounts shippingDiscounts }';
+    const minimum = `
+        ... on DiscountMinimumSubtotal { greaterThanOrEqualToSubtotal { amount } }
+        ... on DiscountMinimumQuantity { greaterThanOrEqualToQuantity }`;
+    const data = await shopifyGraphql(
+        `query AutomaticDiscounts {
+            automaticDiscountNodes(first: 50, query: "status:active") {
+                nodes {
+                    id
+                    automaticDiscount {
+                        __typename
+                        ... on DiscountAutomaticBasic {
+                            title startsAt endsAt ${combinations}
+                            minimumRequirement { ${minimum} }
+                            customerGets {
+                                value {
+                                    ... on DiscountPercentage { percentage }
+                                    ... on DiscountAmount { amount { amount } appliesOnEachItem }
+                                }
+                                items { ${items} }
+                            }
+                        }
+                        ... on DiscountAutomaticBxgy {
+                            title startsAt endsAt usesPerOrderLimit ${combinations}
+                            customerBuys {
+                                value {
+                                    ... on DiscountQuantity { quantity }
+                                    ... on DiscountPurchaseAmount { amount }
+                                }
+                                items { ${items} }
+                            }
+                            customerGets {
+                                value {
+                                    ... on DiscountOnQuantity {
+                                        quantity { quantity }
+                                        effect {
+                                            ... on DiscountPercentage { percentage }
+                                            ... on DiscountAmount { amount { amount } }
+                                        }
+                                    }
+                                }
+                                items { ${items} }
+                            }
+                        }
+                        ... on DiscountAutomaticFreeShipping {
+                            title startsAt endsAt ${combinations}
+                            minimumRequirement { ${minimum} }
+                            maximumShippingPrice { amount }
+                        }
+                    }
+                }
+            }
+        }`
+    );
+
+    automaticDiscountsCache = {
+        expiresAt: Date.now() + AUTOMATIC_DISCOUNTS_CACHE_MS,
+        nodes: data?.automaticDiscountNodes?.nodes || []
+    };
+    return automaticDiscountsCache.nodes;
+}
+
+function graphqlDiscountItems(items) {
+    const ids = (connection) => (connection?.nodes || []).map(n => toNumericShopifyId(n.id));
+    return {
+        all: Boolean(items?.allItems),
+        variantIds: ids(items?.productVariants),
+        productIds: ids(items?.products),
+        collectionIds: ids(items?.collections)
+    };
+}
+
+function meetsMinimumRequirement(requirement, lines, indexes, currency) {
+    const subtotal = indexes.reduce((sum, i) => sum + lines[i].price * lines[i].quantity, 0);
+    const quantity = indexes.reduce((sum, i) => sum + lines[i].quantity, 0);
+    if (requirement?.greaterThanOrEqualToSubtotal) {
+        const min = convertShopAmount(Number(requirement.greaterThanOrEqualToSubtotal.amount), currency);
+        if (min === null || subtotal < min) return false;
+    }
+    if (requirement?.greaterThanOrEqualToQuantity && quantity < Number(requirement.greaterThanOrEqualToQuantity)) return false;
+    return true;
+}
+
+/**
+ * Price one automatic discount against the cart. Returns the same shape as
+ * validateShopifyDiscountCode (with `automatic: true` and no code), or null
+ * when the cart doesn't qualify. Its amounts are in the shop currency, so a
+ * discount with amounts that can't be converted to `currency` never applies.
+ */
+function evaluateAutomaticDiscount(node, lines, shippingAmount, currency) {
+    const discount = node.automaticDiscount || {};
+    const now = new Date();
+    if (discount.startsAt && new Date(discount.startsAt) > now) return null;
+    if (discount.endsAt && new Date(discount.endsAt) < now) return null;
+
+    const base = {
+        code: null,
+        automatic: true,
+        id: node.id,
+        title: discount.title || 'Automatic discount',
+        combinesWith: discount.combinesWith || NO_DISCOUNT_COMBINATIONS
+    };
+    const market = findMarketByCurrency(currency);
+    const withAllocations = (allocations, fields) => {
+        const discountAmount = sumAllocations(allocations, market);
+        return discountAmount > 0 ? { ...base, target: 'line_items', discountAmount, allocations, ...fields } : null;
+    };
+
+    if (discount.__typename === 'DiscountAutomaticBasic') {
+        const items = graphqlDiscountItems(discount.customerGets?.items);
+        const eligibleIndexes = lines.map((line, i) => (lineMatchesItems(items, line) ? i : -1)).filter(i => i >= 0);
+        if (!eligibleIndexes.length || !meetsMinimumRequirement(discount.minimumRequirement, lines, eligibleIndexes, currency)) return null;
+
+        const value = discount.customerGets?.value || {};
+        const amount = value.percentage === undefined ? convertShopAmount(Number(value.amount?.amount || 0), currency) : 0;
+        if (amount === null) return null;
+        const rule = value.percentage !== undefined
+            ? { value_type: 'percentage', value: String(-value.percentage * 100) }
+            : { value_type: 'fixed_amount', value: String(-amount), allocation_method: value.appliesOnEachItem ? 'each' : 'across' };
+        return withAllocations(allocateLineDiscount(rule, lines, eligibleIndexes, market), {
+            discountClass: items.all ? 'order' : 'product',
+            allocationMethod: rule.allocation_method || 'across',
+            discountType: rule.value_type,
+            value: rule.value
+        });
+    }
+
+    if (discount.__typename === 'DiscountAutomaticBxgy') {
+        const buysValue = discount.customerBuys?.value || {};
+        const getsValue = discount.customerGets?.value || {};
+        const effect = getsValue.effect || {};
+        const buysAmount = convertShopAmount(Number(buysValue.amount) || 0, currency);
+        const amountPerItem = effect.percentage === undefined ? convertShopAmount(Number(effect.amount?.amount || 0), currency) : 0;
+        if (buysAmount === null || amountPerItem === null) return null;
+        const allocations = allocateBxgyDiscount(lines, {
+            buys: {
+                items: graphqlDiscountItems(discount.customerBuys?.items),
+                quantity: Number(buysValue.quantity) || 0,
+                amount: buysAmount
+            },
+            gets: {
+                items: graphqlDiscountItems(discount.customerGets?.items),
+                quantity: Number(getsValue.quantity?.quantity) || 1,
+                ...(effect.percentage !== undefined ? { percentage: effect.percentage * 100 } : { amountPerItem })
+            },
+            limit: Number(discount.usesPerOrderLimit) || 0
+        }, market);
+        return withAllocations(allocations, { discountClass: 'product', allocationMethod: 'each', discountType: 'bxgy', value: null });
+    }
+
+    // Qualifies before a shipping method is chosen (amount 0); the page prices it per method
+    if (discount.__typename === 'DiscountAutomaticFreeShipping') {
+        const rate = Number(shippingAmount) || 0;
+        const maxShippingAmount = discount.maximumShippingPrice ? convertShopAmount(Number(discount.maximumShippingPrice.amount), currency) : null;
+        if (discount.maximumShippingPrice && maxShippingAmount === null) return null;
+        if (!meetsMinimumRequirement(discount.minimumRequirement, lines, lines.map((line, i) => i), currency)) return null;
+        if (maxShippingAmount !== null && rate > maxShippingAmount) return null;
+        return { ...base, target: 'shipping', discountClass: 'shipping', discountAmount: rate, allocations: [], allocationMethod: 'across', discountType: 'percentage', value: '-100.0', maxShippingAmount };
+    }
+
+    return null;
+}
+
+/**
+ * Every automatic discount this cart qualifies for, biggest saving first.
+ * Lookup failures (e.g. a token without read_discounts) are logged and
+ * treated as "no automatic discounts" so checkout keeps working.
+ */
+async function getApplicableAutomaticDiscounts({ lines, shippingAmount = 0, currency = SHOP_CURRENCY }) {
+    let nodes;
+    try {
+        nodes = await fetchAutomaticDiscounts();
+    } catch (error) {
+        console.error('⚠️ Automatic discount lookup failed:', error?.response?.data || error.message);
+        return [];
+    }
+
+    return nodes
+        .map(node => evaluateAutomaticDiscount(node, lines, shippingAmount, currency))
+        .filter(Boolean)
+        .sort((a, b) => b.discountAmount - a.discountAmount);
+}
+
+function getDiscountLabel(discount) {
+    return discount.code ? discount.code.toUpperCase() : discount.title;
+}
+
+// ==================== DISCOUNT COMBINATIONS ====================
+
+const MAX_DISCOUNT_CODES = Number(process.env.MAX_DISCOUNT_CODES || 5);
+const COMBINATION_KEYS = { product: 'productDiscounts', order: 'orderDiscounts', shipping: 'shippingDiscounts' };
+
+/**
+ * Two discounts stack only if each one allows the other's class. A cart
+ * never gets more than one shipping discount.
+ */
+function discountsCombine(a, b) {
+    if (a.discountClass === 'shipping' && b.discountClass === 'shipping') return false;
+    return Boolean(a.combinesWith?.[COMBINATION_KEYS[b.discountClass]] && b.combinesWith?.[COMBINATION_KEYS[a.discountClass]]);
+}
+
+/**
+ * Settle the amounts of a set of stackable discounts the way Shopify orders them:
+ * each line keeps only its best product discount, then order discounts are
+ * worked out on what the lines cost after product discounts. Amounts are in
+ * `market`'s currency.
+ */
+function settleDiscountAmounts(discounts, lines, market) {
+    const bestProductMinor = new Map();
+    for (const discount of discounts.filter(d => d.discountClass === 'product')) {
+        for (const a of discount.allocations) {
+            const best = bestProductMinor.get(a.line);
+            const minor = toMinorUnits(a.amount, market);
+            if (!best || minor > best.minor) bestProductMinor.set(a.line, { minor, discount });
+        }
+    }
+
+    // Each line as one unit at its post-product-discount total
+    const reducedLines = lines.map((line, index) => ({
+        ...line,
+        quantity: 1,
+        price: fromMinorUnits(toMinorUnits(line.price, market) * line.quantity - (bestProductMinor.get(index)?.minor || 0), market)
+    }));
+
+    return discounts
+        .map(discount => {
+            if (discount.discountClass === 'product') {
+                const allocations = discount.allocations.filter(a => bestProductMinor.get(a.line)?.discount === discount);
+                return { ...discount, allocations, discountAmount: sumAllocations(allocations, market) };
+            }
+            if (discount.discountClass === 'order') {
+                const rule = { value_type: discount.discountType, value: discount.value, allocation_method: discount.allocationMethod };
+                const allocations = allocateLineDiscount(rule, reducedLines, discount.allocations.map(a => a.line), market)
+                    .map(a => ({ ...a, quantity: lines[a.line].quantity }));
+                return { ...discount, allocations, discountAmount: sumAllocations(allocations, market) };
+            }
+            return discount;
+        })
+        .filter(d => d.discountAmount > 0 || d.discountClass === 'shipping');
+}
+
+/**
+ * Choose which of the validated codes and qualifying automatic discounts
+ * apply together. Codes are taken in the order they were entered; when codes
+ * and automatic discounts can't stack, whichever set saves more wins.
+ * Returns { applied, rejected: [{ code, reason }] }.
+ */
+function combineDiscounts(codeDiscounts, automaticDiscounts, lines, market) {
+    const pick = (ordered) => {
+        const picked = [];
+        for (const discount of ordered) {
+            if (picked.every(p => discountsCombine(p, discount))) picked.push(discount);
+        }
+        return settleDiscountAmounts(picked, lines, market);
+    };
+    const total = (discounts) => discounts.reduce((sum, d) => sum + d.discountAmount, 0);
+
+    const codesFirst = pick([...codeDiscounts, ...automaticDiscounts]);
+    const automaticFirst = pick([...automaticDiscounts, ...codeDiscounts]);
+    const applied = total(automaticFirst) > total(codesFirst) ? automaticFirst : codesFirst;
+
+    const rejected = codeDiscounts
+        .filter(d => !applied.some(a => a.code === d.code))
+        .map(d => {
+            const blocker = applied.find(a => !discountsCombine(a, d));
+            return {
+                code: d.code,
+                reason: blocker
+                    ? `${getDiscountLabel(d)} can't be combined with ${getDiscountLabel(blocker)}`
+                    : `${getDiscountLabel(d)} doesn't add to the discounts already applied`
+            };
+        });
+
+    return { applied, rejected };
+}
+
+/**
+ * Validate every entered code against the cart, then combine them with the
+ * automatic discounts. Codes that fail validation come back in `invalid`.
+ */
+async function resolveCheckoutDiscounts({ codes, lines, email, shippingAmount = 0, currency }) {
+    const uniqueCodes = [...new Map(codes.map(c => [String(c).trim().toUpperCase(), String(c).trim()])).values()]
+        .filter(Boolean)
+        .slice(0, MAX_DISCOUNT_CODES);
+
+    const validated = [];
+    const invalid = [];
+    for (const code of uniqueCodes) {
+        try {
+            validated.push(await validateShopifyDiscountCode(code, { lines, email, shippingAmount, currency }));
+        } catch (err) {
+            const upstreamStatus = err?.response?.status;
+            if (upstreamStatus && upstreamStatus !== 404) throw err;
+            invalid.push({ code, error: upstreamStatus === 404 ? 'Discount code not found' : (err.message || 'Invalid discount code') });
+        }
+    }
+
+    const automatic = (await getApplicableAutomaticDiscounts({ lines, shippingAmount, currency })).filter(d => d.discountAmount > 0);
+    return { ...combineDiscounts(validated, automatic, lines, findMarketByCurrency(currency)), invalid };
+}
+
+// ==================== SHIPPING ====================
+
+/**
+ * Shipping rates by zone (a group of governorates), method and cart weight.
+ * Override the defaults with SHIPPING_RATES_FILE (path to a JSON file) or
+ * SHIPPING_RATES_JSON (inline JSON) using the same shape.
+ *
+ * A method's rate for a zone: `base` (EGP) covers the first `includedKg`,
+ * then `perExtraKg` for every started kilogram above it. A zone missing from
+ * a method's rates, or a cart heavier than `maxKg`, means the method isn't offered.
+ *
+ * `freeShipping` rules make a method free once the cart subtotal (verified
+ * item prices, before discount codes) reaches `minSubtotal`; `methods` and
+ * `zones` optionally narrow them. FREE_SHIPPING_MIN_SUBTOTAL adds a rule for
+ * standard shipping without editing the config.
+ *
+ * This is the Egypt config; other markets bring their own `shipping` (see
+ * MARKETS) and FREE_SHIPPING_MIN_SUBTOTAL_<suffix>. A market that uses this
+ * config or the unsuffixed variable gets their thresholds converted from the
+ * shop currency, or no free shipping without a `shopCurrencyRate`.
+ */
+const DEFAULT_SHIPPING_CONFIG = {
+    defaultZone: 'delta_canal',
+    freeShipping: [],
+    zones: [
+        { id: 'greater_cairo', name: 'Cairo & Giza', governorates: ['Cairo', 'Giza', 'Qalyubia'] },
+        { id: 'delta_canal', name: 'Alexandria, Delta & Canal', governorates: ['Alexandria', 'Beheira', 'Dakahlia', 'Damietta', 'Gharbia', 'Kafr El Sheikh', 'Monufia', 'Sharqia', 'Ismailia', 'Port Said', 'Suez'] },
+        { id: 'upper_egypt', name: 'Upper Egypt', governorates: ['Faiyum', 'Beni Suef', 'Minya', 'Asyut', 'Sohag', 'Qena', 'Luxor', 'Aswan'] },
+        { id: 'sinai_frontier', name: 'Sinai, Red Sea & Frontier', governorates: ['North Sinai', 'South Sinai', 'Red Sea', 'Matrouh', 'New Valley'] }
+    ],
+    methods: [
+        {
+            id: 'standard',
+            title: 'Standard Shipping',
+            description: '2 to 8 business days',
+            rates: {
+                greater_cairo:  { base: 100, includedKg: 2, perExtraKg: 15 },
+                delta_canal:    { base: 100, includedKg: 2, perExtraKg: 20 },
+                upper_egypt:    { base: 130, includedKg: 2, perExtraKg: 25 },
+                sinai_frontier: { base: 150, includedKg: 2, perExtraKg: 30 }
+            }
+        },
+        {
+            id: 'express',
+            title: 'Express Shipping',
+            description: '1 to 2 business days',
+            maxKg: 10,
+            rates: {
+                greater_cairo: { base: 180, includedKg: 2, perExtraKg: 25 },
+                delta_canal:   { base: 220, includedKg: 2, perExtraKg: 30 }
+            }
+        }
+    ]
+};
+
+let shippingConfigCache = null;
+
+function getShippingConfig(market = getDefaultMarket()) {
+    if (market.shipping) return market.shipping;
+    if (shippingConfigCache) return shippingConfigCache;
+    if (process.env.SHIPPING_RATES_FILE) {
+        shippingConfigCache = JSON.parse(require('fs').readFileSync(process.env.SHIPPING_RATES_FILE, 'utf8'));
+    } else if (process.env.SHIPPING_RATES_JSON) {
+        shippingConfigCache = JSON.parse(process.env.SHIPPING_RATES_JSON);
+    } else {
+        shippingConfigCache = DEFAULT_SHIPPING_CONFIG;
+    }
+    return shippingConfigCache;
+}
+
+function getFreeShippingRules(market) {
+    const inShopCurrency = (rule) => {
+        const minSubtotal = convertShopAmount(Number(rule.minSubtotal) || 0, market.currency);
+        return minSubtotal === null ? null : { ...rule, minSubtotal };
+    };
+    const configRules = getShippingConfig(market).freeShipping || [];
+    const rules = market.shipping ? [...configRules] : configRules.map(inShopCurrency);
+    const envMin = Number(getMarketEnv(market, 'FREE_SHIPPING_MIN_SUBTOTAL'));
+    if (envMin > 0) {
+        const rule = { minSubtotal: envMin, methods: ['standard'] };
+        rules.push(market.envSuffix ? rule : inShopCurrency(rule));
+    }
+    return rules.filter(Boolean);
+}
+
+function normalizeGovernorate(value) {
+    return String(value || '').toLowerCase().replace(/governorate/g, '').replace(/[^a-z]/g, '');
+}
+
+function getShippingGovernorates(market) {
+    return getShippingConfig(market).zones.flatMap(zone => zone.governorates);
+}
+
+function resolveShippingZone(governorate, market) {
+    const config = getShippingConfig(market);
+    const wanted = normalizeGovernorate(governorate);
+    const zone = config.zones.find(z => z.governorates.some(g => normalizeGovernorate(g) === wanted));
+    return zone || config.zones.find(z => z.id === config.defaultZone) || null;
+}
+
+/**
+ * All shipping options available for a governorate (or emirate / region) and
+ * cart weight in a market, cheapest first. Amounts are in the market's currency:
+ * `originalAmount` is the rate, `amount` what is charged after any
+ * free-shipping threshold (`discountAmount` / `discountTitle`).
+ */
+function getShippingOptions({ governorate, weightGrams, subtotal, market = getDefaultMarket() }) {
+    const zone = resolveShippingZone(governorate, market);
+    if (!zone) return [];
+    const kg = Math.max(0, Number(weightGrams) || 0) / 1000;
+
+    return getShippingConfig(market).methods
+        .map((method) => {
+            const rate = method.rates?.[zone.id];
+            if (!rate) return null;
+            if (method.maxKg && kg > method.maxKg) return null;
+            const extraKg = Math.max(0, Math.ceil(kg - (rate.includedKg || 0)));
+            const amount = fromMinorUnits(toMinorUnits(Number(rate.base) + extraKg * Number(rate.perExtraKg || 0), market), market);
+            const option = { id: method.id, title: method.title, description: method.description || '', zone: zone.id, originalAmount: amount, amount, discountAmount: 0, discountTitle: null };
+
+            const freeRule = getFreeShippingRules(market).find(rule =>
+                (Number(subtotal) || 0) >= Number(rule.minSubtotal) &&
+                (!rule.methods || rule.methods.includes(method.id)) &&
+                (!rule.zones || rule.zones.includes(zone.id)));
+            return freeRule
+                ? applyShippingDiscount(option, amount, `Free shipping over ${Number(freeRule.minSubtotal).toLocaleString('en-US')} ${market.currency}`, market)
+                : option;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.amount - b.amount);
+}
+
+/**
+ * Take `discountAmount` off what a shipping option charges (never below zero).
+ */
+function applyShippingDiscount(option, discountAmount, title, market) {
+    // Work in minor units so the amount and discount still add up to the original rate
+    const amount = toMinorUnits(option.amount, market);
+    const discount = Math.min(Math.max(0, toMinorUnits(Number(discountAmount) || 0, market)), amount);
+    return {
+        ...option,
+        amount: fromMinorUnits(amount - discount, market),
+        discountAmount: fromMinorUnits(toMinorUnits(option.discountAmount, market) + discount, market),
+        discountTitle: [option.discountTitle, title].filter(Boolean).join(', ') || null
+    };
+}
+
+/**
+ * Price the shopper's chosen method server-side. Returns null when that
+ * method isn't offered for the destination / weight.
+ */
+function selectShippingOption({ governorate, weightGrams, subtotal, method, market }) {
+    const options = getShippingOptions({ governorate, weightGrams, subtotal, market });
+    return options.find(o => o.id === String(method || 'standard').toLowerCase()) || null;
+}
+
+function getCartWeightGrams(items) {
+    return items.reduce((sum, item) => sum + (Number(item.weightGrams) || 0) * item.quantity, 0);
+}
+
+// ==================== PAYMOB FUNCTIONS ====================
+
+async function paymobAuthenticate(market) {
+    try {
+        const response = await axios.post(`${market.paymobBaseUrl}/api/auth/tokens`, {
+            api_key: getMarketEnv(market, 'PAYMOB_API_KEY')
+        });
+        return response.data.token;
+    } catch (error) {
+        console.error('Paymob auth error:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+const PAYMOB_TOKEN_TTL_MS = 60 * 60 * 1000;            // Paymob auth tokens are valid for one hour
+const PAYMOB_TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;  // refresh this long before they expire
+
+/**
+ * Caches a market's Paymob auth token until shortly before it expires. Concurrent
+ * callers share a single in-flight refresh instead of each authenticating.
+ */
+function createPaymobTokenManager(market) {
+    let token = null;
+    let expiresAt = 0;
+    let refreshing = null;
+
+    return {
+        async getToken() {
+            if (token && Date.now() < expiresAt - PAYMOB_TOKEN_REFRESH_MARGIN_MS) return token;
+            if (!refreshing) {
+                refreshing = paymobAuthenticate(market)
+                    .then((fresh) => {
+                        token = fresh;
+                        expiresAt = Date.now() + PAYMOB_TOKEN_TTL_MS;
+                        return fresh;
+                    })
+                    .finally(() => { refreshing = null; });
+            }
+            return refreshing;
+        },
+        // Only drop the token the caller saw rejected — another request may already have refreshed it
+        invalidate(rejected) {
+            if (!rejected || rejected === token) {
+                token = null;
+                expiresAt = 0;
+            }
+        }
+    };
+}
+
+// One per market — each Paymob account has its own tokens
+const paymobTokenManagers = new Map();
+
+function getPaymobTokenManager(market) {
+    if (!paymobTokenManagers.has(market.id)) paymobTokenManagers.set(market.id, createPaymobTokenManager(market));
+    return paymobTokenManagers.get(market.id);
+}
+
+/**
+ * Run a Paymob API call with the market's cached auth token. If Paymob rejects
+ * the token as stale, re-authenticate once and retry transparently.
+ */
+async function withPaymobAuth(market, call) {
+    const paymobTokenManager = getPaymobTokenManager(market);
+    const token = await paymobTokenManager.getToken();
+    try {
+        return await call(token);
+    } catch (error) {
+        const status = error?.response?.status;
+        if (status !== 401 && status !== 403) throw error;
+        console.warn('🔑 Paymob rejected cached auth token, re-authenticating');
+        paymobTokenManager.invalidate(token);
+        return call(await paymobTokenManager.getToken());
+    }
+}
+
+async function paymobRegisterOrder(amountCents, merchantOrderId, items, shipping, market) {
+    try {
+        const paymobItems = items.map(item => ({
+            name: item.name,
+            amount_cents: toMinorUnits(item.price, market),
+            description: item.description || item.name,
+            quantity: item.quantity
+        }));
+
+        paymobItems.push({
+            name: shipping.title,
+            amount_cents: toMinorUnits(shipping.amount, market),
+            description: 'Shipping',
+            quantity: 1
+        });
+
+        const response = await withPaymobAuth(market, (authToken) => axios.post(`${market.paymobBaseUrl}/api/ecommerce/orders`, {
+            auth_token: authToken,
+            delivery_needed: false,
+            amount_cents: amountCents,  // the quoted amount due, never re-summed from the items
+            currency: market.currency,
+            merchant_order_id: merchantOrderId,
+            items: paymobItems
+        }));
+
+        return { ...response.data, _totalCents: amountCents };
+    } catch (error) {
+        console.error('Paymob order registration error:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Paymob rejects billing data with empty fields, so every field gets a placeholder.
+ */
+function buildPaymobBillingData(billingData, market) {
+    billingData = billingData || {};
+    return {
+        apartment: billingData.apartment || 'NA',
+        email: billingData.email || 'customer@example.com',
+        floor: billingData.floor || 'NA',
+        first_name: billingData.first_name || 'Customer',
+        street: billingData.street || 'NA',
+        building: billingData.building || 'NA',
+        phone_number: billingData.phone_number || '+20000000000',
+        shipping_method: 'PKG',
+        postal_code: billingData.postal_code || '00000',
+        city: billingData.city || 'Cairo',
+        country: market.country,
+        last_name: billingData.last_name || 'Customer',
+        state: billingData.state || 'Cairo'
+    };
+}
+
+async function paymobGetPaymentKey(orderId, amountCents, billingData, integrationId, market) {
+    try {
+        const response = await withPaymobAuth(market, (authToken) => axios.post(`${market.paymobBaseUrl}/api/acceptance/payment_keys`, {
+            auth_token: authToken,
+            amount_cents: amountCents,
+            expiration: 3600,
+            order_id: orderId,
+            billing_data: buildPaymobBillingData(billingData, market),
+            currency: market.currency,
+            integration_id: integrationId
+        }));
+        return response.data.token;
+    } catch (error) {
+        console.error('Paymob payment key error:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Create a payment intention (Unified Checkout API).
+ * Paymob requires the item amounts to add up to `amount`; when a discount
+ * breaks that, the order is sent as a single summary line instead.
+ */
+async function paymobCreateIntention({ market, amountCents, items, shipping, billingData, customer, integrationIds, specialReference, notificationUrl, redirectionUrl }) {
+    try {
+        let intentionItems = items.map(item => ({
+            name: item.name,
+            amount: toMinorUnits(item.price, market),
+            description: item.description || item.name,
+            quantity: item.quantity
+        }));
+        if (shipping?.amount) intentionItems.push({ name: shipping.title, amount: toMinorUnits(shipping.amount, market), description: 'Shipping', quantity: 1 });
+
+        const itemsCents = intentionItems.reduce((sum, item) => sum + item.amount * item.quantity, 0);
+        if (itemsCents !== amountCents) {
+            intentionItems = [{ name: `Order ${specialReference}`, amount: amountCents, description: 'Nazeerah order', quantity: 1 }];
+        }
+
+        const payload = {
+            amount: amountCents,
+            currency: market.currency,
+            payment_methods: integrationIds.map(Number),
+            items: intentionItems,
+            billing_data: buildPaymobBillingData(billingData, market),
+            customer: {
+                first_name: customer?.firstName || customer?.first_name || billingData?.first_name || 'Customer',
+                last_name: customer?.lastName || customer?.last_name || billingData?.last_name || 'Customer',
+                email: customer?.email || billingData?.email || 'customer@example.com'
+            },
+            special_reference: specialReference,
+            expiration: 3600
+        };
+        if (notificationUrl) payload.notification_url = notificationUrl;
+        if (redirectionUrl) payload.redirection_url = redirectionUrl;
+
+        const response = await axios.post(`${market.paymobBaseUrl}/v1/intention/`, payload, {
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Token ${getMarketEnv(market, 'PAYMOB_SECRET_KEY')}` }
+        });
+        return response.data;
+    } catch (error) {
+        console.error('Paymob intention error:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Verify the HMAC Paymob attaches to transaction callbacks and redirects,
+ * with the secret of the market's Paymob account.
+ * Accepts the webhook's nested object (order.id, source_data.pan) as well as
+ * the flattened form used by the redirect query string ("source_data.pan").
+ */
+function verifyPaymobHmac(txn, receivedHmac, market) {
+    const hmacSecret = getMarketEnv(market, 'PAYMOB_HMAC');
+    if (!hmacSecret || !receivedHmac || !txn) return false;
+
+    const crypto = require('crypto');
+    const source = txn.source_data && typeof txn.source_data === 'object' ? txn.source_data : {};
+    const pick = (...values) => values.find(v => v !== undefined && v !== null);
+    const order = txn.order && typeof txn.order === 'object' ? txn.order.id : txn.order;
+
+    const concatenatedString = [
+        txn.amount_cents, txn.created_at, txn.currency, txn.error_occured,
+        txn.has_parent_transaction, txn.id, txn.integration_id, txn.is_3d_secure,
+        txn.is_auth, txn.is_capture, txn.is_refunded, txn.is_standalone_payment,
+        txn.is_voided, order, txn.owner, txn.pending,
+        pick(source.pan, txn['source_data.pan'], txn.source_data_pan),
+        pick(source.sub_type, txn['source_data.sub_type'], txn.source_data_sub_type),
+        pick(source.type, txn['source_data.type'], txn.source_data_type),
+        txn.success
+    ].map(v => (v === undefined || v === null ? '' : String(v))).join('');
+
+    const calculated = crypto.createHmac('sha512', hmacSecret).update(concatenatedString).digest('hex');
+    const received = String(receivedHmac).toLowerCase();
+    return calculated.length === received.length &&
+        crypto.timingSafeEqual(Buffer.from(calculated), Buffer.from(received));
+}
+
+async function paymobRefundTransaction(transactionId, amountCents, market) {
+    try {
+        const response = await withPaymobAuth(market, (authToken) => axios.post(`${market.paymobBaseUrl}/api/acceptance/void_refund/refund`, {
+            auth_token: authToken,
+            transaction_id: transactionId,
+            amount_cents: amountCents
+        }));
+        return response.data;
+    } catch (error) {
+        console.error('Paymob refund error:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+async function paymobVoidTransaction(transactionId, market) {
+    try {
+        const response = await withPaymobAuth(market, (authToken) => axios.post(
+            `${market.paymobBaseUrl}/api/acceptance/void_refund/void?token=${encodeURIComponent(authToken)}`,
+            { transaction_id: transactionId }
+        ));
+        return response.data;
+    } catch (error) {
+        console.error('Paymob void error:', error.response?.data || error.message);
+        throw error;
+    }
+}
+
+// ==================== PAYMOB PROVIDERS ====================
+
+/**
+ * Card / wallet payments go through one of two Paymob flows, selected with
+ * PAYMOB_CHECKOUT_FLOW=legacy|intention (default legacy):
+ *   legacy:    (cached) auth token → register order → payment key → iframe URL
+ *   intention: one Intention API call → Unified Checkout URL listing every enabled integration
+ * Both receive the same order (amountCents is the quote's amountDue) and return { paymentUrl, paymobOrderId, ... }.
+ * Callbacks and redirects are HMAC-signed the same way for either flow.
+ * `requiredEnv` names are the Egypt ones; other markets add their suffix.
+ */
+const paymobProviders = {
+    legacy: {
+        requiredEnv: ['PAYMOB_API_KEY'],
+        async createPayment({ market, amountCents, merchantOrderId, items, shipping, billingData, methodConfig }) {
+            // Register with Paymob using the post-discount total
+            const paymobOrder = await paymobRegisterOrder(amountCents, merchantOrderId, items, shipping, market);
+
+            const paymentKey = await paymobGetPaymentKey(
+                paymobOrder.id, paymobOrder._totalCents, billingData, methodConfig.integrationId, market
+            );
+
+            const paymentUrl = methodConfig.iframeId
+                ? `${market.paymobBaseUrl}/api/acceptance/iframes/${methodConfig.iframeId}?payment_token=${paymentKey}`
+                : null;
+
+            return { paymentUrl, paymobOrderId: paymobOrder.id, paymentToken: paymentKey };
+        }
+    },
+
+    intention: {
+        requiredEnv: ['PAYMOB_SECRET_KEY', 'PAYMOB_PUBLIC_KEY'],
+        async createPayment({ market, amountCents, merchantOrderId, items, shipping, billingData, customer, methodConfig, baseUrl }) {
+            const intention = await paymobCreateIntention({
+                market,
+                amountCents,
+                items,
+                shipping,
+                billingData,
+                customer,
+                integrationIds: getPaymobIntentionIntegrationIds(methodConfig, market),
+                specialReference: merchantOrderId,
+                notificationUrl: baseUrl ? `${baseUrl}/api/paymob/callback` : null,
+                redirectionUrl: baseUrl ? `${baseUrl}/api/paymob/response` : null
+            });
+
+            const paymentUrl = `${market.paymobBaseUrl}/unifiedcheckout/?publicKey=${encodeURIComponent(getMarketEnv(market, 'PAYMOB_PUBLIC_KEY'))}` +
+                `&clientSecret=${encodeURIComponent(intention.client_secret)}`;
+
+            return { paymentUrl, paymobOrderId: intention.intention_order_id || null, intentionId: intention.id, clientSecret: intention.client_secret };
+        }
+    }
+};
+
+function getPaymobProvider() {
+    const flow = String(process.env.PAYMOB_CHECKOUT_FLOW || 'legacy').toLowerCase();
+    const provider = paymobProviders[flow];
+    if (!provider) throw new Error(`Unknown PAYMOB_CHECKOUT_FLOW "${flow}" (expected legacy or intention)`);
+    return provider;
+}
+
+/**
+ * Unified Checkout shows every integration passed in. PAYMOB_INTENTION_INTEGRATION_IDS
+ * (comma-separated) overrides the default of all configured card / wallet integrations.
+ */
+function getPaymobIntentionIntegrationIds(methodConfig, market) {
+    const configured = String(getMarketEnv(market, 'PAYMOB_INTENTION_INTEGRATION_IDS') || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (configured.length) return configured;
+    return [...new Set([
+        methodConfig?.integrationId,
+        getMarketEnv(market, 'PAYMOB_INTEGRATION_ID_CARD'),
+        getMarketEnv(market, 'PAYMOB_INTEGRATION_ID_WALLET'),
+        getMarketEnv(market, 'PAYMOB_INTEGRATION_ID')
+    ].filter(Boolean))];
+}
+
+// ==================== IDEMPOTENCY ====================
+
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+const IDEMPOTENCY_LOCK_TTL_MS = 2 * 60 * 1000;  // pending marker outlives any sane checkout
+const IDEMPOTENCY_WAIT_MS = 30 * 1000;
+const idempotencyStore = createStore('idempotency-keys');
+const inflightIdempotentRequests = new Map();
+
+function isValidIdempotencyKey(key) {
+    return typeof key === 'string' && /^[A-Za-z0-9_.:-]{8,255}$/.test(key);
+}
+
+function fingerprintRequest(body) {
+    return require('crypto').createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+/**
+ * Poll the store until another instance finishes the request holding the key.
+ */
+async function waitForIdempotentResult(key) {
+    const deadline = Date.now() + IDEMPOTENCY_WAIT_MS;
+    while (Date.now() < deadline) {
+        const entry = await idempotencyStore.get(key);
+        if (!entry || entry.state === 'completed') return entry;
+        await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+    return { state: 'pending' };
+}
+
+/**
+ * Run `handler` at most once per idempotency key.
+ *   - completed key           → replay the stored { status, body }
+ *   - in flight, same process → share the running promise
+ *   - in flight, elsewhere    → wait for it, then replay
+ *   - same key, other payload → 422
+ * Only 2xx results are stored; failures release the key so the shopper can retry.
+ */
+async function runIdempotent(key, requestBody, handler) {
+    if (!key) return handler();
+
+    const fingerprint = fingerprintRequest(requestBody);
+    const mismatch = { status: 422, body: { success: false, error: 'Idempotency-Key was already used for a different checkout' } };
+
+    const inflight = inflightIdempotentRequests.get(key);
+    if (inflight) {
+        if (inflight.fingerprint !== fingerprint) return mismatch;
+        return { ...(await inflight.promise), replayed: true };
+    }
+
+    const claimed = await idempotencyStore.setIfAbsent(key, { state: 'pending', fingerprint, startedAt: Date.now() }, IDEMPOTENCY_LOCK_TTL_MS);
+    if (!claimed) {
+        const existing = await waitForIdempotentResult(key);
+        if (!existing) return runIdempotent(key, requestBody, handler); // the other attempt failed and released the key
+        if (existing.fingerprint && existing.fingerprint !== fingerprint) return mismatch;
+        if (existing.state !== 'completed')
+            return { status: 409, body: { success: false, error: 'This checkout is already being processed, please wait' } };
+        return { ...existing.response, replayed: true };
+    }
+
+    const promise = (async () => {
+        try {
+            const result = await handler();
+            if (result.status >= 200 && result.status < 300) {
+                await idempotencyStore.set(key, { state: 'completed', fingerprint, response: result }, IDEMPOTENCY_TTL_MS);
+            } else {
+                await idempotencyStore.delete(key);
+            }
+            return result;
+        } catch (err) {
+            await idempotencyStore.delete(key).catch(() => {});
+            throw err;
+        }
+    })();
+
+    inflightIdempotentRequests.set(key, { fingerprint, promise });
+    try {
+        return await promise;
+    } finally {
+        inflightIdempotentRequests.delete(key);
+    }
+}
+
+// ==================== RATE LIMITING ====================
+
+/**
+ * Fixed-window counters for endpoints that leak something per attempt (gift
+ * card balances, discount eligibility). Set TRUST_PROXY (e.g. 1 or true) when
+ * running behind a proxy so req.ip is the shopper's address.
+ */
+const rateLimits = createStore('rate-limits');
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY === 'true');
+
+// Failed gift card lookups allowed per window, per IP and per code prefix
+const GIFT_CARD_THROTTLE = { limit: Number(process.env.GIFT_CARD_LOOKUP_LIMIT) || 10, windowMs: 15 * 60 * 1000 };
+const GIFT_CARD_THROTTLE_PREFIX_LENGTH = 6;
+
+// Discount code checks allowed per window, per IP and per email (each one can reveal a customer's eligibility)
+const DISCOUNT_VALIDATE_THROTTLE = { limit: Number(process.env.DISCOUNT_VALIDATE_LIMIT) || 30, windowMs: 15 * 60 * 1000 };
+
+// Contact saves allowed per window, per IP and per checkout (each one writes to the store)
+const CHECKOUT_PROGRESS_THROTTLE = { limit: Number(process.env.CHECKOUT_PROGRESS_LIMIT) || 20, windowMs: 15 * 60 * 1000 };
+
+async function isRateLimited(keys, { limit }) {
+    for (const key of keys) {
+        const entry = await rateLimits.get(key);
+        if (entry && entry.count >= limit) return true;
+    }
+    return false;
+}
+
+async function recordRateLimitHit(keys, { windowMs }) {
+    const now = Date.now();
+    for (const key of keys) {
+        const entry = await rateLimits.get(key);
+        const current = entry && entry.resetAt > now ? entry : { count: 0, resetAt: now + windowMs };
+        current.count += 1;
+        await rateLimits.set(key, current, current.resetAt - now);
+    }
+}
+
+/**
+ * Express middleware: every request counts, and once any key is over its
+ * limit the request gets a 429. `keys(req)` names the counters.
+ */
+function rateLimit(keys, options) {
+    return async (req, res, next) => {
+        try {
+            const names = keys(req).filter(Boolean);
+            if (await isRateLimited(names, options))
+                return res.status(429).json({ success: false, error: 'Too many attempts, please try again later' });
+            await recordRateLimitHit(names, options);
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+}
+
+/**
+ * Throttles every request that checks discount codes against a shopper's
+ * email (validate, resolve, quote and checkout), per IP and per email.
+ * Requests without codes are not counted, so re-quoting a cart stays free.
+ */
+const discountValidateLimit = rateLimit(req => {
+    const body = req.body || {};
+    const entered = [body.code, body.codes, body.appliedDiscounts, body.appliedDiscount].flat()
+        .map(c => (c && typeof c === 'object' ? c.code : c));
+    if (!entered.some(c => typeof c === 'string' && c.trim())) return [];
+
+    const email = [body.email, body.customer?.email].find(e => typeof e === 'string' && e.trim());
+    return [`discount:ip:${req.ip}`, email && `discount:email:${email.trim().toLowerCase()}`];
+}, DISCOUNT_VALIDATE_THROTTLE);
+
+// ==================== PAYMOB TRANSACTION LEDGER ====================
+
+/**
+ * Persistent record of every Paymob transaction we have seen, so webhook
+ * retries and duplicate callbacks never repeat side effects.
+ *
+ * Keys in the ledger store:
+ *   txn:<transactionId>            → transaction record (state, amounts, Shopify ids)
+ *   draft:<shopifyDraftOrderId>    → transactionId
+ *   order:<shopifyOrderId>         → transactionId
+ *   claim:<transactionId>:<event>  → processing / done marker for one side effect
+ */
+const LEDGER_CLAIM_TTL_MS = 5 * 60 * 1000; // a crashed handler's claim expires and can be retried
+const paymobLedger = createStore('paymob-transactions');
+
+async function getLedgerTransaction(transactionId) {
+    return transactionId ? paymobLedger.get(`txn:${transactionId}`) : null;
+}
+
+async function findLedgerTransactionByDraftOrder(shopifyDraftOrderId) {
+    const transactionId = shopifyDraftOrderId ? await paymobLedger.get(`draft:${shopifyDraftOrderId}`) : null;
+    return getLedgerTransaction(transactionId);
+}
+
+async function findLedgerTransactionByShopifyOrder(shopifyOrderId) {
+    const transactionId = shopifyOrderId ? await paymobLedger.get(`order:${shopifyOrderId}`) : null;
+    return getLedgerTransaction(transactionId);
+}
+
+/**
+ * Merge `patch` into a transaction record and keep the lookup indexes current.
+ */
+async function recordLedgerTransaction(transactionId, patch) {
+    const existing = await getLedgerTransaction(transactionId);
+    const now = new Date().toISOString();
+    const record = { ...(existing || { transactionId: String(transactionId), createdAt: now }), ...patch, updatedAt: now };
+
+    await paymobLedger.set(`txn:${transactionId}`, record);
+    if (record.shopifyDraftOrderId) {
+        // The draft index stays pinned to the transaction that produced the Shopify order
+        const current = await findLedgerTransactionByDraftOrder(record.shopifyDraftOrderId);
+        if (!current?.shopifyOrderId || current.transactionId === record.transactionId)
+            await paymobLedger.set(`draft:${record.shopifyDraftOrderId}`, record.transactionId);
+    }
+    if (record.shopifyOrderId) await paymobLedger.set(`order:${record.shopifyOrderId}`, record.transactionId);
+    return record;
+}
+
+/**
+ * Claim one side effect (e.g. 'paid') of a transaction.
+ * Returns 'claimed' when the caller should do the work, 'processing' when
+ * another request is doing it right now, and 'done' when it already happened.
+ */
+async function claimLedgerEvent(transactionId, event) {
+    const key = `claim:${transactionId}:${event}`;
+    if (await paymobLedger.setIfAbsent(key, { state: 'processing', at: Date.now() }, LEDGER_CLAIM_TTL_MS)) return 'claimed';
+    const existing = await paymobLedger.get(key);
+    return existing?.state === 'done' ? 'done' : 'processing';
+}
+
+async function completeLedgerEvent(transactionId, event) {
+    await paymobLedger.set(`claim:${transactionId}:${event}`, { state: 'done', at: Date.now() });
+}
+
+async function releaseLedgerEvent(transactionId, event) {
+    await paymobLedger.delete(`claim:${transactionId}:${event}`);
+}
+
+// ==================== NOTIFICATIONS ====================
+
+/**
+ * Shopper notifications go through a chain of providers, tried in order until
+ * one delivers:
+ *   klaviyo: fires the Klaviyo event; a Klaviyo flow sends the actual email
+ *   smtp:    renders our own branded email and sends it through SMTP_HOST
+ *   file:    writes the rendered email to NOTIFICATIONS_FILE_DIR (default .data/notifications)
+ *   console: logs the rendered email — for development and tests
+ * NOTIFICATION_PROVIDERS sets the chain for every type (default klaviyo);
+ * NOTIFICATION_PROVIDERS_ORDER_CONFIRMATION / _PAYMENT_FAILED override it per
+ * type, e.g. "smtp,klaviyo". Providers missing their env are passed over, and
+ * one that throws falls through to the next; only when every provider fails
+ * does sendNotification throw (so an outbox job retries it).
+ */
+const NOTIFICATION_TYPES = {
+    orderConfirmation: 'ORDER_CONFIRMATION',
+    paymentFailed: 'PAYMENT_FAILED'
+};
+
+const notificationProviders = {
+    klaviyo: {
+        requiredEnv: ['KLAVIYO_API_KEY'],
+        async send(type, message) {
+            if (type === 'orderConfirmation') {
+                await sendOrderConfirmationEmail(message);
+                return { sent: true };
+            }
+            return sendPaymentFailedEvent(message);
+        }
+    },
+
+    smtp: {
+        requiredEnv: ['SMTP_HOST', 'NOTIFICATION_FROM'],
+        async send(type, message) {
+            const email = renderNotificationEmail(type, message);
+            const info = await getSmtpTransport().sendMail({
+                from: process.env.NOTIFICATION_FROM,
+                to: message.email,
+                ...(process.env.NOTIFICATION_REPLY_TO ? { replyTo: process.env.NOTIFICATION_REPLY_TO } : {}),
+                subject: email.subject,
+                text: email.text,
+                html: email.html
+            });
+            console.log(`📧 ${email.subject} emailed to ${message.email} (${info.messageId})`);
+            return { sent: true, messageId: info.messageId };
+        }
+    },
+
+    file: {
+        requiredEnv: [],
+        async send(type, message) {
+            const fs = require('fs');
+            const path = require('path');
+            const dir = path.resolve(process.env.NOTIFICATIONS_FILE_DIR || path.join(process.env.STORE_FILE_DIR || '.data', 'notifications'));
+            await fs.promises.mkdir(dir, { recursive: true });
+
+            const email = renderNotificationEmail(type, message);
+            const file = path.join(dir, `${Date.now()}-${type}-${String(message.orderNumber || message.draftOrderId || 'message').replace(/[^\w-]/g, '')}`);
+            await fs.promises.writeFile(`${file}.html`, email.html);
+            await fs.promises.writeFile(`${file}.json`, JSON.stringify({ type, to: message.email, subject: email.subject, text: email.text, message }, null, 2));
+            console.log(`📝 ${email.subject} for ${message.email} written to ${file}.html`);
+            return { sent: true, file: `${file}.html` };
+        }
+    },
+
+    console: {
+        requiredEnv: [],
+        async send(type, message) {
+            const email = renderNotificationEmail(type, message);
+            console.log(`📝 [${type}] to ${message.email}: ${email.subject}\n${email.text}`);
+            return { sent: true };
+        }
+    }
+};
+
+function getNotificationProviderNames(type) {
+    const configured = process.env[`NOTIFICATION_PROVIDERS_${NOTIFICATION_TYPES[type]}`] || process.env.NOTIFICATION_PROVIDERS || 'klaviyo';
+    return configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Deliver a notification through the first provider in its chain that can.
+ * `providerNames` overrides the configured chain.
+ */
+async function sendNotification(type, message, { providerNames = getNotificationProviderNames(type) } = {}) {
+    if (!NOTIFICATION_TYPES[type]) throw new Error(`Unknown notification type "${type}"`);
+    if (!message?.email) return { skipped: true, reason: 'Missing customer email' };
+    return runNotificationProviders(notificationProviders, providerNames, type, message, message.email);
+}
+
+/**
+ * Try each named provider in turn; the first that delivers wins. Throws only
+ * when none delivered and at least one failed. Shared by email and text.
+ */
+async function runNotificationProviders(providers, providerNames, type, message, recipient) {
+    const failures = [];
+    const skipped = [];
+    for (const name of providerNames) {
+        const provider = providers[name];
+        if (!provider) {
+            failures.push(`${name}: unknown provider`);
+            continue;
+        }
+        const missing = provider.requiredEnv.filter(key => !process.env[key]);
+        if (missing.length) {
+            skipped.push(`${name}: missing ${missing.join(', ')}`);
+            continue;
+        }
+        try {
+            const result = await provider.send(type, message);
+            if (result?.skipped) {
+                skipped.push(`${name}: ${result.reason}`);
+                continue;
+            }
+            if (failures.length) console.warn(`↪️ ${type} for ${recipient} delivered by ${name} after: ${failures.join('; ')}`);
+            return { ...result, provider: name };
+        } catch (err) {
+            const reason = err?.response?.data ? JSON.stringify(err.response.data) : err.message;
+            console.error(`❌ ${name} could not send ${type} to ${recipient}:`, reason);
+            failures.push(`${name}: ${reason}`);
+        }
+    }
+
+    if (failures.length) throw new Error(`No provider delivered ${type}: ${failures.join('; ')}`);
+    return { skipped: true, reason: skipped.join('; ') || 'No notification providers configured' };
+}
+
+let smtpTransport = null;
+
+function getSmtpTransport() {
+    if (!smtpTransport) {
+        const nodemailer = require('nodemailer');
+        const port = Number(process.env.SMTP_PORT) || 587;
+        smtpTransport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            ...(process.env.SMTP_USER ? { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } } : {})
+        });
+    }
+    return smtpTransport;
+}
+
+const NOTIFICATION_LOGO_URL = 'https://cdn.shopify.com/s/files/1/0691/2930/6408/files/nazeerah-logo-black.svg?v=1732712680';
+
+function escapeEmailHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function formatNotificationMoney(amount, currency) {
+    const code = currency || getDefaultMarket().currency;
+    const locale = findMarketByCurrency(code)?.locale || 'en';
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: code }).format(Number(amount) || 0);
+}
+
+/**
+ * Subject, plain text and branded HTML for the smtp / file / console providers.
+ * The HTML is table-based with inline styles so mail clients render it as-is.
+ */
+function renderNotificationEmail(type, message) {
+    const name = message.firstName ? `Hi ${message.firstName},` : 'Hi,';
+    const shopUrl = process.env.FRONTEND_URL || '';
+    let subject, heading, intro, rows = [], textRows = [], action = null;
+
+    if (type === 'orderConfirmation') {
+        subject = `Order #${message.orderNumber} confirmed`;
+        heading = 'Thank you for your order';
+        intro = `We've received order #${message.orderNumber} and are getting it ready. We'll let you know when it ships.`;
+        for (const item of message.items || []) {
+            const lineTotal = (Number(item.price) || 0) * (Number(item.quantity) || 1);
+            rows.push([`${item.name} × ${item.quantity}`, formatNotificationMoney(lineTotal, message.currency)]);
+        }
+        rows.push(['Total', formatNotificationMoney(message.totalAmount, message.currency)]);
+        if (shopUrl) action = { label: 'Continue shopping', url: shopUrl };
+    } else {
+        subject = 'Your payment didn\'t go through';
+        heading = 'Your payment didn\'t go through';
+        intro = message.reason || 'Your payment was not completed. Your bag is saved, so you can try again whenever you\'re ready.';
+        rows.push(['Amount', formatNotificationMoney(message.totalAmount, message.currency)]);
+        if (message.retryUrl) action = { label: 'Try again', url: message.retryUrl };
+    }
+    textRows = rows.map(([label, value]) => `${label}: ${value}`);
+
+    const rowsHtml = rows.map(([label, value], i) => {
+        const isTotal = type === 'orderConfirmation' && i === rows.length - 1;
+        const cell = `padding:10px 0;border-top:1px solid #e8e4df;${isTotal ? 'font-weight:bold;' : ''}`;
+        return `<tr><td style="${cell}">${escapeEmailHtml(label)}</td><td style="${cell}text-align:right;">${escapeEmailHtml(value)}</td></tr>`;
+    }).join('');
+    const actionHtml = action
+        ? `<p style="margin:28px 0 0;"><a href="${escapeEmailHtml(action.url)}" style="display:inline-block;padding:14px 28px;background:#1a1a1a;color:#ffffff;text-decoration:none;letter-spacing:1px;text-transform:uppercase;font-size:12px;">${escapeEmailHtml(action.label)}</a></p>`
+        : '';
+
+    const html = `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeEmailHtml(subject)}</title></head>
+<body style="margin:0;padding:0;background:#f5f3f0;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f5f3f0;padding:32px 12px;">
+  <tr><td align="center">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;background:#ffffff;border:1px solid #e8e4df;font-family:Futura,'Century Gothic',Helvetica,Arial,sans-serif;color:#1a1a1a;font-size:14px;line-height:1.6;">
+      <tr><td align="center" style="padding:32px 32px 8px;"><img src="${NOTIFICATION_LOGO_URL}" alt="Nazeerah" width="120" style="display:block;border:0;"></td></tr>
+      <tr><td style="padding:16px 32px 32px;">
+        <h1 style="margin:0 0 16px;font-size:20px;font-weight:normal;letter-spacing:1px;color:#1a1a1a;">${escapeEmailHtml(heading)}</h1>
+        <p style="margin:0 0 8px;">${escapeEmailHtml(name)}</p>
+        <p style="margin:0 0 24px;color:#6b6258;">${escapeEmailHtml(intro)}</p>
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0">${rowsHtml}</table>
+        ${actionHtml}
+      </td></tr>
+      <tr><td style="padding:16px 32px;border-top:1px solid #e8e4df;color:#888077;font-size:12px;text-align:center;">Nazeerah</td></tr>
+    </table>
+  </td></tr>
+</table>
+</body></html>`;
+
+    const text = [name, '', intro, '', ...textRows, ...(action ? ['', `${action.label}: ${action.url}`] : []), '', 'Nazeerah'].join('\n');
+    return { subject, html, text };
+}
+
+// ==================== TEXT NOTIFICATIONS ====================
+
+/**
+ * Order updates by WhatsApp or SMS, to the phone number on the order:
+ *   orderPlaced       order paid in full by gift card
+ *   paymentConfirmed  Paymob card / wallet payment went through
+ *   codConfirmation   cash on delivery order, with the amount to have ready
+ *   shipped           Shopify marked the order fulfilled (with tracking if any)
+ * Providers, chained like the email ones:
+ *   whatsapp: WhatsApp Cloud API template message. Each type needs an approved
+ *             template named in WHATSAPP_TEMPLATE_<TYPE> (e.g. WHATSAPP_TEMPLATE_SHIPPED)
+ *             whose body takes the same parameters, in order, as `params` below;
+ *             a type without one is passed to the next provider.
+ *   sms:      Twilio SMS with the rendered text
+ *   file / console: the rendered text, for development and tests
+ * TEXT_NOTIFICATION_PROVIDERS sets the chain (default none — the channel is
+ * off), TEXT_NOTIFICATION_PROVIDERS_<TYPE> overrides it per type.
+ */
+const TEXT_NOTIFICATION_TEMPLATES = {
+    orderPlaced: {
+        envName: 'ORDER_PLACED',
+        params: (m) => [m.firstName || 'there', String(m.orderNumber), formatNotificationMoney(m.totalAmount, m.currency)],
+        render: ([name, order, total]) => `Hi ${name}, thank you for your Nazeerah order #${order} (${total}). We'll message you when it ships.`
+    },
+    paymentConfirmed: {
+        envName: 'PAYMENT_CONFIRMED',
+        params: (m) => [m.firstName || 'there', String(m.orderNumber), formatNotificationMoney(m.totalAmount, m.currency)],
+        render: ([name, order, total]) => `Hi ${name}, we've received your payment of ${total} for Nazeerah order #${order}. We'll message you when it ships.`
+    },
+    codConfirmation: {
+        envName: 'COD_CONFIRMATION',
+        params: (m) => [m.firstName || 'there', String(m.orderNumber), formatNotificationMoney(m.totalAmount, m.currency)],
+        render: ([name, order, total]) => `Hi ${name}, your Nazeerah order #${order} is confirmed. Please have ${total} ready in cash when it arrives.`
+    },
+    shipped: {
+        envName: 'SHIPPED',
+        params: (m) => [m.firstName || 'there', String(m.orderNumber), m.trackingUrl || m.trackingNumber || ''],
+        render: ([name, order, tracking]) => `Hi ${name}, your Nazeerah order #${order} is on its way.${tracking ? ` Track it here: ${tracking}` : ''}`
+    }
+};
+
+const textNotificationProviders = {
+    whatsapp: {
+        requiredEnv: ['WHATSAPP_PHONE_NUMBER_ID', 'WHATSAPP_ACCESS_TOKEN'],
+        async send(type, message) {
+            const templateName = process.env[`WHATSAPP_TEMPLATE_${TEXT_NOTIFICATION_TEMPLATES[type].envName}`];
+            if (!templateName) return { skipped: true, reason: `No WHATSAPP_TEMPLATE_${TEXT_NOTIFICATION_TEMPLATES[type].envName}` };
+
+            const response = await axios.post(
+                `https://graph.facebook.com/${process.env.WHATSAPP_API_VERSION || 'v21.0'}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
+                {
+                    messaging_product: 'whatsapp',
+                    to: message.phone.replace(/^\+/, ''),
+                    type: 'template',
+                    template: {
+                        name: templateName,
+                        language: { code: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en' },
+                        components: [{
+                            type: 'body',
+                            // WhatsApp rejects empty parameters
+                            parameters: TEXT_NOTIFICATION_TEMPLATES[type].params(message).map(text => ({ type: 'text', text: text || '-' }))
+                        }]
+                    }
+                },
+                { headers: { 'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`, 'Content-Type': 'application/json' } }
+            );
+            const messageId = response.data?.messages?.[0]?.id;
+            console.log(`💬 WhatsApp ${type} sent to ${message.phone} (${messageId})`);
+            return { sent: true, messageId };
+        }
+    },
+
+    sms: {
+        requiredEnv: ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_SMS_FROM'],
+        async send(type, message) {
+            const sid = process.env.TWILIO_ACCOUNT_SID;
+            const response = await axios.post(
+                `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`,
+                new URLSearchParams({ To: message.phone, From: process.env.TWILIO_SMS_FROM, Body: renderTextNotification(type, message) }).toString(),
+                {
+                    auth: { username: sid, password: process.env.TWILIO_AUTH_TOKEN },
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+                }
+            );
+            console.log(`💬 SMS ${type} sent to ${message.phone} (${response.data?.sid})`);
+            return { sent: true, messageId: response.data?.sid };
+        }
+    },
+
+    file: {
+        requiredEnv: [],
+        async send(type, message) {
+            const fs = require('fs');
+            const path = require('path');
+            const dir = path.resolve(process.env.NOTIFICATIONS_FILE_DIR || path.join(process.env.STORE_FILE_DIR || '.data', 'notifications'));
+            await fs.promises.mkdir(dir, { recursive: true });
+
+            const file = path.join(dir, `${Date.now()}-text-${type}-${String(message.orderNumber || 'message').replace(/[^\w-]/g, '')}.json`);
+            await fs.promises.writeFile(file, JSON.stringify({ type, to: message.phone, text: renderTextNotification(type, message), message }, null, 2));
+            console.log(`📝 ${type} text for ${message.phone} written to ${file}`);
+            return { sent: true, file };
+        }
+    },
+
+    console: {
+        requiredEnv: [],
+        async send(type, message) {
+            console.log(`📝 [${type}] text to ${message.phone}: ${renderTextNotification(type, message)}`);
+            return { sent: true };
+        }
+    }
+};
+
+function renderTextNotification(type, message) {
+    const template = TEXT_NOTIFICATION_TEMPLATES[type];
+    return template.render(template.params(message));
+}
+
+function getTextNotificationProviderNames(type) {
+    const configured = process.env[`TEXT_NOTIFICATION_PROVIDERS_${TEXT_NOTIFICATION_TEMPLATES[type]?.envName}`] || process.env.TEXT_NOTIFICATION_PROVIDERS || '';
+    return configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Deliver a text notification. `message.phone` must already be E.164 (see toE164Phone).
+ */
+async function sendTextNotification(type, message, { providerNames = getTextNotificationProviderNames(type) } = {}) {
+    if (!TEXT_NOTIFICATION_TEMPLATES[type]) throw new Error(`Unknown text notification type "${type}"`);
+    if (!message?.phone) return { skipped: true, reason: 'Missing customer phone' };
+    if (!providerNames.length) return { skipped: true, reason: 'No text notification providers configured' };
+    return runNotificationProviders(textNotificationProviders, providerNames, type, message, message.phone);
+}
+
+/**
+ * Queue a text notification as an outbox job, unless there is nobody or
+ * nothing to send it with.
+ */
+async function queueTextNotification(type, message, jobId) {
+    if (!message.phone || !getTextNotificationProviderNames(type).length) return null;
+    return enqueueOutboxJob('notify.text', { type, ...message }, { id: jobId });
+}
+
+// ==================== OUTBOX ====================
+
+/**
+ * Follow-up work that must happen eventually even while Shopify or Klaviyo is
+ * down: completing paid drafts, tagging orders, sending events. A job is stored
+ * before it runs, runs once right after the request that queued it (never
+ * inside it), and on failure is retried with
+ * exponential backoff (OUTBOX_BASE_DELAY_MS doubling, capped at
+ * OUTBOX_MAX_DELAY_MS). After OUTBOX_MAX_ATTEMPTS it is dead-lettered until
+ * re-run through POST /api/admin/outbox/:id/retry, which also re-runs a failed
+ * job ahead of its next retry.
+ *
+ * Keys in the outbox store:
+ *   job:<id>   → { id, type, payload, state: pending|done|dead, attempts, nextRunAt, lastError }
+ *   lock:<id>  → held while a worker runs the job
+ *
+ * Job ids name the work (e.g. placed-order:<shopifyOrderId>), so enqueueing it
+ * twice is a no-op. Handlers must be idempotent: a crash after the work but
+ * before the job is marked done runs it again.
+ *
+ * On the memory store jobs don't survive a restart, so the Paymob callback
+ * completes paid orders itself there instead of queueing them.
+ */
+const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 10;
+const OUTBOX_BASE_DELAY_MS = Number(process.env.OUTBOX_BASE_DELAY_MS) || 30 * 1000;
+const OUTBOX_MAX_DELAY_MS = Number(process.env.OUTBOX_MAX_DELAY_MS) || 6 * 60 * 60 * 1000;
+const OUTBOX_POLL_INTERVAL_MS = Number(process.env.OUTBOX_POLL_INTERVAL_MS) || 15 * 1000;
+const OUTBOX_LOCK_TTL_MS = 5 * 60 * 1000;            // a crashed worker's lock expires and the job runs again
+const OUTBOX_DONE_TTL_MS = 7 * 24 * 60 * 60 * 1000;  // finished jobs are kept a week for inspection
+const outbox = createStore('outbox');
+
+/**
+ * What each job type does. Payloads are plain JSON; handlers re-read orders
+ * and ledger records rather than trusting a snapshot in the payload.
+ */
+const outboxJobHandlers = {
+    'paymob.completeOrder': (payload) => completePaidPaymobOrder(payload),
+    'shopify.annotate': ({ resource, id, ...changes }) => annotateShopifyRecord(resource, id, changes),
+    'shopify.refund': (payload) => mirrorReversalInShopify(payload),
+    'shopify.cancelOrder': async ({ shopifyOrderId }) => {
+        const order = await fetchShopifyOrder(shopifyOrderId);
+        if (order?.cancelled_at) return;
+        await axios.post(
+            `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/orders/${shopifyOrderId}/cancel.json`,
+            {},
+            { headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
+        );
+    },
+    'checkout.complete': ({ checkoutId, orderNumber }) => completeAbandonedCheckout(checkoutId, { orderNumber }),
+    'klaviyo.subscribe': async (profile) => {
+        // klaviyoSubscribe reports failures instead of throwing them
+        const result = await klaviyoSubscribe(profile);
+        if (result?.error) throw new Error(`Klaviyo ${result.step} failed: ${result.status || ''} ${JSON.stringify(result.details || result.error)}`);
+    },
+    'notify.orderConfirmation': (payload) => sendNotification('orderConfirmation', payload),
+    'notify.paymentFailed': (payload) => sendNotification('paymentFailed', payload),
+    'notify.text': ({ type, ...message }) => sendTextNotification(type, message),
+    'klaviyo.startedCheckout': (payload) => sendSavedStartedCheckoutEvent(payload),
+    'klaviyo.placedOrder': async ({ shopifyOrderId, paymentMethod }) =>
+        trackPlacedOrder(await fetchShopifyOrder(shopifyOrderId), { paymentMethod }),
+    'klaviyo.orderEvent': async ({ metric, shopifyOrderId, ...options }) =>
+        trackKlaviyoOrderEvent(metric, await fetchShopifyOrder(shopifyOrderId), options)
+};
+
+function getOutboxRetryDelay(attempts) {
+    return Math.min(OUTBOX_BASE_DELAY_MS * 2 ** (attempts - 1), OUTBOX_MAX_DELAY_MS);
+}
+
+/**
+ * Store a job and schedule its first attempt for once the caller's work is
+ * done. Resolves with the stored job (still pending for a new one, as it
+ * stands for one queued before); a failed attempt is left to the worker.
+ */
+async function enqueueOutboxJob(type, payload, { id } = {}) {
+    if (!outboxJobHandlers[type]) throw new Error(`Unknown outbox job type "${type}"`);
+    const jobId = id || `${type}:${createCheckoutToken().slice(0, 16)}`;
+    const now = new Date().toISOString();
+    const job = { id: jobId, type, payload, state: 'pending', attempts: 0, nextRunAt: Date.now(), lastError: null, createdAt: now, updatedAt: now };
+    if (!await outbox.setIfAbsent(`job:${jobId}`, job)) return outbox.get(`job:${jobId}`);
+    setImmediate(() => runOutboxJob(jobId).catch(err => console.error(`Outbox job ${jobId} error:`, err.message)));
+    return job;
+}
+
+/**
+ * Run one pending job, unless another worker already is.
+ */
+async function runOutboxJob(jobId) {
+    if (!await outbox.setIfAbsent(`lock:${jobId}`, { at: Date.now() }, OUTBOX_LOCK_TTL_MS)) return outbox.get(`job:${jobId}`);
+    try {
+        const job = await outbox.get(`job:${jobId}`);
+        if (!job || job.state !== 'pending') return job;
+
+        job.attempts += 1;
+        try {
+            const handler = outboxJobHandlers[job.type];
+            if (!handler) throw new Error(`Unknown outbox job type "${job.type}"`);
+            await handler(job.payload);
+            Object.assign(job, { state: 'done', lastError: null, completedAt: new Date().toISOString() });
+        } catch (err) {
+            job.lastError = String(err?.response?.data ? JSON.stringify(err.response.data) : err.message).slice(0, 1000);
+            if (job.attempts >= OUTBOX_MAX_ATTEMPTS) {
+                job.state = 'dead';
+                console.error(`☠️ Outbox job ${jobId} dead-lettered after ${job.attempts} attempts: ${job.lastError}`);
+            } else {
+                job.nextRunAt = Date.now() + getOutboxRetryDelay(job.attempts);
+                console.warn(`⏳ Outbox job ${jobId} failed (attempt ${job.attempts}), retrying at ${new Date(job.nextRunAt).toISOString()}: ${job.lastError}`);
+            }
+        }
+        job.updatedAt = new Date().toISOString();
+        await outbox.set(`job:${jobId}`, job, job.state === 'done' ? OUTBOX_DONE_TTL_MS : undefined);
+        return job;
+    } finally {
+        await outbox.delete(`lock:${jobId}`);
+    }
+}
+
+async function listOutboxJobs(filter = () => true) {
+    const jobs = [];
+    for (const key of await outbox.keys()) {
+        if (!key.startsWith('job:')) continue;
+        const job = await outbox.get(key);
+        if (job && filter(job)) jobs.push(job);
+    }
+    return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+async function processDueOutboxJobs() {
+    const due = await listOutboxJobs(job => job.state === 'pending' && job.nextRunAt <= Date.now());
+    for (const job of due) await runOutboxJob(job.id);
+    return due.length;
+}
+
+/**
+ * Put a dead job, or a pending one whose last attempt failed, back in the
+ * queue and run it now. Returns { job, retried }, with `retried: false` for a
+ * job that is done or hasn't failed (it is left alone), or null.
+ */
+async function retryOutboxJob(jobId) {
+    const job = await outbox.get(`job:${jobId}`);
+    if (!job) return null;
+    if (job.state !== 'dead' && !(job.state === 'pending' && job.lastError)) return { job, retried: false };
+    Object.assign(job, { state: 'pending', attempts: 0, nextRunAt: Date.now(), updatedAt: new Date().toISOString() });
+    await outbox.set(`job:${jobId}`, job);
+    return { job: await runOutboxJob(jobId), retried: true };
+}
+
+/**
+ * Background worker: runs jobs whose retry time has come. unref() keeps it
+ * from holding the process open.
+ */
+function startOutboxWorker() {
+    if (outbox.driver === 'memory')
+        console.warn('⚠️ The outbox uses the memory store: queued jobs are lost on restart. Set STORE_DRIVER=file or redis in production.');
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processDueOutboxJobs();
+        } catch (err) {
+            console.error('Outbox worker error:', err.message);
+        } finally {
+            running = false;
+        }
+    }, OUTBOX_POLL_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+/**
+ * A paid Paymob transaction: complete its draft into an order, take the gift
+ * card share, then queue the tagging and the events. Safe to re-run — each
+ * step checks the ledger or is its own outbox job.
+ */
+async function completePaidPaymobOrder({ transactionId, shopifyDraftOrderId, method, paymobOrderId, fallbackEmail, market: marketId }) {
+    const market = resolveMarket(marketId) || getDefaultMarket();
+    const record = await getLedgerTransaction(transactionId);
+
+    // A retry after a partial failure resumes from the order the first attempt created
+    let shopifyOrderId = record?.shopifyOrderId || null;
+    if (!shopifyOrderId) {
+        try {
+            const completeRes = await axios.put(
+                `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/draft_orders/${shopifyDraftOrderId}/complete.json`,
+                { payment_pending: false },
+                { headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
+            );
+            shopifyOrderId = completeRes.data?.draft_order?.order_id;
+        } catch (err) {
+            // Completed by an attempt that died before recording it — pick up the order it made
+            const draftRes = await axios.get(
+                `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/draft_orders/${shopifyDraftOrderId}.json`,
+                { headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
+            ).catch(() => null);
+            shopifyOrderId = draftRes?.data?.draft_order?.order_id;
+            if (!shopifyOrderId) throw err;
+        }
+        if (!shopifyOrderId) throw new Error(`Completing draft order ${shopifyDraftOrderId} returned no order`);
+        // Link the order as soon as it exists so a later failure can't lose the mapping
+        await recordLedgerTransaction(transactionId, { shopifyOrderId: String(shopifyOrderId) });
+    }
+
+    const shopifyOrder = await fetchShopifyOrder(shopifyOrderId);
+    const shopifyOrderNumber = shopifyOrder?.order_number || shopifyOrderId;
+
+    // Split payment: debit the gift card share once, now that the order exists
+    const giftCardPayment = getGiftCardPayment(shopifyOrder?.note_attributes, market.currency);
+    if (giftCardPayment && !record?.giftCardDebitId) {
+        try {
+            const debit = await debitGiftCard(giftCardPayment, `Order ${shopifyOrderNumber}`);
+            await recordLedgerTransaction(transactionId, { giftCardDebitId: debit?.id || 'debited' });
+        } catch (err) {
+            // The card payment already went through, so the order stands — staff settle the gift card share
+            console.error(`❌ Gift card debit failed for order ${shopifyOrderId}:`, err.message);
+            await recordLedgerTransaction(transactionId, { giftCardDebitId: 'failed' });
+            await enqueueOutboxJob('shopify.annotate', {
+                resource: 'orders',
+                id: shopifyOrderId,
+                addTags: ['gift-card-debit-failed'],
+                appendNote: `Gift card ending ${giftCardPayment.lastCharacters} could not be debited ${giftCardPayment.currency} ${giftCardPayment.amount}: ${err.message}`
+            }, { id: `gift-card-debit-failed:${shopifyOrderId}` });
+        }
+    }
+
+    const isWallet = method === 'wallet';
+    await enqueueOutboxJob('shopify.annotate', {
+        resource: 'orders',
+        id: shopifyOrderId,
+        addTags: giftCardPayment ? ['gift-card'] : [],
+        noteAttributes: [
+            { name: 'payment_method', value: method },
+            { name: 'is_cod', value: 'false' },
+            { name: 'is_card', value: String(!isWallet) },
+            { name: 'is_wallet', value: String(isWallet) },
+            { name: 'paymob_transaction_id', value: transactionId },
+            { name: 'paymob_order_id', value: paymobOrderId }
+        ]
+    }, { id: `order-payment-tags:${shopifyOrderId}` });
+
+    await recordLedgerTransaction(transactionId, { shopifyOrderNumber: String(shopifyOrderNumber) });
+
+    const checkoutId = (shopifyOrder?.note_attributes || []).find(a => a.name === 'checkout_id')?.value;
+    if (checkoutId) {
+        await enqueueOutboxJob('checkout.complete', { checkoutId, orderNumber: shopifyOrderNumber }, { id: `checkout-complete:${checkoutId}` });
+    }
+
+    // 📧 Send confirmation through the configured notification providers
+    await enqueueOutboxJob('notify.orderConfirmation', {
+        email: shopifyOrder?.email || fallbackEmail,
+        firstName: shopifyOrder?.customer?.first_name || '',
+        lastName: shopifyOrder?.customer?.last_name || '',
+        orderNumber: shopifyOrderNumber,
+        totalAmount: shopifyOrder?.total_price || 0,
+        currency: shopifyOrder?.currency || market.currency,
+        items: (shopifyOrder?.line_items || []).map(i => ({ name: i.title, quantity: i.quantity, price: i.price })),
+        checkoutId
+    }, { id: `order-confirmation:${shopifyOrderId}` });
+    const profile = shopifyOrder ? getKlaviyoOrderProfile(shopifyOrder) : {};
+    await queueTextNotification('paymentConfirmed', {
+        phone: toE164Phone(profile.phone, market),
+        firstName: profile.firstName || '',
+        orderNumber: shopifyOrderNumber,
+        totalAmount: shopifyOrder?.total_price || 0,
+        currency: shopifyOrder?.currency || market.currency
+    }, `text-order:${shopifyOrderId}`);
+    await enqueueOutboxJob('klaviyo.placedOrder', { shopifyOrderId, paymentMethod: method }, { id: `placed-order:${shopifyOrderId}` });
+
+    await recordLedgerTransaction(transactionId, { state: 'completed', paymentMethod: method });
+    console.log(`✅ Order ${shopifyDraftOrderId} completed successfully (method: ${method})`);
+}
+
+// ==================== PAYMOB CALLBACK OUTCOMES ====================
+
+function isPaymobFlagSet(value) {
+    return value === true || value === 'true';
+}
+
+/**
+ * Map a Paymob transaction callback to the one outcome we act on.
+ * Reversals are checked first: a refunded or voided transaction still reports success=true.
+ */
+function classifyPaymobTransaction(data) {
+    if (isPaymobFlagSet(data.is_voided)) return 'voided';
+    if (isPaymobFlagSet(data.is_refunded) || isPaymobFlagSet(data.is_refund)) return 'refunded';
+    if (isPaymobFlagSet(data.success)) return 'paid';
+    if (isPaymobFlagSet(data.pending)) return 'pending';
+    return 'failed';
+}
+
+function getPaymobFailureReason(data) {
+    return data.data?.message || data['data.message'] || data.data?.txn_response_code ||
+        (isPaymobFlagSet(data.error_occured) ? 'Payment error' : 'Payment declined');
+}
+
+/**
+ * Declines, 3DS failures and errors: tag the pending draft order with the
+ * reason and optionally tell Klaviyo so the shopper gets a retry nudge.
+ */
+async function handlePaymobFailure(transactionId, shopifyDraftOrderId, data, market) {
+    const claim = await claimLedgerEvent(transactionId, 'failed');
+    if (claim !== 'claimed') return { duplicate: true };
+
+    const reason = getPaymobFailureReason(data);
+    try {
+        let draftOrder = null;
+        if (shopifyDraftOrderId) {
+            draftOrder = await annotateShopifyRecord('draft_orders', shopifyDraftOrderId, {
+                addTags: ['paymob-failed'],
+                noteAttributes: [
+                    { name: 'paymob_status', value: 'failed' },
+                    { name: 'paymob_failure_reason', value: reason },
+                    { name: 'paymob_transaction_id', value: transactionId }
+                ],
+                appendNote: `Paymob payment failed (transaction ${transactionId}): ${reason}`
+            });
+        }
+
+        if (shopifyDraftOrderId) {
+            await releaseDraftOrderInventory(shopifyDraftOrderId)
+                .catch(err => console.error(`Inventory release failed for draft order ${shopifyDraftOrderId}:`, err.message));
+        }
+
+        await recordLedgerTransaction(transactionId, { state: 'declined', failureReason: reason });
+        await completeLedgerEvent(transactionId, 'failed');
+        console.log(`❌ Paymob transaction ${transactionId} failed for draft order ${shopifyDraftOrderId}: ${reason}`);
+
+        const shipping = data.order?.shipping_data || {};
+        enqueueOutboxJob('notify.paymentFailed', {
+            email: draftOrder?.email || shipping.email,
+            firstName: draftOrder?.customer?.first_name || shipping.first_name,
+            lastName: draftOrder?.customer?.last_name || shipping.last_name,
+            draftOrderId: shopifyDraftOrderId,
+            reason,
+            totalAmount: fromMinorUnits(data.amount_cents, market),
+            currency: data.currency || market.currency,
+            retryUrl: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL.replace(/\/$/, '')}/cart` : ''
+        }, { id: `payment-failed:${transactionId}` }).catch(err => console.error('Payment Failed event error:', err.message));
+
+        return { reason };
+    } catch (err) {
+        await releaseLedgerEvent(transactionId, 'failed').catch(() => {});
+        throw err;
+    }
+}
+
+/**
+ * Voids and refunds: mark the Shopify order the transaction paid for.
+ * Partial refunds arrive as repeated callbacks with a growing refunded amount,
+ * so each distinct amount is handled once.
+ */
+async function handlePaymobReversal(outcome, transactionId, shopifyDraftOrderId, data, market) {
+    const refundedCents = Number(data.refunded_amount_cents) || 0;
+    const refundedAmount = fromMinorUnits(refundedCents || data.amount_cents, market);
+    const event = outcome === 'refunded' ? `refunded:${refundedCents || data.amount_cents}` : 'voided';
+    const claim = await claimLedgerEvent(transactionId, event);
+    if (claim !== 'claimed') return { duplicate: true };
+
+    try {
+        const own = await getLedgerTransaction(transactionId);
+        const paid = own?.shopifyOrderId ? own : await findLedgerTransactionByDraftOrder(shopifyDraftOrderId);
+        const shopifyOrderId = paid?.shopifyOrderId;
+
+        const noteAttributes = [{ name: 'paymob_status', value: outcome }];
+        if (outcome === 'refunded') noteAttributes.push({ name: 'paymob_refunded_amount', value: formatMarketAmount(refundedAmount, market) });
+
+        if (shopifyOrderId) {
+            await annotateShopifyRecord('orders', shopifyOrderId, {
+                addTags: [outcome === 'voided' ? 'paymob-voided' : 'paymob-refunded'],
+                noteAttributes,
+                appendNote: `Paymob transaction ${transactionId} ${outcome}` +
+                    (outcome === 'refunded' ? ` (${formatMarketAmount(refundedAmount, market)} ${data.currency || market.currency})` : '')
+            });
+        } else if (shopifyDraftOrderId) {
+            // Voided before the order was created: the draft is all there is to mark
+            await annotateShopifyRecord('draft_orders', shopifyDraftOrderId, {
+                addTags: [outcome === 'voided' ? 'paymob-voided' : 'paymob-refunded'],
+                noteAttributes,
+                appendNote: `Paymob transaction ${transactionId} ${outcome}`
+            });
+        }
+
+        await recordLedgerTransaction(transactionId, {
+            state: outcome,
+            ...(outcome === 'refunded' ? { refundedAmountCents: refundedCents || Number(data.amount_cents) || 0 } : {})
+        });
+        await completeLedgerEvent(transactionId, event);
+        console.log(`↪️ Paymob transaction ${transactionId} ${outcome} (Shopify order ${shopifyOrderId || 'n/a'})`);
+        return { shopifyOrderId };
+    } catch (err) {
+        await releaseLedgerEvent(transactionId, event).catch(() => {});
+        throw err;
+    }
+}
+
+// ==================== KLAVIYO ECOMMERCE EVENTS ====================
+
+/**
+ * Klaviyo's standard ecommerce metrics, with the property names its flow and
+ * segment builders expect:
+ *   Started Checkout — the checkout page has an email (see ABANDONED CHECKOUTS)
+ *   Placed Order + one Ordered Product per line — the Shopify order is created
+ *   Fulfilled Order, Cancelled Order, Refunded Order — Shopify webhooks
+ * Order events are built from the Shopify REST order; product ids, images,
+ * URLs, brands and categories are looked up per variant. Each event carries a
+ * unique_id so retried webhooks and callbacks aren't counted twice.
+ */
+
+/**
+ * Product metadata for event items, keyed by numeric variant id.
+ * A failed lookup only costs the events their images and URLs.
+ */
+async function fetchKlaviyoProductDetails(variantIds) {
+    const ids = [...new Set(variantIds.map(toVariantGid).filter(Boolean))];
+    const details = new Map();
+    if (!ids.length) return details;
+
+    try {
+        const data = await shopifyGraphql(
+            `query KlaviyoProducts($ids: [ID!]!) {
+                nodes(ids: $ids) {
+                    ... on ProductVariant {
+                        id
+                        sku
+                        title
+                        image { url }
+                        product {
+                            id title handle vendor productType onlineStoreUrl
+                            featuredImage { url }
+                            collections(first: 10) { nodes { title } }
+                        }
+                    }
+                }
+            }`,
+            { ids }
+        );
+        const storeUrl = (process.env.FRONTEND_URL || '').replace(/\/$/, '');
+        for (const node of data?.nodes || []) {
+            if (!node?.id) continue;
+            const product = node.product || {};
+            details.set(toNumericShopifyId(node.id), {
+                productId: toNumericShopifyId(product.id),
+                sku: node.sku || '',
+                productName: product.title || '',
+                variantName: node.title && node.title !== 'Default Title' ? node.title : '',
+                imageUrl: node.image?.url || product.featuredImage?.url || '',
+                productUrl: product.onlineStoreUrl || (storeUrl && product.handle ? `${storeUrl}/products/${product.handle}` : ''),
+                brand: product.vendor || '',
+                categories: [product.productType, ...(product.collections?.nodes || []).map(c => c.title)].filter(Boolean)
+            });
+        }
+    } catch (err) {
+        console.error('Klaviyo product lookup error:', err?.response?.data || err.message);
+    }
+    return details;
+}
+
+function klaviyoItem(line, details) {
+    const detail = details.get(toNumericShopifyId(line.variantId)) || {};
+    const quantity = Number(line.quantity) || 1;
+    const price = Number(line.price) || 0;
+    return {
+        ProductID: detail.productId || toNumericShopifyId(line.productId),
+        VariantID: toNumericShopifyId(line.variantId),
+        SKU: line.sku || detail.sku || '',
+        ProductName: detail.productName || line.name || 'Item',
+        VariantName: detail.variantName || line.variantName || '',
+        Quantity: quantity,
+        ItemPrice: price,
+        RowTotal: Math.round(price * quantity * 100) / 100,
+        ProductURL: detail.productUrl || '',
+        ImageURL: detail.imageUrl || line.image || '',
+        Categories: detail.categories || [],
+        Brand: detail.brand || line.vendor || ''
+    };
+}
+
+function klaviyoItemSummary(items) {
+    return {
+        ItemNames: items.map(i => i.ProductName),
+        Categories: [...new Set(items.flatMap(i => i.Categories))],
+        Brands: [...new Set(items.map(i => i.Brand).filter(Boolean))]
+    };
+}
+
+function klaviyoAddress(address) {
+    if (!address) return null;
+    return {
+        FirstName: address.first_name || '',
+        LastName: address.last_name || '',
+        Company: address.company || '',
+        Address1: address.address1 || '',
+        Address2: address.address2 || '',
+        City: address.city || '',
+        Region: address.province || '',
+        RegionCode: address.province_code || '',
+        Country: address.country || '',
+        CountryCode: address.country_code || '',
+        Zip: address.zip || '',
+        Phone: address.phone || ''
+    };
+}
+
+function getKlaviyoOrderProfile(order) {
+    const address = order.billing_address || order.shipping_address || {};
+    return {
+        email: order.email || order.contact_email || order.customer?.email,
+        firstName: order.customer?.first_name || address.first_name,
+        lastName: order.customer?.last_name || address.last_name,
+        phone: order.phone || order.customer?.phone || address.phone
+    };
+}
+
+/**
+ * The properties every order event shares, from a Shopify REST order.
+ */
+function buildKlaviyoOrderProperties(order, details) {
+    const attributes = new Map((order.note_attributes || []).map(a => [a.name, a.value]));
+    const items = (order.line_items || []).map(line => klaviyoItem({
+        variantId: line.variant_id,
+        productId: line.product_id,
+        sku: line.sku,
+        name: line.title,
+        variantName: line.variant_title,
+        quantity: line.quantity,
+        price: line.price,
+        vendor: line.vendor
+    }, details));
+
+    // Checkout discounts live on the draft as one applied discount; the codes are in the note attributes
+    const discountCodes = (order.discount_codes || []).map(d => d.code).filter(Boolean);
+    if (!discountCodes.length && attributes.get('discount_codes')) discountCodes.push(...attributes.get('discount_codes').split(', '));
+    const [shippingLine] = order.shipping_lines || [];
+
+    return {
+        OrderId: String(order.id),
+        OrderNumber: String(order.order_number || order.name || order.id),
+        Currency: order.presentment_currency || order.currency || '',
+        ...klaviyoItemSummary(items),
+        DiscountCodes: discountCodes,
+        DiscountValue: Number(order.total_discounts) || 0,
+        ShippingMethod: shippingLine?.title || '',
+        ShippingRate: Number(shippingLine?.price) || 0,
+        PaymentMethod: attributes.get('payment_method') || (order.payment_gateway_names || [])[0] || '',
+        Items: items,
+        ShippingAddress: klaviyoAddress(order.shipping_address),
+        BillingAddress: klaviyoAddress(order.billing_address)
+    };
+}
+
+/**
+ * Send one order-level event. `properties` are merged over the shared ones.
+ */
+async function trackKlaviyoOrderEvent(metric, order, { uniqueId, value, properties = {}, time } = {}) {
+    const profile = getKlaviyoOrderProfile(order);
+    if (!process.env.KLAVIYO_API_KEY || !profile.email) return { skipped: true, reason: 'Missing KLAVIYO_API_KEY or customer email' };
+
+    const details = await fetchKlaviyoProductDetails((order.line_items || []).map(l => l.variant_id));
+    const orderProperties = { ...buildKlaviyoOrderProperties(order, details), ...properties };
+    await sendKlaviyoEvent({
+        metric,
+        ...profile,
+        properties: orderProperties,
+        value: value ?? (Number(order.total_price) || 0),
+        uniqueId,
+        time
+    });
+    console.log(`📧 ${metric} event sent for order #${orderProperties.OrderNumber}`);
+    return { sent: true, profile, properties: orderProperties };
+}
+
+/**
+ * Placed Order, then one Ordered Product per line, for a newly created order.
+ */
+async function trackPlacedOrder(order, { paymentMethod } = {}) {
+    const time = order.processed_at || order.created_at;
+    const placed = await trackKlaviyoOrderEvent('Placed Order', order, {
+        uniqueId: `placed-order-${order.id}`,
+        properties: paymentMethod ? { PaymentMethod: paymentMethod } : {},
+        time
+    });
+    if (!placed.sent) return placed;
+
+    const { OrderId, OrderNumber, Currency, PaymentMethod, DiscountCodes, Items } = placed.properties;
+    for (const [index, item] of Items.entries()) {
+        await sendKlaviyoEvent({
+            metric: 'Ordered Product',
+            ...placed.profile,
+            properties: { OrderId, OrderNumber, Currency, PaymentMethod, DiscountCodes, ...item },
+            value: item.RowTotal,
+            uniqueId: `ordered-product-${order.id}-${order.line_items[index].id}`,
+            time
+        });
+    }
+    return placed;
+}
+
+/**
+ * Started Checkout for the abandoned-checkout flow, from the cart the page was
+ * rendered with. CheckoutURL is the recovery link.
+ */
+async function sendStartedCheckoutEvent({ email, firstName, lastName, phone, checkoutId, recoveryUrl, cart, currency }) {
+    if (!process.env.KLAVIYO_API_KEY || !email) return { skipped: true, reason: 'Missing KLAVIYO_API_KEY or customer email' };
+
+    const cartItems = Array.isArray(cart?.items) ? cart.items : [];
+    const variantIdOf = (item) => item?.variantId || item?.variant_id || item?.id;
+    const details = await fetchKlaviyoProductDetails(cartItems.map(variantIdOf));
+    const items = cartItems.map(item => klaviyoItem({
+        variantId: variantIdOf(item),
+        name: item?.name,
+        quantity: item?.quantity,
+        price: item?.price,
+        image: item?.image
+    }, details));
+
+    const result = await sendKlaviyoEvent({
+        metric: 'Started Checkout',
+        email,
+        firstName,
+        lastName,
+        phone,
+        properties: {
+            CheckoutId: checkoutId,
+            CheckoutURL: recoveryUrl,
+            Currency: currency,
+            ...klaviyoItemSummary(items),
+            Items: items
+        },
+        value: Number(cart?.total) || items.reduce((sum, i) => sum + i.RowTotal, 0),
+        uniqueId: `started-checkout-${checkoutId}`
+    });
+    if (result.sent) console.log(`📧 Started Checkout event sent for checkout ${checkoutId.slice(0, 8)}… to ${email}`);
+    return result;
+}
+
+// ==================== ABANDONED CHECKOUTS ====================
+
+/**
+ * Every checkout page gets a checkout id (a secret token) under which it saves
+ * the cart and, once the email is filled in, the shopper's contact details.
+ * The first save with an email fires the checkout's one Klaviyo "Started
+ * Checkout" event, whose CheckoutURL reopens the page from the saved cart, for as long as
+ * ABANDONED_CHECKOUT_TTL_DAYS (default 7). Placing the order marks the record
+ * completed: recovery links stop working and no further events are sent.
+ */
+const ABANDONED_CHECKOUT_TTL_MS = Number(process.env.ABANDONED_CHECKOUT_TTL_DAYS || 7) * 24 * 60 * 60 * 1000;
+const abandonedCheckouts = createStore('abandoned-checkouts');
+
+function getCheckoutRecoveryUrl(checkoutId, baseUrl) {
+    return (baseUrl ? baseUrl.replace(/\/$/, '') : '') + '/api/checkout/recover?token=' + checkoutId;
+}
+
+/**
+ * Start tracking a checkout page, or keep tracking one reopened from a recovery link.
+ */
+async function trackAbandonedCheckout(checkoutId, { cart, market }) {
+    const existing = await abandonedCheckouts.get(checkoutId);
+    if (existing) return existing;
+    const record = {
+        cart,
+        market: market.id,
+        contact: null,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        startedEventFor: null,
+        completedAt: null
+    };
+    await abandonedCheckouts.set(checkoutId, record, ABANDONED_CHECKOUT_TTL_MS);
+    return record;
+}
+
+/**
+ * Save the shopper's contact details against their checkout. Fires "Started
+ * Checkout" the first time an email is saved; a changed email is saved but
+ * sends nothing, so the endpoint can't be used to mail recovery links to
+ * arbitrary addresses.
+ * Returns the updated record, or null for an unknown or expired checkout.
+ */
+async function saveAbandonedCheckoutProgress(checkoutId, contact, baseUrl) {
+    const record = await abandonedCheckouts.get(checkoutId);
+    if (!record) return null;
+    if (record.completedAt) return record;
+
+    record.contact = { ...record.contact, ...contact };
+    record.updatedAt = Date.now();
+
+    const email = record.contact.email;
+    if (email && !record.startedEventFor) {
+        record.startedEventFor = email.toLowerCase();
+        await abandonedCheckouts.set(checkoutId, record, ABANDONED_CHECKOUT_TTL_MS);
+        await enqueueOutboxJob('klaviyo.startedCheckout', {
+            checkoutId,
+            email,
+            recoveryUrl: getCheckoutRecoveryUrl(checkoutId, baseUrl)
+        }, { id: `started-checkout:${checkoutId}` });
+        return record;
+    }
+
+    await abandonedCheckouts.set(checkoutId, record, ABANDONED_CHECKOUT_TTL_MS);
+    return record;
+}
+
+/**
+ * Outbox job: Started Checkout for a saved checkout, unless it has been
+ * completed or has expired in the meantime.
+ */
+async function sendSavedStartedCheckoutEvent({ checkoutId, email, recoveryUrl }) {
+    const record = await abandonedCheckouts.get(checkoutId);
+    if (!record || record.completedAt) return { skipped: true, reason: 'Checkout completed or expired' };
+    const market = resolveMarket(record.market) || getDefaultMarket();
+    return sendStartedCheckoutEvent({
+        email,
+        firstName: record.contact?.firstName,
+        lastName: record.contact?.lastName,
+        phone: record.contact?.phone,
+        checkoutId,
+        recoveryUrl,
+        cart: record.cart,
+        currency: market.currency
+    });
+}
+
+/**
+ * Take a checkout out of the abandoned flow once its order is placed.
+ */
+async function completeAbandonedCheckout(checkoutId, { orderNumber } = {}) {
+    if (!checkoutId) return;
+    const record = await abandonedCheckouts.get(checkoutId);
+    if (!record || record.completedAt) return;
+    record.completedAt = Date.now();
+    record.orderNumber = orderNumber ? String(orderNumber) : null;
+    await abandonedCheckouts.set(checkoutId, record, ABANDONED_CHECKOUT_TTL_MS);
+    console.log(`🛒 Checkout ${checkoutId.slice(0, 8)}… completed${orderNumber ? ` as order #${orderNumber}` : ''}`);
+}
+
+/**
+ * Lines of a posted cart that are short on stock, for the page to flag.
+ * Stock is checked again at checkout, so a failed lookup here only logs.
+ */
+async function findUnavailableCartItems(cart, market) {
+    if (getMissingEnv(['SHOPIFY_STORE_DOMAIN', 'SHOPIFY_ADMIN_ACCESS_TOKEN']).length) return [];
+    const lines = (Array.isArray(cart?.items) ? cart.items : []).map(item => ({
+        variantId: toVariantGid(item?.variantId || item?.variant_id || item?.id),
+        quantity: Number(item?.quantity) || 1,
+        name: item?.name
+    }));
+    return checkCartInventory(lines, market).catch((err) => {
+        console.error('Inventory check error:', err?.response?.data || err.message);
+        return [];
+    });
+}
+
+// ==================== CHECKOUT QUOTE ====================
+
+/**
+ * The one place a checkout is priced. Every amount in a quote is an integer
+ * in the currency's minor unit (piastres for EGP), so the page, the draft
+ * order and Paymob all see the same numbers:
+ *   total     = subtotal - discountTotal + shipping.amount (+ taxes unless included)
+ *   amountDue = total - giftCard.amount
+ * Quotes are signed over their contents and expire after QUOTE_TTL_MS.
+ */
+const QUOTE_TTL_MS = Number(process.env.QUOTE_TTL_MS || 30 * 60 * 1000);
+
+/**
+ * The quote signing key: QUOTE_SIGNING_SECRET, else one derived from the
+ * Shopify admin token, so every instance (and a restarted one) accepts the
+ * quotes the others issued.
+ */
+function getQuoteSigningKey() {
+    if (process.env.QUOTE_SIGNING_SECRET) return process.env.QUOTE_SIGNING_SECRET;
+    if (!process.env.SHOPIFY_ADMIN_ACCESS_TOKEN) throw new Error('Missing env vars: QUOTE_SIGNING_SECRET');
+    return require('crypto').createHmac('sha256', process.env.SHOPIFY_ADMIN_ACCESS_TOKEN).update('checkout-quote-signing').digest('hex');
+}
+
+function signCheckoutQuote(quote, expiresAt) {
+    const payload = JSON.stringify([
+        quote.market,
+        quote.currency,
+        quote.lines.map(line => [line.variantId, line.quantity, line.unitPrice, line.discount]),
+        quote.shipping && [quote.shipping.id, quote.shipping.amount],
+        quote.discounts.map(d => [d.code || d.title, d.target, d.amount]),
+        quote.taxes.amount,
+        quote.giftCard && [quote.giftCard.lastCharacters, quote.giftCard.amount],
+        quote.total,
+        quote.amountDue,
+        expiresAt
+    ]);
+    return require('crypto').createHmac('sha256', getQuoteSigningKey()).update(payload).digest('hex');
+}
+
+/**
+ * True when `signed` ({ signature, expiresAt }) was issued for exactly this
+ * quote and hasn't expired — i.e. nothing about the price moved since.
+ */
+function verifyCheckoutQuote(quote, signed) {
+    if (!signed || typeof signed.signature !== 'string' || !(Date.parse(signed.expiresAt) > Date.now())) return false;
+    const crypto = require('crypto');
+    const expected = signCheckoutQuote(quote, signed.expiresAt);
+    const received = signed.signature.toLowerCase();
+    return expected.length === received.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+}
+
+/**
+ * Price a checkout: re-price the lines, pick the shipping option, resolve the
+ * discount codes, apply the gift card and check stock. Problems the shopper can
+ * fix (stale codes, a spent gift card, sold-out lines, no shipping yet) are
+ * reported in the quote; checkout refuses to charge while any remain.
+ * Returns { quote, items, mismatches, shipping, discounts, giftCard } with the
+ * working values in major units, or { failure: { status, body } }.
+ */
+async function buildCheckoutQuote({ market, cartItems, governorate, shippingMethod, codes = [], email, giftCardCode, clientIp }) {
+    // A gift card can't be checked without the Storefront token; say so instead of calling it invalid
+    const missingGiftCardEnv = giftCardCode ? getMissingEnv(['SHOPIFY_STOREFRONT_ACCESS_TOKEN']) : [];
+    if (missingGiftCardEnv.length)
+        return { failure: { status: 500, body: { success: false, error: `Missing env vars: ${missingGiftCardEnv.join(', ')}` } } };
+
+    // Re-price every line from Shopify — posted prices are never charged
+    const verified = await verifyCartItems(cartItems, market);
+    if (verified.invalid.length || !verified.items.length)
+        return { failure: { status: 400, body: { success: false, error: 'Some cart items could not be priced', invalidItems: verified.invalid } } };
+    const items = verified.items;
+    const itemsTotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+    // Shipping is priced from config — the page only sends the method id
+    let shipping = governorate
+        ? selectShippingOption({ governorate, weightGrams: getCartWeightGrams(items), subtotal: itemsTotal, method: shippingMethod, market })
+        : null;
+
+    const resolved = await resolveCheckoutDiscounts({
+        codes,
+        lines: items,
+        email,
+        shippingAmount: shipping?.amount || 0,
+        currency: market.currency
+    });
+    const discounts = resolved.applied;
+
+    // Shipping discounts come off the shipping line, everything else off the items
+    if (shipping) {
+        for (const discount of discounts.filter(d => d.target === 'shipping' && d.discountAmount > 0))
+            shipping = applyShippingDiscount(shipping, discount.discountAmount, getDiscountLabel(discount), market);
+    }
+
+    // A gift card pays what it can; the card is only debited once the order completes
+    let card = null;
+    let giftCardError = null;
+    if (giftCardCode) {
+        const lookup = await lookupGiftCard(giftCardCode, market, items, clientIp);
+        card = lookup.card || null;
+        if (lookup.throttled) giftCardError = 'Too many gift card attempts, please try again later';
+        else if (!card || card.balance <= 0) {
+            giftCardError = card ? 'This gift card has no balance left' : 'Gift card not found or no longer valid';
+            card = null;
+        }
+    }
+
+    const unavailableItems = await checkCartInventory(items, market);
+    const priced = priceCheckoutQuote({ market, items, shipping, discounts, card });
+
+    const quote = {
+        market: market.id,
+        currency: market.currency,
+        lines: priced.lines,
+        subtotal: priced.subtotal,
+        discounts: priced.discounts,
+        discountTotal: priced.discountTotal,
+        rejectedDiscounts: resolved.rejected,
+        invalidDiscounts: resolved.invalid,
+        shipping: priced.shipping,
+        taxes: priced.taxes,
+        total: priced.total,
+        giftCard: priced.giftCard,
+        giftCardError,
+        amountDue: priced.amountDue,
+        unavailableItems
+    };
+    quote.expiresAt = new Date(Date.now() + QUOTE_TTL_MS).toISOString();
+    quote.signature = signCheckoutQuote(quote, quote.expiresAt);
+
+    return {
+        quote,
+        items,
+        mismatches: verified.mismatches,
+        shipping,
+        discounts,
+        giftCard: card && { id: card.id, lastCharacters: card.lastCharacters, currency: card.currency, amount: fromMinorUnits(priced.giftCard.amount, market) }
+    };
+}
+
+/**
+ * The arithmetic of a quote. Takes the verified `items`, the chosen
+ * `shipping` option, the applied `discounts` and the gift `card` in major
+ * units, and returns the quote's amounts in the market's minor unit.
+ */
+function priceCheckoutQuote({ market, items, shipping, discounts, card }) {
+    const allocations = discounts.filter(d => d.target === 'line_items').flatMap(d => d.allocations || []);
+    const lines = items.map((item, index) => {
+        const unitPrice = toMinorUnits(item.price, market);
+        return {
+            index,
+            variantId: item.variantId,
+            name: item.name,
+            quantity: item.quantity,
+            unitPrice,
+            total: unitPrice * item.quantity,
+            discount: allocations.filter(a => a.line === index).reduce((sum, a) => sum + toMinorUnits(a.amount, market), 0)
+        };
+    });
+    const quoteDiscounts = discounts.map(d => ({
+        code: d.code || null,
+        title: getDiscountLabel(d),
+        target: d.target,
+        discountClass: d.discountClass,
+        amount: toMinorUnits(d.discountAmount, market)
+    }));
+
+    const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+    const discountTotal = quoteDiscounts.filter(d => d.target !== 'shipping').reduce((sum, d) => sum + d.amount, 0);
+    const shippingAmount = shipping ? toMinorUnits(shipping.amount, market) : 0;
+
+    const taxRate = Number(market.taxRate) || 0;
+    const taxesIncluded = market.taxesIncluded !== false;
+    const taxable = subtotal - discountTotal + shippingAmount;
+    const taxAmount = taxesIncluded ? Math.round(taxable - taxable / (1 + taxRate)) : Math.round(taxable * taxRate);
+    const total = taxable + (taxesIncluded ? 0 : taxAmount);
+    const giftCardAmount = card ? Math.min(toMinorUnits(card.balance, market), total) : 0;
+
+    return {
+        lines,
+        subtotal,
+        discounts: quoteDiscounts,
+        discountTotal,
+        shipping: shipping && {
+            id: shipping.id,
+            title: shipping.title,
+            originalAmount: toMinorUnits(shipping.originalAmount, market),
+            amount: shippingAmount,
+            discountAmount: toMinorUnits(shipping.discountAmount, market),
+            discountTitle: shipping.discountTitle
+        },
+        taxes: { amount: taxAmount, rate: taxRate, included: taxesIncluded },
+        total,
+        giftCard: card && { lastCharacters: card.lastCharacters, balance: toMinorUnits(card.balance, market), amount: giftCardAmount },
+        amountDue: total - giftCardAmount
+    };
+}
+
+// ==================== API ENDPOINTS ====================
+
+/**
+ * POST /api/discount/validate
+ * Body: { code: string, cartItems: [{ variantId, quantity }], email?: string, shippingAmount?: number, market?: string }
+ * Validates a Shopify discount code against the re-priced cart and returns
+ * discount info with its per-line allocation. A bare `cartTotal` is still
+ * accepted in place of cartItems, but then only whole-cart codes can apply.
+ * Rate-limited per IP and per email (DISCOUNT_VALIDATE_LIMIT per 15 minutes).
+ */
+app.post('/api/discount/validate', discountValidateLimit, async (req, res) => {
+    try {
+        const { code, cartItems, cartTotal, email, shippingAmount } = req.body;
+
+        if (!code || typeof code !== 'string' || !code.trim())
+            return res.status(400).json({ success: false, error: 'Discount code is required' });
+        const market = resolveMarket(req.body?.market);
+        if (!market) return res.status(400).json({ success: false, error: 'Unknown market' });
+
+        const missing = getMissingEnv(['SHOPIFY_STORE_DOMAIN', 'SHOPIFY_ADMIN_ACCESS_TOKEN']);
+        if (missing.length)
+            return res.status(500).json({ success: false, error: `Missing env vars: ${missing.join(', ')}` });
+
+        let lines = [{ quantity: 1, price: Number(cartTotal) || 0 }];
+        if (Array.isArray(cartItems) && cartItems.length) {
+            const verified = await verifyCartItems(cartItems, market);
+            if (verified.invalid.length)
+                return res.json({ success: false, error: 'Some cart items could not be priced', invalidItems: verified.invalid });
+            lines = verified.items;
+        }
+
+        const discount = await validateShopifyDiscountCode(code.trim(), { lines, email, shippingAmount: Number(shippingAmount) || 0, currency: market.currency });
+        return res.json({ success: true, discount });
+
+    } catch (error) {
+        if (error?.response?.status === 404)
+            return res.json({ success: false, notFound: true, error: 'Discount code not found' });
+        console.error('Discount validate error:', error?.response?.data || error.message);
+        return res.json({ success: false, error: error.message || 'Invalid discount code' });
+    }
+});
+
+/**
+ * POST /api/discount/resolve
+ * Body: { codes: string[], cartItems: [{ variantId, quantity }], email?: string, shippingAmount?: number, market?: string }
+ * Works out which of the entered codes and automatic discounts apply together
+ * (Shopify combinesWith rules) and what each one saves on this cart.
+ * Rate-limited like /api/discount/validate.
+ */
+app.post('/api/discount/resolve', discountValidateLimit, async (req, res) => {
     try {
-        const response = await axios.post('https://accept.paymob.com/api/auth/tokens', {
-            api_key: process.env.PAYMOB_API_KEY
+        const { codes, cartItems, email, shippingAmount } = req.body || {};
+        const market = resolveMarket(req.body?.market);
+        if (!market) return res.status(400).json({ success: false, error: 'Unknown market' });
+
+        const missing = getMissingEnv(['SHOPIFY_STORE_DOMAIN', 'SHOPIFY_ADMIN_ACCESS_TOKEN']);
+        if (missing.length)
+            return res.status(500).json({ success: false, error: `Missing env vars: ${missing.join(', ')}` });
+
+        const verified = await verifyCartItems(cartItems, market);
+        if (verified.invalid.length || !verified.items.length)
+            return res.status(400).json({ success: false, error: 'Some cart items could not be priced', invalidItems: verified.invalid });
+
+        const resolved = await resolveCheckoutDiscounts({
+            codes: Array.isArray(codes) ? codes.filter(c => typeof c === 'string') : [],
+            lines: verified.items,
+            email,
+            shippingAmount: Number(shippingAmount) || 0,
+            currency: market.currency
         });
-        return response.data.token;
+        return res.json({ success: true, discounts: resolved.applied, rejected: resolved.rejected, invalid: resolved.invalid });
+
     } catch (error) {
-        console.error('Paymob auth error:', error.response?.data || error.message);
-        throw error;
+        console.error('Discount resolve error:', error?.response?.data || error.message);
+        return res.status(error?.response?.status || 500).json({ success: false, error: 'Could not apply discounts' });
     }
-}
+});
 
-async function paymobRegisterOrder(authToken, amount, merchantOrderId, items) {
+/**
+ * POST /api/gift-card/validate
+ * Body: { code: string, market?: string, cartItems?: [{ variantId, quantity }] }
+ * Checks a gift card in the market's currency and returns its balance.
+ * Nothing is debited until the order completes. Failed lookups are throttled
+ * (see lookupGiftCard).
+ */
+app.post('/api/gift-card/validate', async (req, res) => {
     try {
-        const paymobItems = items.map(item => ({
-            name: item.name,
-            amount_cents: Math.round(Number(item.price) * 100),
-            description: item.description || item.name,
-            quantity: item.quantity
-        }));
+        const { code } = req.body || {};
+        if (!code || typeof code !== 'string' || !code.trim())
+            return res.status(400).json({ success: false, error: 'Gift card code is required' });
+        const market = resolveMarket(req.body?.market);
+        if (!market) return res.status(400).json({ success: false, error: 'Unknown market' });
 
-        paymobItems.push({
-            name: 'Flat Rate Shipping',
-            amount_cents: 10000,
-            description: 'Shipping',
-            quantity: 1
+        const missing = getMissingEnv(['SHOPIFY_STORE_DOMAIN', 'SHOPIFY_ADMIN_ACCESS_TOKEN', 'SHOPIFY_STOREFRONT_ACCESS_TOKEN']);
+        if (missing.length)
+            return res.status(500).json({ success: false, error: `Missing env vars: ${missing.join(', ')}` });
+
+        const cartItems = Array.isArray(req.body?.cartItems) ? req.body.cartItems : [];
+        const { card, throttled } = await lookupGiftCard(code, market, cartItems, req.ip);
+        if (throttled) return res.status(429).json({ success: false, error: 'Too many gift card attempts, please try again later' });
+        if (!card) return res.json({ success: false, error: 'Gift card not found or no longer valid' });
+        if (card.balance <= 0) return res.json({ success: false, error: 'This gift card has no balance left' });
+
+        return res.json({
+            success: true,
+            giftCard: { code: code.trim(), lastCharacters: card.lastCharacters, balance: card.balance }
         });
 
-        const totalCents = paymobItems.reduce((sum, item) => sum + item.amount_cents * item.quantity, 0);
+    } catch (error) {
+        console.error('Gift card validate error:', error?.response?.data || error.message);
+        return res.json({ success: false, error: 'Could not check this gift card, please try again' });
+    }
+});
+
+/**
+ * POST /api/discount/automatic
+ * Body: { cartItems: [{ variantId, quantity }], shippingAmount?: number, market?: string }
+ * Lists the automatic discounts the re-priced cart qualifies for. Free-shipping
+ * ones are included even without a shipping amount so the page can price
+ * them for whichever method is selected.
+ */
+app.post('/api/discount/automatic', async (req, res) => {
+    try {
+        const { cartItems, shippingAmount } = req.body || {};
+        const market = resolveMarket(req.body?.market);
+        if (!market) return res.status(400).json({ success: false, error: 'Unknown market' });
 
-        const response = await axios.post('https://accept.paymob.com/api/ecommerce/orders', {
-            auth_token: authToken,
-            delivery_needed: false,
-            amount_cents: totalCents,
-            currency: 'EGP',
-            merchant_order_id: merchantOrderId,
-            items: paymobItems
+        const missing = getMissingEnv(['SHOPIFY_STORE_DOMAIN', 'SHOPIFY_ADMIN_ACCESS_TOKEN']);
+        if (missing.length)
+            return res.status(500).json({ success: false, error: `Missing env vars: ${missing.join(', ')}` });
+
+        const verified = await verifyCartItems(cartItems, market);
+        if (verified.invalid.length || !verified.items.length)
+            return res.status(400).json({ success: false, error: 'Some cart items could not be priced', invalidItems: verified.invalid });
+
+        const discounts = await getApplicableAutomaticDiscounts({ lines: verified.items, shippingAmount: Number(shippingAmount) || 0, currency: market.currency });
+        return res.json({ success: true, discounts });
+
+    } catch (error) {
+        console.error('Automatic discount error:', error?.response?.data || error.message);
+        return res.status(error?.response?.status || 500).json({ success: false, error: 'Could not load automatic discounts' });
+    }
+});
+
+/**
+ * POST /api/checkout/progress
+ * Body: { checkoutId, email, firstName?, lastName?, phone? }
+ * Saves the shopper's contact details against their checkout page so an
+ * abandoned checkout can be recovered (see ABANDONED CHECKOUTS).
+ * Rate-limited per IP and per checkout (CHECKOUT_PROGRESS_LIMIT per 15 minutes).
+ */
+const checkoutProgressLimit = rateLimit(req => [
+    `checkout-progress:ip:${req.ip}`,
+    typeof req.body?.checkoutId === 'string' && req.body.checkoutId && `checkout-progress:checkout:${req.body.checkoutId}`
+], CHECKOUT_PROGRESS_THROTTLE);
+
+app.post('/api/checkout/progress', checkoutProgressLimit, async (req, res) => {
+    try {
+        const { checkoutId, email, firstName, lastName, phone } = req.body || {};
+        if (typeof checkoutId !== 'string' || !checkoutId)
+            return res.status(400).json({ success: false, error: 'Missing checkoutId' });
+        if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()))
+            return res.status(400).json({ success: false, error: 'A valid email is required' });
+
+        const text = (value) => (typeof value === 'string' ? value.trim().slice(0, 200) : '');
+        const record = await saveAbandonedCheckoutProgress(checkoutId, {
+            email: email.trim(),
+            firstName: text(firstName),
+            lastName: text(lastName),
+            phone: text(phone)
+        }, getBaseUrl(req));
+        if (!record) return res.status(404).json({ success: false, error: 'Checkout not found or expired' });
+
+        return res.json({ success: true });
+    } catch (error) {
+        console.error('Checkout progress error:', error?.response?.data || error.message);
+        return res.status(500).json({ success: false, error: 'Could not save checkout progress' });
+    }
+});
+
+/**
+ * POST /api/checkout/quote
+ * Body: { cartItems: [{ variantId, quantity }], governorate?: string, shippingMethod?: string,
+ *         codes?: string[], email?: string, giftCardCode?: string, market?: string }
+ * The authoritative, signed price of the checkout in minor units (see
+ * buildCheckoutQuote). The page renders its totals from it and sends
+ * { signature, expiresAt } back with the order. Requests with codes are
+ * rate-limited like /api/discount/validate.
+ */
+app.post('/api/checkout/quote', discountValidateLimit, async (req, res) => {
+    try {
+        const { cartItems, governorate, shippingMethod, codes, email, giftCardCode } = req.body || {};
+        const market = resolveMarket(req.body?.market);
+        if (!market) return res.status(400).json({ success: false, error: 'Unknown market' });
+
+        const missing = getMissingEnv(['SHOPIFY_STORE_DOMAIN', 'SHOPIFY_ADMIN_ACCESS_TOKEN']);
+        if (missing.length)
+            return res.status(500).json({ success: false, error: `Missing env vars: ${missing.join(', ')}` });
+
+        const priced = await buildCheckoutQuote({
+            market,
+            cartItems,
+            governorate: typeof governorate === 'string' ? governorate : '',
+            shippingMethod,
+            codes: Array.isArray(codes) ? codes.filter(c => typeof c === 'string') : [],
+            email,
+            giftCardCode: typeof giftCardCode === 'string' ? giftCardCode.trim() : '',
+            clientIp: req.ip
         });
+        if (priced.failure) return res.status(priced.failure.status).json(priced.failure.body);
+        return res.json({ success: true, quote: priced.quote });
 
-        return { ...response.data, _totalCents: totalCents };
     } catch (error) {
-        console.error('Paymob order registration error:', error.response?.data || error.message);
-        throw error;
+        console.error('Checkout quote error:', error?.response?.data || error.message);
+        return res.status(500).json({ success: false, error: 'Could not price your order' });
+    }
+});
+
+/**
+ * POST /api/shipping/rates
+ * Body: { governorate: string, cartItems: [{ variantId, quantity }], market?: string }
+ * Lists the market's shipping options for the destination and the cart's Shopify weight.
+ */
+app.post('/api/shipping/rates', async (req, res) => {
+    try {
+        const { governorate, cartItems } = req.body || {};
+        const market = resolveMarket(req.body?.market);
+        if (!market) return res.status(400).json({ success: false, error: 'Unknown market' });
+
+        const missing = getMissingEnv(['SHOPIFY_STORE_DOMAIN', 'SHOPIFY_ADMIN_ACCESS_TOKEN']);
+        if (missing.length)
+            return res.status(500).json({ success: false, error: `Missing env vars: ${missing.join(', ')}` });
+
+        const verified = await verifyCartItems(cartItems, market);
+        if (verified.invalid.length)
+            return res.status(400).json({ success: false, error: 'Some cart items could not be priced', invalidItems: verified.invalid });
+
+        const zone = resolveShippingZone(governorate, market);
+        const subtotal = verified.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const options = getShippingOptions({ governorate, weightGrams: getCartWeightGrams(verified.items), subtotal, market });
+        return res.json({ success: true, currency: market.currency, zone: zone ? { id: zone.id, name: zone.name } : null, options });
+
+    } catch (error) {
+        console.error('Shipping rates error:', error?.response?.data || error.message);
+        return res.status(500).json({ success: false, error: 'Could not load shipping rates' });
+    }
+});
+
+function getPaymobMethodConfig(paymobMethod, market) {
+    const method = String(paymobMethod || '').toLowerCase();
+    const env = (name) => getMarketEnv(market, name);
+    const defaults = {
+        integrationId: env('PAYMOB_INTEGRATION_ID'),
+        iframeId: env('PAYMOB_IFRAME_ID')
+    };
+    if (method === 'cod') return { integrationId: env('PAYMOB_INTEGRATION_ID_COD') || defaults.integrationId, iframeId: null };
+    if (method === 'wallet') return { integrationId: env('PAYMOB_INTEGRATION_ID_WALLET') || defaults.integrationId, iframeId: env('PAYMOB_IFRAME_ID_WALLET') || defaults.iframeId };
+    if (method === 'card') return { integrationId: env('PAYMOB_INTEGRATION_ID_CARD') || defaults.integrationId, iframeId: env('PAYMOB_IFRAME_ID_CARD') || defaults.iframeId };
+    return defaults;
+}
+
+/**
+ * Creates the Shopify draft order and the Paymob payment (or completes COD).
+ * Accepts optional appliedDiscounts (or a single appliedDiscount) from the
+ * frontend; only their codes are used — each is re-validated here against
+ * the verified lines and combined with automatic discounts.
+ * Cart lines are re-priced from Shopify; CHECKOUT_PRICE_MISMATCH=reject
+ * refuses carts whose posted prices disagree instead of correcting them.
+ * `market` (default DEFAULT_MARKET) picks the currency, prices, shipping
+ * rates and Paymob account. The order is priced by buildCheckoutQuote; a
+ * posted `quote` ({ signature, expiresAt }) must still match it, so what is
+ * charged is exactly what the page showed. Checkouts without one are refused
+ * unless CHECKOUT_ALLOW_UNQUOTED=true (for storefronts that don't fetch a
+ * quote first).
+ * Returns { status, body } so the response can be stored for idempotent replay.
+ */
+async function processEgyptCheckout(body, options = {}) {
+    const { cartItems, customer, billingData, paymobMethod, appliedDiscount, appliedDiscounts, shippingMethod } = body;
+    const reply = (status, payload) => ({ status, body: payload });
+
+    const market = resolveMarket(body.market);
+    if (!market) return reply(400, { success: false, error: 'Unknown market' });
+
+    const missingShopify = getMissingEnv(['SHOPIFY_STORE_DOMAIN', 'SHOPIFY_ADMIN_ACCESS_TOKEN']);
+    if (missingShopify.length)
+        return reply(500, { success: false, error: `Missing Shopify env vars: ${missingShopify.join(', ')}` });
+
+    const paymobProvider = getPaymobProvider();
+    const missingPaymob = getMissingMarketEnv(market, paymobProvider.requiredEnv);
+    if (missingPaymob.length)
+        return reply(500, { success: false, error: `Missing Paymob env vars: ${missingPaymob.join(', ')}` });
+
+    const paymobConfig = getPaymobMethodConfig(paymobMethod, market);
+    if (!paymobConfig.integrationId)
+        return reply(500, { success: false, error: 'Paymob configuration missing (integration_id)' });
+
+    if (!Array.isArray(cartItems) || !cartItems.length)
+        return reply(400, { success: false, error: 'Cart is empty' });
+
+    if (!body.quote && String(process.env.CHECKOUT_ALLOW_UNQUOTED || '').toLowerCase() !== 'true')
+        return reply(400, { success: false, error: 'Missing checkout quote' });
+
+    // Only the codes are taken from the client; each is re-validated against the verified lines
+    const discountCodes = (Array.isArray(appliedDiscounts) ? appliedDiscounts : [appliedDiscount])
+        .map(d => (typeof d?.code === 'string' ? d.code.trim() : ''))
+        .filter(Boolean);
+    const priced = await buildCheckoutQuote({
+        market,
+        cartItems,
+        governorate: customer?.province || customer?.state || billingData?.state || '',
+        shippingMethod,
+        codes: discountCodes,
+        email: customer?.email,
+        giftCardCode: typeof body.giftCardCode === 'string' ? body.giftCardCode.trim() : '',
+        clientIp: options.clientIp
+    });
+    if (priced.failure) return reply(priced.failure.status, priced.failure.body);
+    const { quote, shipping, discounts, giftCard } = priced;
+    const verifiedItems = priced.items;
+
+    if (priced.mismatches.length) {
+        if (String(process.env.CHECKOUT_PRICE_MISMATCH || 'correct').toLowerCase() === 'reject')
+            return reply(409, { success: false, error: 'Cart prices have changed, please review your cart', priceMismatches: priced.mismatches });
+        console.warn('⚠️ Corrected posted cart prices:', JSON.stringify(priced.mismatches));
+    }
+
+    // Stock may have sold out since the cart was rendered — never take payment for it
+    if (quote.unavailableItems.length)
+        return reply(409, { success: false, outOfStock: true, error: 'Some items in your cart are no longer available', unavailableItems: quote.unavailableItems });
+
+    if (!shipping)
+        return reply(400, { success: false, error: 'The selected shipping method is not available for this address' });
+
+    if (quote.invalidDiscounts.length) {
+        const [failed] = quote.invalidDiscounts;
+        return reply(422, {
+            success: false,
+            discountError: true,
+            code: failed.code,
+            error: `Discount code ${failed.code.toUpperCase()} can no longer be applied: ${failed.error}`
+        });
+    }
+
+    if (quote.giftCardError)
+        return reply(422, { success: false, giftCardError: true, error: quote.giftCardError });
+
+    // Charge exactly the total the shopper was shown, or nothing
+    if (body.quote && !verifyCheckoutQuote(quote, body.quote))
+        return reply(409, { success: false, quoteChanged: true, error: 'Your order total has changed, please review it before paying', quote });
+
+    const totalAmount = fromMinorUnits(quote.total, market);
+    const amountDue = fromMinorUnits(quote.amountDue, market);
+
+    // COD, and orders a gift card pays in full, complete here without Paymob
+    const isCod = String(paymobMethod || '').toLowerCase() === 'cod';
+    const paidByGiftCard = Boolean(giftCard) && amountDue <= 0;
+
+    // The courier and the COD confirmation both need a number that reaches the shopper
+    const phone = toE164Phone(customer?.phone, market);
+    if (isCod && !paidByGiftCard && !phone)
+        return reply(400, { success: false, phoneRequired: true, error: 'Please enter a valid mobile number for cash on delivery' });
+
+    const checkoutId = typeof body.checkoutId === 'string' ? body.checkoutId : '';
+    const taxes = { ...quote.taxes, amount: fromMinorUnits(quote.taxes.amount, market) };
+    const draftOrder = await createDraftOrder(verifiedItems, phone ? { ...customer, phone } : customer, totalAmount, discounts, shipping, giftCard, market, checkoutId, taxes);
+
+    // Subscribe to Klaviyo only if newsletter checkbox was checked
+    if (body.newsletter === true || body.newsletter === 'true') {
+        enqueueOutboxJob('klaviyo.subscribe', {
+            email:     customer.email,
+            firstName: customer.firstName || customer.first_name,
+            lastName:  customer.lastName  || customer.last_name,
+            newsletter: true
+        }, { id: `subscribe:${draftOrder.id}` }).catch(err => console.error('Klaviyo subscribe error:', err.message));
+    } else {
+        console.log('📭 Newsletter opt-in not checked — skipping Klaviyo subscribe');
+    }
+
+    if (isCod || paidByGiftCard) {
+        // One debit per checkout and card: a retry after a failed completion reuses a debit that wasn't credited back
+        const debitKey = giftCard && `${checkoutId || `draft-${draftOrder.id}`}:${giftCard.id}`;
+        if (giftCard) {
+            const previous = await giftCardDebits.get(debitKey);
+            if (previous?.state === 'debited' && previous.amount === giftCard.amount) {
+                console.log(`↩️ Reusing gift card debit ${previous.debitId} from draft order ${previous.draftOrderId}`);
+            } else {
+                try {
+                    const debit = await debitGiftCard(giftCard, `Checkout draft order ${draftOrder.id}`);
+                    await giftCardDebits.set(debitKey, { state: 'debited', debitId: debit?.id || null, amount: giftCard.amount, draftOrderId: draftOrder.id }, GIFT_CARD_DEBIT_TTL_MS);
+                } catch (e) {
+                    console.error('Gift card debit failed:', e.response?.data || e.message);
+                    return reply(422, { success: false, giftCardError: true, error: 'Your gift card could not be charged, please check its balance' });
+                }
+            }
+        }
+
+        let completeRes;
+        try {
+            completeRes = await axios.put(
+                `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/draft_orders/${draftOrder.id}/complete.json`,
+                { payment_pending: !paidByGiftCard },
+                { headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
+            );
+        } catch (e) {
+            if (giftCard) {
+                try {
+                    await creditGiftCard(giftCard, `Draft order ${draftOrder.id} could not be completed`);
+                    await giftCardDebits.delete(debitKey);
+                } catch (err) {
+                    // The debit record stays, so the shopper's retry doesn't take the card twice
+                    console.error('❌ Gift card credit-back failed:', err.message);
+                }
+            }
+            console.error('Error completing COD draft order:', e.response?.data || e.message);
+            return reply(500, { success: false, error: 'Failed to complete COD order in Shopify' });
+        }
+
+        const shopifyOrderId = completeRes.data?.draft_order?.order_id;
+        let shopifyOrderNumber = draftOrder.id; // fallback
+        if (giftCard) {
+            await giftCardDebits.set(debitKey, { ...(await giftCardDebits.get(debitKey)), state: 'completed', shopifyOrderId }, GIFT_CARD_DEBIT_TTL_MS)
+                .catch(err => console.error('Gift card debit record error:', err.message));
+        }
+
+        // The order exists now: whatever fails from here is logged, never turned into an error the shopper retries
+        try {
+            if (shopifyOrderId) {
+                // Fetch the real order to get the order_number (e.g. 1234)
+                const shopifyOrder = await fetchShopifyOrder(shopifyOrderId);
+                shopifyOrderNumber = shopifyOrder?.order_number || shopifyOrderId;
+
+                // Tagging and events go through the outbox, so an outage delays them instead of losing them
+                if (checkoutId) {
+                    await enqueueOutboxJob('checkout.complete', { checkoutId, orderNumber: shopifyOrderNumber }, { id: `checkout-complete:${checkoutId}` });
+                }
+
+                // Tag the order with payment method (merged, so the draft's gift card attributes stay)
+                await enqueueOutboxJob('shopify.annotate', {
+                    resource: 'orders',
+                    id: shopifyOrderId,
+                    addTags: giftCard ? ['gift-card'] : [],
+                    noteAttributes: [
+                        { name: 'payment_method', value: isCod ? 'cod' : 'gift_card' },
+                        { name: 'is_cod', value: String(isCod) },
+                        { name: 'is_card', value: 'false' },
+                        { name: 'is_wallet', value: 'false' }
+                    ]
+                }, { id: `order-payment-tags:${shopifyOrderId}` });
+
+                // 📧 Send confirmation through the configured notification providers
+                await enqueueOutboxJob('notify.orderConfirmation', {
+                    email: customer.email,
+                    firstName: customer.firstName || customer.first_name,
+                    lastName: customer.lastName || customer.last_name,
+                    orderNumber: shopifyOrderNumber,
+                    totalAmount: totalAmount,
+                    currency: market.currency,
+                    items: verifiedItems.map(i => ({ name: i.name, quantity: i.quantity, price: i.price })),
+                    checkoutId
+                }, { id: `order-confirmation:${shopifyOrderId}` });
+                queueTextNotification(paidByGiftCard ? 'orderPlaced' : 'codConfirmation', {
+                    phone,
+                    firstName: customer.firstName || customer.first_name || '',
+                    orderNumber: shopifyOrderNumber,
+                    totalAmount: paidByGiftCard ? totalAmount : amountDue,
+                    currency: market.currency
+                }, `text-order:${shopifyOrderId}`).catch(err => console.error('❌ Order text notification error:', err.message));
+                enqueueOutboxJob('klaviyo.placedOrder', { shopifyOrderId, paymentMethod: isCod ? 'cod' : 'gift_card' }, { id: `placed-order:${shopifyOrderId}` })
+                    .catch(err => console.error('❌ Klaviyo Placed Order error:', err.message));
+            }
+        } catch (e) {
+            console.error(`❌ Order ${shopifyOrderId} was created but its follow-up steps failed:`, e.response?.data || e.message);
+        }
+
+        const codRedirectUrl =
+            process.env.COD_SUCCESS_URL ||
+            (process.env.FRONTEND_URL && `${process.env.FRONTEND_URL.replace(/\/$/, '')}/pages/thank-you?order_number=${shopifyOrderNumber}`) ||
+            '/';
+
+        return reply(200, {
+            success: true,
+            cod: isCod,
+            giftCard: paidByGiftCard,
+            shopifyDraftOrderId: draftOrder.id,
+            shopifyOrderId,
+            redirectUrl: codRedirectUrl
+        });
     }
+
+    // Paymob only charges what the gift card doesn't cover
+    const payment = await paymobProvider.createPayment({
+        market,
+        amountCents: quote.amountDue,
+        merchantOrderId: draftOrder.id.toString(),
+        items: verifiedItems.map(item => ({ name: item.name, price: item.price, quantity: item.quantity, description: item.description })),
+        shipping,
+        billingData,
+        customer,
+        methodConfig: paymobConfig,
+        baseUrl: options.baseUrl
+    });
+
+    return reply(200, { success: true, shopifyDraftOrderId: draftOrder.id, ...payment });
 }
 
-async function paymobGetPaymentKey(authToken, orderId, amount, billingData, integrationId) {
+/**
+ * POST /api/checkout/egypt
+ * Accepts an Idempotency-Key header (or idempotencyKey body field): retries
+ * with the same key replay the first response instead of creating new orders.
+ * Checkouts with discount codes are rate-limited like /api/discount/validate.
+ */
+app.post('/api/checkout/egypt', discountValidateLimit, async (req, res) => {
     try {
-        const response = await axios.post('https://accept.paymob.com/api/acceptance/payment_keys', {
-            auth_token: authToken,
-            amount_cents: Math.round(amount * 100),
-            expiration: 3600,
-            order_id: orderId,
-            billing_data: {
-                apartment: billingData.apartment || 'NA',
-                email: billingData.email || 'customer@example.com',
-                floor: billingData.floor || 'NA',
-                first_name: billingData.first_name || 'Customer',
-                street: billingData.street || 'NA',
-                building: billingData.building || 'NA',
-                phone_number: billingData.phone_number || '+20000000000',
-                shipping_method: 'PKG',
-                postal_code: billingData.postal_code || '00000',
-                city: billingData.city || 'Cairo',
-                country: 'EG',
-                last_name: billingData.last_name || 'Customer',
-                state: billingData.state || 'Cairo'
-            },
-            currency: 'EGP',
-            integration_id: integrationId
+        const idempotencyKey = req.get('Idempotency-Key') || req.body?.idempotencyKey || null;
+        if (idempotencyKey && !isValidIdempotencyKey(idempotencyKey))
+            return res.status(400).json({ success: false, error: 'Invalid Idempotency-Key' });
+
+        const { idempotencyKey: _ignored, ...checkoutBody } = req.body || {};
+        const result = await runIdempotent(idempotencyKey, checkoutBody, () => processEgyptCheckout(checkoutBody, {
+            baseUrl: getBaseUrl(req).replace(/\/$/, ''),
+            clientIp: req.ip
+        }));
+
+        if (result.replayed) res.set('Idempotent-Replayed', 'true');
+        res.status(result.status).json(result.body);
+
+    } catch (error) {
+        const status = error?.response?.status;
+        const data = error?.response?.data;
+        if (status) {
+            console.error('Checkout upstream error:', status, data || error.message);
+            return res.status(status).json({ success: false, error: (data && (data.error || data.errors || data.message)) || error.message, details: data });
+        }
+        console.error('Checkout error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Paymob webhook callback
+ * Every transaction is recorded in the ledger; repeated callbacks for a
+ * transaction that was already handled are acknowledged without side effects.
+ * Paid → complete the draft; failed → tag the draft; voided/refunded → mark the order.
+ */
+app.post('/api/paymob/callback', async (req, res) => {
+    let claimedTransactionId = null;
+    try {
+        // Paymob wraps the transaction in { type: 'TRANSACTION', obj: {...} }
+        const data = req.body?.obj || req.body;
+        const market = findMarketByCurrency(data?.currency) || getDefaultMarket();
+        if (!verifyPaymobHmac(data, req.query.hmac, market)) return res.status(400).json({ error: 'Invalid HMAC signature' });
+
+        const transactionId = String(data.id);
+        const shopifyDraftOrderId = data.order?.merchant_order_id || null;
+        const sourceType = String(data.source_data?.type || data.source_data_type || '').toLowerCase();
+
+        const outcome = classifyPaymobTransaction(data);
+
+        await recordLedgerTransaction(transactionId, {
+            paymobOrderId: String(data.order?.id ?? data.order ?? ''),
+            shopifyDraftOrderId,
+            amountCents: Number(data.amount_cents) || 0,
+            currency: data.currency || market.currency,
+            market: market.id,
+            sourceType,
+            success: isPaymobFlagSet(data.success)
         });
-        return response.data.token;
+
+        if (outcome === 'failed') {
+            const result = await handlePaymobFailure(transactionId, shopifyDraftOrderId, data, market);
+            return res.status(200).json({ received: true, outcome, ...(result.duplicate ? { duplicate: true } : {}) });
+        }
+
+        if (outcome === 'voided' || outcome === 'refunded') {
+            const result = await handlePaymobReversal(outcome, transactionId, shopifyDraftOrderId, data, market);
+            return res.status(200).json({ received: true, outcome, ...(result.duplicate ? { duplicate: true } : {}) });
+        }
+
+        if (outcome === 'pending') {
+            await recordLedgerTransaction(transactionId, { state: 'pending' });
+            return res.status(200).json({ received: true, outcome });
+        }
+
+        if (outcome === 'paid') {
+            // Paymob retries webhooks — only the first callback for a transaction may complete the order
+            const claim = await claimLedgerEvent(transactionId, 'paid');
+            if (claim !== 'claimed') {
+                console.log(`↩️ Paymob transaction ${transactionId} already ${claim} — acknowledging without side effects`);
+                return res.status(200).json({ received: true, duplicate: true });
+            }
+            claimedTransactionId = transactionId;
+
+            // A second successful transaction for the same draft must not complete it twice either
+            const previous = await findLedgerTransactionByDraftOrder(shopifyDraftOrderId);
+            if (previous && previous.transactionId !== transactionId && previous.shopifyOrderId) {
+                console.warn(`⚠️ Draft order ${shopifyDraftOrderId} already paid by transaction ${previous.transactionId}; ignoring ${transactionId}`);
+                await recordLedgerTransaction(transactionId, { state: 'duplicate_payment', duplicateOf: previous.transactionId });
+                await completeLedgerEvent(transactionId, 'paid');
+                return res.status(200).json({ received: true, duplicate: true });
+            }
+
+            await recordLedgerTransaction(transactionId, { state: 'processing' });
+
+            const completion = {
+                transactionId,
+                shopifyDraftOrderId,
+                method: sourceType === 'wallet' ? 'wallet' : 'card',
+                paymobOrderId: String(data.order?.id ?? ''),
+                fallbackEmail: data.order?.email || null,
+                market: market.id
+            };
+            if (outbox.driver === 'memory') {
+                // A memory outbox is lost on restart, so Paymob's retry is the only one that survives it:
+                // complete the order now, or fail the callback and let Paymob send it again
+                await completePaidPaymobOrder(completion);
+            } else {
+                // From here the outbox owns the order: Shopify and Klaviyo failures are retried there, not by Paymob
+                const job = await enqueueOutboxJob('paymob.completeOrder', completion, { id: `paymob-complete:${transactionId}` });
+                console.log(`📦 Order ${shopifyDraftOrderId} queued for completion (outbox job ${job?.id})`);
+            }
+            await completeLedgerEvent(transactionId, 'paid');
+            claimedTransactionId = null;
+        }
+
+        res.status(200).json({ received: true });
     } catch (error) {
-        console.error('Paymob payment key error:', error.response?.data || error.message);
-        throw error;
+        // Let Paymob's retry pick the work up again
+        if (claimedTransactionId) {
+            await recordLedgerTransaction(claimedTransactionId, { state: 'error', error: error.message }).catch(() => {});
+            await releaseLedgerEvent(claimedTransactionId, 'paid').catch(() => {});
+        }
+        console.error('Callback error:', error);
+        res.status(500).json({ error: error.message });
     }
-}
+});
 
-// ==================== API ENDPOINTS ====================
+/**
+ * Turn Paymob's terse decline messages into something a shopper can act on.
+ */
+function describePaymobFailure(txn) {
+    const message = String(txn['data.message'] || txn.data?.message || '').trim();
+    const lower = message.toLowerCase();
+    if (lower.includes('insufficient')) return 'Your card has insufficient funds. Please try another card or payment method.';
+    if (lower.includes('3d') || lower.includes('authentication')) return 'Card verification (3D Secure) was not completed. Please try again.';
+    if (lower.includes('expired')) return 'Your card has expired. Please use a different card.';
+    if (lower.includes('do not honor') || lower.includes('do not honour') || lower.includes('declined'))
+        return 'Your bank declined the payment. Please contact your bank or try another card.';
+    if (lower.includes('cancel')) return 'The payment was cancelled.';
+    if (isPaymobFlagSet(txn.pending)) return 'Your payment is still being processed. We will email you once it is confirmed.';
+    return message
+        ? `Your payment was not completed (${message}). Please try again or choose another payment method.`
+        : 'Your payment was not completed. Please try again or choose another payment method.';
+}
 
 /**
- * POST /api/discount/validate
- * Body: { code: string, cartTotal: number }
- * Validates a Shopify discount code and returns discount info.
+ * Resolve the real Shopify order number for a paid draft order: from the
+ * ledger when the webhook has already run, otherwise from Shopify itself.
  */
-app.post('/api/discount/validate', async (req, res) => {
-    try {
-        const { code, cartTotal } = req.body;
+async function resolveShopifyOrderNumber(transactionId, shopifyDraftOrderId) {
+    const record = (await getLedgerTransaction(transactionId)) || (await findLedgerTransactionByDraftOrder(shopifyDraftOrderId));
+    if (record?.shopifyOrderNumber) return record.shopifyOrderNumber;
+    if (!shopifyDraftOrderId) return null;
 
-        if (!code || typeof code !== 'string' || !code.trim())
-            return res.status(400).json({ success: false, error: 'Discount code is required' });
+    const draftRes = await axios.get(
+        `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/draft_orders/${shopifyDraftOrderId}.json`,
+        { headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
+    );
+    const shopifyOrderId = draftRes.data?.draft_order?.order_id;
+    if (!shopifyOrderId) return null;
 
-        const missing = getMissingEnv(['SHOPIFY_STORE_DOMAIN', 'SHOPIFY_ADMIN_ACCESS_TOKEN']);
-        if (missing.length)
-            return res.status(500).json({ success: false, error: `Missing env vars: ${missing.join(', ')}` });
+    const orderRes = await axios.get(
+        `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/orders/${shopifyOrderId}.json`,
+        { headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
+    );
+    return orderRes.data?.order?.order_number ? String(orderRes.data.order.order_number) : null;
+}
 
-        const discount = await validateShopifyDiscountCode(code.trim(), Number(cartTotal) || 0);
-        return res.json({ success: true, discount });
+function getPaymentFailedUrl(reason, shopifyDraftOrderId) {
+    const base = process.env.PAYMENT_FAILED_URL ||
+        `${String(process.env.FRONTEND_URL || '').replace(/\/$/, '')}/pages/payment-failed`;
+    const params = new URLSearchParams({ reason });
+    if (shopifyDraftOrderId) params.set('draft_order', String(shopifyDraftOrderId));
+    return `${base}${base.includes('?') ? '&' : '?'}${params}`;
+}
 
-    } catch (error) {
-        if (error?.response?.status === 404)
-            return res.json({ success: false, error: 'Discount code not found' });
-        console.error('Discount validate error:', error?.response?.data || error.message);
-        return res.json({ success: false, error: error.message || 'Invalid discount code' });
+/**
+ * GET /api/paymob/response  (also served at /api/checkout/success)
+ * Paymob's transaction-processed redirect. The query string is HMAC-signed
+ * like the webhook; only a verified, successful payment reaches the thank-you page.
+ */
+async function handlePaymobRedirect(req, res) {
+    const txn = req.query || {};
+    const shopifyDraftOrderId = txn.merchant_order_id || null;
+
+    if (!verifyPaymobHmac(txn, txn.hmac, findMarketByCurrency(txn.currency) || getDefaultMarket())) {
+        console.warn('⚠️ Paymob redirect with invalid HMAC', txn.id || '');
+        return res.redirect(getPaymentFailedUrl('We could not verify your payment. If you were charged, please contact us.', null));
     }
-});
 
-function getPaymobMethodConfig(paymobMethod) {
-    const method = String(paymobMethod || '').toLowerCase();
-    const defaults = {
-        integrationId: process.env.PAYMOB_INTEGRATION_ID,
-        iframeId: process.env.PAYMOB_IFRAME_ID
-    };
-    if (method === 'cod') return { integrationId: process.env.PAYMOB_INTEGRATION_ID_COD || defaults.integrationId, iframeId: null };
-    if (method === 'wallet') return { integrationId: process.env.PAYMOB_INTEGRATION_ID_WALLET || defaults.integrationId, iframeId: process.env.PAYMOB_IFRAME_ID_WALLET || defaults.iframeId };
-    if (method === 'card') return { integrationId: process.env.PAYMOB_INTEGRATION_ID_CARD || defaults.integrationId, iframeId: process.env.PAYMOB_IFRAME_ID_CARD || defaults.iframeId };
-    return defaults;
+    const outcome = classifyPaymobTransaction(txn);
+    if (outcome !== 'paid') {
+        return res.redirect(getPaymentFailedUrl(describePaymobFailure(txn), shopifyDraftOrderId));
+    }
+
+    const frontendUrl = String(process.env.FRONTEND_URL || '').replace(/\/$/, '');
+    try {
+        const orderNumber = await resolveShopifyOrderNumber(String(txn.id), shopifyDraftOrderId);
+        if (orderNumber) return res.redirect(`${frontendUrl}/pages/thank-you?order_number=${encodeURIComponent(orderNumber)}`);
+    } catch (err) {
+        console.error('Paymob redirect order lookup error:', err?.response?.data || err.message);
+    }
+
+    // Paid, but the webhook hasn't created the Shopify order yet
+    res.redirect(`${frontendUrl}/pages/thank-you?draft_order=${encodeURIComponent(shopifyDraftOrderId || '')}`);
+}
+
+app.get('/api/paymob/response', handlePaymobRedirect);
+app.get('/api/checkout/success', handlePaymobRedirect);
+
+// ==================== SHOPIFY WEBHOOKS ====================
+
+/**
+ * True when the request carries a valid X-Shopify-Hmac-Sha256 for
+ * SHOPIFY_WEBHOOK_SECRET (the app's client secret).
+ */
+function verifyShopifyWebhook(req) {
+    const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+    const received = String(req.get('X-Shopify-Hmac-Sha256') || '');
+    if (!secret || !received || !req.rawBody) return false;
+    const crypto = require('crypto');
+    const expected = crypto.createHmac('sha256', secret).update(req.rawBody).digest('base64');
+    return expected.length === received.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
 }
 
 /**
- * POST /api/checkout/egypt
- * Now accepts optional appliedDiscount from the frontend.
+ * POST /api/shopify/webhooks
+ * Subscribe orders/fulfilled, orders/cancelled and refunds/create here; they
+ * become Klaviyo Fulfilled Order, Cancelled Order and Refunded Order events.
+ * Admin refunds and voids create Shopify refunds and cancellations, so they
+ * arrive here too. Events are sent through the outbox; a 500 only means the
+ * job couldn't be stored, and Shopify retries.
  */
-app.post('/api/checkout/egypt', async (req, res) => {
+app.post('/api/shopify/webhooks', async (req, res) => {
+    if (!verifyShopifyWebhook(req)) return res.status(401).json({ error: 'Invalid webhook signature' });
+
+    const topic = String(req.get('X-Shopify-Topic') || '');
+    const payload = req.body || {};
+    const queueOrderEvent = (metric, shopifyOrderId, options) =>
+        enqueueOutboxJob('klaviyo.orderEvent', { metric, shopifyOrderId, ...options }, { id: `klaviyo:${options.uniqueId}` });
     try {
-        const { cartItems, customer, billingData, paymobMethod, appliedDiscount } = req.body;
-
-        const missingShopify = getMissingEnv(['SHOPIFY_STORE_DOMAIN', 'SHOPIFY_ADMIN_ACCESS_TOKEN']);
-        if (missingShopify.length)
-            return res.status(500).json({ success: false, error: `Missing Shopify env vars: ${missingShopify.join(', ')}` });
-
-        const missingPaymob = getMissingEnv(['PAYMOB_API_KEY']);
-        if (missingPaymob.length)
-            return res.status(500).json({ success: false, error: `Missing Paymob env vars: ${missingPaymob.join(', ')}` });
-
-        const paymobConfig = getPaymobMethodConfig(paymobMethod);
-        if (!paymobConfig.integrationId)
-            return res.status(500).json({ success: false, error: 'Paymob configuration missing (integration_id)' });
-
-        const itemsTotal = cartItems.reduce((sum, item) => sum + (Number(item.price || 0) * (item.quantity || 1)), 0);
-        const discountAmount = appliedDiscount?.discountAmount ? Number(appliedDiscount.discountAmount) : 0;
-        const totalAmount = itemsTotal + 100 - discountAmount; // items + 100 EGP shipping - discount
-
-        const draftOrder = await createDraftOrder(cartItems, customer, totalAmount, appliedDiscount || null);
-
-        // Subscribe to Klaviyo only if newsletter checkbox was checked
-        if (req.body.newsletter === true || req.body.newsletter === 'true') {
-          klaviyoSubscribe({
-              email:     customer.email,
-              firstName: customer.firstName || customer.first_name,
-              lastName:  customer.lastName  || customer.last_name,
-              newsletter: true
-          }).catch(err => console.error('Klaviyo subscribe error:', err?.response?.data || err.message));
+        if (topic === 'orders/fulfilled') {
+            const fulfillments = payload.fulfillments || [];
+            const profile = getKlaviyoOrderProfile(payload);
+            await queueTextNotification('shipped', {
+                phone: toE164Phone(profile.phone, findMarketByCurrency(payload.currency) || getDefaultMarket()),
+                firstName: profile.firstName || '',
+                orderNumber: payload.order_number || payload.id,
+                trackingUrl: fulfillments.flatMap(f => f.tracking_urls || [])[0] || '',
+                trackingNumber: fulfillments.flatMap(f => f.tracking_numbers || [])[0] || ''
+            }, `text-shipped:${payload.id}`);
+            await queueOrderEvent('Fulfilled Order', payload.id, {
+                uniqueId: `fulfilled-order-${payload.id}`,
+                properties: {
+                    TrackingCompanies: [...new Set(fulfillments.map(f => f.tracking_company).filter(Boolean))],
+                    TrackingNumbers: fulfillments.flatMap(f => f.tracking_numbers || []),
+                    TrackingURLs: fulfillments.flatMap(f => f.tracking_urls || [])
+                }
+            });
+        } else if (topic === 'orders/cancelled') {
+            await queueOrderEvent('Cancelled Order', payload.id, {
+                uniqueId: `cancelled-order-${payload.id}`,
+                properties: { Reason: payload.cancel_reason || '' },
+                time: payload.cancelled_at
+            });
+        } else if (topic === 'refunds/create') {
+            const refundedAmount = (payload.transactions || [])
+                .filter(t => t.kind === 'refund' && t.status !== 'failure')
+                .reduce((sum, t) => sum + Number(t.amount || 0), 0);
+            await queueOrderEvent('Refunded Order', payload.order_id, {
+                uniqueId: `refunded-order-${payload.id}`,
+                value: Math.round(refundedAmount * 100) / 100,
+                properties: {
+                    RefundId: String(payload.id),
+                    RefundAmount: Math.round(refundedAmount * 100) / 100,
+                    Reason: payload.note || '',
+                    RefundedItems: (payload.refund_line_items || []).map(r => ({
+                        ProductName: r.line_item?.title || 'Item',
+                        VariantID: toNumericShopifyId(r.line_item?.variant_id),
+                        SKU: r.line_item?.sku || '',
+                        Quantity: r.quantity,
+                        Amount: Number(r.subtotal) || 0
+                    }))
+                },
+                time: payload.created_at
+            });
         } else {
-          console.log('📭 Newsletter opt-in not checked — skipping Klaviyo subscribe');
+            console.log(`ℹ️ Ignoring Shopify webhook ${topic || '(no topic)'}`);
         }
+        res.status(200).json({ received: true });
+    } catch (error) {
+        console.error(`Shopify webhook ${topic} error:`, error?.response?.data || error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        if (String(paymobMethod || '').toLowerCase() === 'cod') {
-          try {
-              const completeRes = await axios.put(
-                  `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/draft_orders/${draftOrder.id}/complete.json`,
-                  { payment_pending: true },
-                  { headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
-              );
-      
-              const shopifyOrderId = completeRes.data?.draft_order?.order_id;
-              let shopifyOrderNumber = draftOrder.id; // fallback
-      
-              if (shopifyOrderId) {
-                  // Fetch the real order to get the order_number (e.g. 1234)
-                  const orderRes = await axios.get(
-                      `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/orders/${shopifyOrderId}.json`,
-                      { headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
-                  );
-                  shopifyOrderNumber = orderRes.data?.order?.order_number || shopifyOrderId;
-      
-                  // Tag the order with payment method
-                  await axios.put(
-                      `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/orders/${shopifyOrderId}.json`,
-                      { order: { id: shopifyOrderId, note_attributes: [
-                          { name: 'payment_method', value: 'cod' },
-                          { name: 'is_cod', value: 'true' },
-                          { name: 'is_card', value: 'false' },
-                          { name: 'is_wallet', value: 'false' }
-                      ]}},
-                      { headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
-                  );
-                    // 📧 Send confirmation via Klaviyo
-                    // With this — await it so we can see if it fails:
-                    try {
-                      await sendOrderConfirmationEmail({
-                          email: customer.email,
-                          firstName: customer.firstName || customer.first_name,
-                          lastName: customer.lastName || customer.last_name,
-                          orderNumber: shopifyOrderNumber,
-                          totalAmount: totalAmount,
-                          items: cartItems.map(i => ({ name: i.name, quantity: i.quantity, price: i.price }))
-                      });
-                      console.log('✅ Klaviyo order confirmation event fired');
-                    } catch (err) {
-                      console.error('❌ Klaviyo email error:', err?.response?.data || err.message);
-                    }
-              }
-      
-              const codRedirectUrl =
-                  process.env.COD_SUCCESS_URL ||
-                  (process.env.FRONTEND_URL && `${process.env.FRONTEND_URL.replace(/\/$/, '')}/pages/thank-you?order_number=${shopifyOrderNumber}`) ||
-                  '/';
-      
-              return res.json({ success: true, cod: true, shopifyDraftOrderId: draftOrder.id, shopifyOrderId, redirectUrl: codRedirectUrl });
-      
-          } catch (e) {
-              console.error('Error completing COD draft order:', e.response?.data || e.message);
-              return res.status(500).json({ success: false, error: 'Failed to complete COD order in Shopify' });
-          }
-      }
-
-        const authToken = await paymobAuthenticate();
-
-        // Register with Paymob using the post-discount total
-        const paymobOrder = await paymobRegisterOrder(
-            authToken,
-            totalAmount,
-            draftOrder.id.toString(),
-            cartItems.map(item => ({ name: item.name, price: item.price, quantity: item.quantity, description: item.description }))
-        );
+// ==================== ADMIN ENDPOINTS ====================
 
-        const exactTotalCents = paymobOrder._totalCents;
+/**
+ * Admin endpoints require ADMIN_API_KEY, sent as `Authorization: Bearer <key>`
+ * or an `X-Admin-Key` header.
+ */
+function requireAdmin(req, res, next) {
+    const expected = process.env.ADMIN_API_KEY;
+    if (!expected) return res.status(500).json({ success: false, error: 'Missing env vars: ADMIN_API_KEY' });
 
-        const paymentKey = await paymobGetPaymentKey(
-            authToken, paymobOrder.id, exactTotalCents / 100, billingData, paymobConfig.integrationId
-        );
+    const header = req.get('Authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : (req.get('X-Admin-Key') || '');
 
-        const paymobIframeUrl = paymobConfig.iframeId
-            ? `https://accept.paymob.com/api/acceptance/iframes/${paymobConfig.iframeId}?payment_token=${paymentKey}`
-            : null;
+    const crypto = require('crypto');
+    const a = crypto.createHash('sha256').update(String(provided)).digest();
+    const b = crypto.createHash('sha256').update(String(expected)).digest();
+    if (!provided || !crypto.timingSafeEqual(a, b)) return res.status(401).json({ success: false, error: 'Unauthorized' });
+    next();
+}
 
-        res.json({ success: true, paymentUrl: paymobIframeUrl, shopifyDraftOrderId: draftOrder.id, paymobOrderId: paymobOrder.id, paymentToken: paymentKey });
+/**
+ * Find the Paymob transaction that paid for a Shopify order: the ledger first,
+ * then the paymob_transaction_id note attribute written by the callback.
+ */
+async function findPaymobTransactionForOrder(shopifyOrderId) {
+    const record = await findLedgerTransactionByShopifyOrder(shopifyOrderId);
+    if (record) return record;
 
-    } catch (error) {
-        const status = error?.response?.status;
-        const data = error?.response?.data;
-        if (status) {
-            console.error('Checkout upstream error:', status, data || error.message);
-            return res.status(status).json({ success: false, error: (data && (data.error || data.errors || data.message)) || error.message, details: data });
-        }
-        console.error('Checkout error:', error);
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
+    const orderRes = await axios.get(
+        `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/orders/${shopifyOrderId}.json`,
+        { headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
+    );
+    const order = orderRes.data?.order;
+    const attributes = new Map((order?.note_attributes || []).map(a => [a.name, a.value]));
+    const transactionId = attributes.get('paymob_transaction_id');
+    if (!transactionId) return null;
+    const market = resolveMarket(attributes.get('market')) || findMarketByCurrency(order.currency) || getDefaultMarket();
+
+    return recordLedgerTransaction(transactionId, {
+        shopifyOrderId: String(shopifyOrderId),
+        shopifyOrderNumber: String(order.order_number || ''),
+        amountCents: toMinorUnits(order.total_price, market),
+        currency: order.currency || market.currency,
+        market: attributes.get('market') || null,
+        state: 'completed'
+    });
+}
 
 /**
- * Paymob webhook callback
+ * Record a refund on the Shopify order against its original payment.
  */
-app.post('/api/paymob/callback', async (req, res) => {
-    try {
-        const data = req.body;
-        const hmacSecret = process.env.PAYMOB_HMAC;
-        const crypto = require('crypto');
-        const receivedHmac = req.query.hmac;
-
-        const concatenatedString =
-            data.amount_cents + data.created_at + data.currency + data.error_occured +
-            data.has_parent_transaction + data.id + data.integration_id + data.is_3d_secure +
-            data.is_auth + data.is_capture + data.is_refunded + data.is_standalone_payment +
-            data.is_voided + data.order + data.owner + data.pending + data.source_data_pan +
-            data.source_data_sub_type + data.source_data_type + data.success;
-
-        const calculatedHmac = crypto.createHmac('sha512', hmacSecret).update(concatenatedString).digest('hex');
-        if (calculatedHmac !== receivedHmac) return res.status(400).json({ error: 'Invalid HMAC signature' });
-
-        if (data.success === 'true' || data.success === true) {
-            const shopifyDraftOrderId = data.order.merchant_order_id;
-            const sourceType = String(data.source_data_type || '').toLowerCase();
-            const isWallet = sourceType === 'wallet';
-            const isCard = !isWallet;
-            const method = isWallet ? 'wallet' : 'card';
+async function createShopifyRefund(shopifyOrderId, amount, currency, note) {
+    const headers = { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN };
 
-            const completeRes = await axios.put(
-                `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/draft_orders/${shopifyDraftOrderId}/complete.json`,
-                { payment_pending: false },
-                { headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
-            );
+    const txRes = await axios.get(
+        `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/orders/${shopifyOrderId}/transactions.json`,
+        { headers }
+    );
+    const parent = (txRes.data?.transactions || []).find(t => (t.kind === 'sale' || t.kind === 'capture') && t.status === 'success');
 
-            const shopifyOrderId = completeRes.data?.draft_order?.order_id;
+    const refund = { currency, notify: false, note };
+    if (parent) refund.transactions = [{ parent_id: parent.id, amount: formatMarketAmount(amount, findMarketByCurrency(currency)), kind: 'refund', gateway: parent.gateway }];
 
-            if (shopifyOrderId) {
+    const response = await axios.post(
+        `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/orders/${shopifyOrderId}/refunds.json`,
+        { refund },
+        { headers }
+    );
+    return response.data?.refund;
+}
 
-                const orderRes = await axios.get(
-                    `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/orders/${shopifyOrderId}.json`,
-                    { headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
-                );
-                const shopifyOrder = orderRes.data?.order;
-                const shopifyOrderNumber = shopifyOrder?.order_number || shopifyOrderId;
-                const customerEmail = shopifyOrder?.email || data.order?.email;
-
-
-                await axios.put(
-                    `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-01/orders/${shopifyOrderId}.json`,
-                    { order: { id: shopifyOrderId, note_attributes: [
-                        { name: 'payment_method', value: method },
-                        { name: 'is_cod', value: 'false' },
-                        { name: 'is_card', value: String(isCard) },
-                        { name: 'is_wallet', value: String(isWallet) }
-                    ]}},
-                    { headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_ACCESS_TOKEN } }
-                );
-
-                // 📧 Send confirmation via Klaviyo
-                sendOrderConfirmationEmail({
-                  email: customerEmail,
-                  firstName: shopifyOrder?.customer?.first_name || '',
-                  lastName: shopifyOrder?.customer?.last_name || '',
-                  orderNumber: shopifyOrderNumber,
-                  totalAmount: shopifyOrder?.total_price || 0,
-                  items: (shopifyOrder?.line_items || []).map(i => ({ name: i.title, quantity: i.quantity, price: i.price }))
-              }).catch(err => console.error('Confirmation email error:', err.message));
+/**
+ * Outbox job: record an admin refund or void (already done in Paymob) as a
+ * Shopify refund, once — the ledger keeps the Shopify refund id.
+ */
+async function mirrorReversalInShopify({ transactionId, reversalNumber, shopifyOrderId, amount, currency, note }) {
+    const record = await getLedgerTransaction(transactionId);
+    if (record?.refunds?.[reversalNumber]?.shopifyRefundId) return;
+
+    const shopifyRefund = await createShopifyRefund(shopifyOrderId, amount, currency, note);
+    const latest = await getLedgerTransaction(transactionId);
+    const refunds = [...(latest?.refunds || [])];
+    if (refunds[reversalNumber]) refunds[reversalNumber] = { ...refunds[reversalNumber], shopifyRefundId: shopifyRefund?.id || 'created' };
+    await recordLedgerTransaction(transactionId, { refunds });
+}
 
+/**
+ * POST /api/admin/orders/:orderId/refund   Body: { amount?: number, reason?: string }
+ * POST /api/admin/orders/:orderId/void     Body: { reason?: string }
+ * Refunds (full or partial — amount in the order's currency, default: everything
+ * not yet refunded) or voids the Paymob payment of a Shopify order through the
+ * Paymob account of the order's market, then records the refund in Shopify.
+ * The ledger is updated as soon as Paymob answers; the Shopify refund, tags
+ * and (for voids) cancellation run as outbox jobs, so a Shopify outage never
+ * leads to a second refund. `shopifyJobs` lists them (see GET /api/admin/outbox).
+ */
+function adminReversalHandler(kind) {
+    return async (req, res) => {
+        try {
+            const missing = getMissingEnv(['SHOPIFY_STORE_DOMAIN', 'SHOPIFY_ADMIN_ACCESS_TOKEN']);
+            if (missing.length)
+                return res.status(500).json({ success: false, error: `Missing env vars: ${missing.join(', ')}` });
+
+            const shopifyOrderId = String(req.params.orderId || '').split('/').pop();
+            if (!/^\d+$/.test(shopifyOrderId))
+                return res.status(400).json({ success: false, error: 'Invalid Shopify order id' });
+
+            const found = await findPaymobTransactionForOrder(shopifyOrderId);
+            if (!found)
+                return res.status(404).json({ success: false, error: 'No Paymob transaction found for this order' });
+
+            // Reversals are numbered; claiming the next number lets only one admin request move money at a time
+            const reversalNumber = (found.refunds || []).length;
+            const event = `refund:${reversalNumber}`;
+            if (await claimLedgerEvent(found.transactionId, event) !== 'claimed')
+                return res.status(409).json({ success: false, error: 'Another refund or void of this payment is in progress, please reload and try again' });
+            let claimed = true;
+
+            try {
+                // Re-read under the claim: the checks below must see every reversal already made
+                const record = await getLedgerTransaction(found.transactionId);
+                if ((record.refunds || []).length !== reversalNumber)
+                    return res.status(409).json({ success: false, error: 'This payment changed in the meantime, please reload and try again' });
+                if (record.state === 'voided')
+                    return res.status(409).json({ success: false, error: 'Payment was already voided' });
+                // A void reverses the whole payment, so it can't follow a refund
+                if (kind === 'void' && record.refundedAmountCents >= record.amountCents)
+                    return res.status(409).json({ success: false, error: 'Payment was already refunded' });
+                if (kind === 'void' && record.refundedAmountCents > 0)
+                    return res.status(409).json({ success: false, error: 'Payment is already partly refunded and can no longer be voided; refund the remaining amount instead' });
+
+                const market = (record.market && resolveMarket(record.market)) || findMarketByCurrency(record.currency) || getDefaultMarket();
+                const missingPaymob = getMissingMarketEnv(market, ['PAYMOB_API_KEY']);
+                if (missingPaymob.length)
+                    return res.status(500).json({ success: false, error: `Missing env vars: ${missingPaymob.join(', ')}` });
+
+                const remainingCents = (record.amountCents || 0) - (record.refundedAmountCents || 0);
+                const amountCents = kind === 'void'
+                    ? record.amountCents
+                    : (req.body?.amount !== undefined ? toMinorUnits(req.body.amount, market) : remainingCents);
+                if (!Number.isInteger(amountCents) || amountCents <= 0 || amountCents > remainingCents)
+                    return res.status(400).json({ success: false, error: `Refund amount must be between 0 and ${formatMarketAmount(fromMinorUnits(remainingCents, market), market)}` });
+
+                const reason = String(req.body?.reason || '').slice(0, 255);
+                const paymobResult = kind === 'void'
+                    ? await paymobVoidTransaction(record.transactionId, market)
+                    : await paymobRefundTransaction(record.transactionId, amountCents, market);
+
+                if (paymobResult && (paymobResult.success === false || paymobResult.success === 'false'))
+                    return res.status(502).json({ success: false, error: paymobResult.data?.message || `Paymob ${kind} was declined`, details: paymobResult });
+
+                // The money has moved: record it before anything else can fail
+                const refundedAmountCents = (record.refundedAmountCents || 0) + amountCents;
+                await recordLedgerTransaction(record.transactionId, {
+                    state: kind === 'void' ? 'voided' : (refundedAmountCents >= record.amountCents ? 'refunded' : 'partially_refunded'),
+                    refundedAmountCents,
+                    refunds: [...(record.refunds || []), { kind, amountCents, reason, paymobTransactionId: paymobResult?.id || null, shopifyRefundId: null, at: new Date().toISOString() }]
+                });
+                await completeLedgerEvent(record.transactionId, event);
+                claimed = false;
+
+                const amount = fromMinorUnits(amountCents, market);
+                const currency = record.currency || market.currency;
+                const note = `Paymob ${kind} of transaction ${record.transactionId}${reason ? `: ${reason}` : ''}`;
+
+                // Shopify only mirrors what Paymob did, so its side is retried through the outbox
+                const jobs = [
+                    await enqueueOutboxJob('shopify.refund', {
+                        transactionId: record.transactionId, reversalNumber, shopifyOrderId, amount, currency, note
+                    }, { id: `shopify-refund:${record.transactionId}:${reversalNumber}` }),
+                    await enqueueOutboxJob('shopify.annotate', {
+                        resource: 'orders',
+                        id: shopifyOrderId,
+                        addTags: [kind === 'void' ? 'paymob-voided' : 'paymob-refunded'],
+                        noteAttributes: [{ name: 'paymob_status', value: kind === 'void' ? 'voided' : 'refunded' }],
+                        appendNote: `${note} (${formatMarketAmount(amount, market)} ${currency})`
+                    }, { id: `order-reversal-note:${record.transactionId}:${reversalNumber}` })
+                ];
+                if (kind === 'void')
+                    jobs.push(await enqueueOutboxJob('shopify.cancelOrder', { shopifyOrderId }, { id: `order-cancel:${shopifyOrderId}` }));
+
+                console.log(`💸 Admin ${kind} of ${amount} ${currency} on Shopify order ${shopifyOrderId} (Paymob transaction ${record.transactionId})`);
+                res.json({
+                    success: true,
+                    shopifyOrderId,
+                    transactionId: record.transactionId,
+                    amount,
+                    currency,
+                    paymobTransactionId: paymobResult?.id || null,
+                    shopifyJobs: jobs.map(job => job.id)
+                });
+            } finally {
+                // Nothing was refunded — free the number for the next attempt
+                if (claimed) await releaseLedgerEvent(found.transactionId, event).catch(() => {});
             }
-
-            console.log(`✅ Order ${shopifyDraftOrderId} completed successfully (method: ${method})`);
+        } catch (error) {
+            const status = error?.response?.status;
+            const data = error?.response?.data;
+            if (status) {
+                console.error(`Admin ${kind} upstream error:`, status, data || error.message);
+                return res.status(status).json({ success: false, error: (data && (data.error || data.errors || data.message || data.detail)) || error.message, details: data });
+            }
+            console.error(`Admin ${kind} error:`, error);
+            res.status(500).json({ success: false, error: error.message });
         }
+    };
+}
 
-        res.status(200).json({ received: true });
+app.post('/api/admin/orders/:orderId/refund', requireAdmin, adminReversalHandler('refund'));
+app.post('/api/admin/orders/:orderId/void', requireAdmin, adminReversalHandler('void'));
+
+/**
+ * GET  /api/admin/outbox?state=pending|done|dead   Outbox jobs, oldest first (all states by default)
+ * POST /api/admin/outbox/:jobId/retry              Re-run a dead or failed job now, resetting its attempts
+ */
+app.get('/api/admin/outbox', requireAdmin, async (req, res) => {
+    try {
+        const state = req.query.state ? String(req.query.state) : null;
+        const jobs = await listOutboxJobs(job => !state || job.state === state);
+        res.json({ success: true, jobs });
     } catch (error) {
-        console.error('Callback error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Outbox list error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.get('/api/checkout/success', (req, res) => {
-    const { order_id } = req.query;
-    res.redirect(`${process.env.FRONTEND_URL}/pages/thank-you?order=${order_id}`);
+app.post('/api/admin/outbox/:jobId/retry', requireAdmin, async (req, res) => {
+    try {
+        const result = await retryOutboxJob(String(req.params.jobId));
+        if (!result) return res.status(404).json({ success: false, error: 'Outbox job not found' });
+        if (!result.retried)
+            return res.status(409).json({ success: false, error: `Only dead or failed jobs can be retried (this one is ${result.job.state})`, job: result.job });
+        res.json({ success: result.job.state === 'done', job: result.job });
+    } catch (error) {
+        console.error('Outbox retry error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
 // ==================== CHECKOUT PAGE HTML ====================
 
-function getCartPayloadCheckoutPageHtml(cart) {
+function getCartPayloadCheckoutPageHtml(cart, market = getDefaultMarket(), unavailableItems = [], checkout = {}) {
     const safeCartJson = JSON.stringify(cart || { total: 0, items: [] }).replace(/</g, '\\u003c');
+    const safeUnavailableJson = JSON.stringify(unavailableItems).replace(/</g, '\\u003c');
+    const safeCheckoutJson = JSON.stringify({ id: checkout.id || null, contact: checkout.contact || null }).replace(/</g, '\\u003c');
+    const safeMarketJson = JSON.stringify({
+        id: market.id, name: market.name, country: market.country, currency: market.currency, locale: market.locale,
+        minorUnits: getMinorUnits(market)
+    }).replace(/</g, '\\u003c');
+    const escapeHtml = (value) => String(value || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    const regionLabel = escapeHtml(market.regionLabel || 'Governorate');
+    const governorateOptions = getShippingGovernorates(market)
+        .map(g => `<option value="${g.replace(/"/g, '&quot;')}">${g.replace(/</g, '&lt;')}</option>`)
+        .join('');
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -843,6 +5120,12 @@ function getCartPayloadCheckoutPageHtml(cart) {
     .shipping-box-left .shipping-name { font-size: 13.5px; font-weight: 400; color: var(--text); }
     .shipping-box-left .shipping-desc { font-size: 12px; color: var(--muted); }
     .shipping-price { font-size: 13.5px; color: var(--text); }
+    .shipping-price s { color: var(--muted); margin-right: 6px; }
+    .shipping-box-left .shipping-promo { font-size: 12px; color: var(--success); }
+    label.shipping-box { cursor: pointer; transition: border-color 0.2s; }
+    label.shipping-box:has(input:checked) { border-color: var(--border-focus); }
+    .shipping-box-left { display: flex; align-items: center; gap: 10px; }
+    .shipping-box input[type="radio"] { width: 16px; height: 16px; accent-color: var(--text); flex-shrink: 0; }
 
     /* ── Payment ── */
     .payment-subtitle { font-size: 12px; color: var(--muted); margin-bottom: 1rem; }
@@ -884,6 +5167,8 @@ function getCartPayloadCheckoutPageHtml(cart) {
     .item-info { flex: 1; }
     .item-name { font-size: 13.5px; font-weight: 400; color: var(--text); line-height: 1.3; }
     .item-price { font-size: 13.5px; font-weight: 400; color: var(--text); white-space: nowrap; }
+    .item-stock { font-size: 12px; color: var(--error); margin-top: 2px; }
+    .order-item.unavailable .item-img-wrap, .order-item.unavailable .item-price { opacity: 0.5; }
 
     /* ── Discount section ── */
     .discount-row { display: flex; gap: 8px; margin-bottom: 6px; }
@@ -1010,7 +5295,7 @@ function getCartPayloadCheckoutPageHtml(cart) {
         <div class="select-country">
           <span class="country-label">Country/Region</span>
           <div class="country-value">
-            Egypt
+            ${escapeHtml(market.name)}
             <svg viewBox="0 0 10 6" width="10" height="6" fill="none"><path d="M1 1l4 4 4-4" stroke="#888" stroke-width="1.2" stroke-linecap="round"/></svg>
           </div>
         </div>
@@ -1032,24 +5317,24 @@ function getCartPayloadCheckoutPageHtml(cart) {
 
       <div class="field-row">
         <div class="field"><div class="input-wrap"><input id="city" name="city" type="text" placeholder="City" autocomplete="address-level2" required /></div></div>
-        <div class="field"><div class="input-wrap"><input id="state" name="state" type="text" placeholder="Governorate" autocomplete="address-level1" required /></div></div>
+        <div class="field"><div class="input-wrap"><select id="state" name="state" autocomplete="address-level1" required><option value="" disabled selected>${regionLabel}</option>${governorateOptions}</select></div></div>
         <div class="field"><div class="input-wrap"><input id="zip" name="zip" type="text" placeholder="ZIP code" autocomplete="postal-code" /></div></div>
       </div>
 
       <div class="field">
         <div class="input-wrap">
-          <input id="phone" name="phone" type="tel" placeholder="Phone (optional)" autocomplete="tel" />
+          <input id="phone" name="phone" type="tel" placeholder="Mobile number (for cash on delivery)" autocomplete="tel" required />
           <span class="input-icon"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><path d="M12 8v4m0 4h.01"/></svg></span>
         </div>
       </div>
 
       <div class="section-title">Shipping method</div>
-      <div class="shipping-box">
-        <div class="shipping-box-left">
-          <div class="shipping-name">Standard Shipping</div>
-          <div class="shipping-desc">2 to 8 business days</div>
+      <div id="shipping-options">
+        <div class="shipping-box">
+          <div class="shipping-box-left">
+            <div class="shipping-desc">Select your ${regionLabel.toLowerCase()} to see shipping options.</div>
+          </div>
         </div>
-        <div class="shipping-price">100 EGP</div>
       </div>
 
       <div class="section-title">Payment</div>
@@ -1086,7 +5371,8 @@ function getCartPayloadCheckoutPageHtml(cart) {
       <input type="text" id="discount-input" placeholder="Discount code or gift card" autocomplete="off" />
       <button type="button" id="discount-btn">Apply</button>
     </div>
-    <div id="discount-tag" class="discount-tag"></div>
+    <div id="discount-tags"></div>
+    <div id="gift-card-tag" class="discount-tag"></div>
     <div id="discount-feedback" class="discount-feedback"></div>
 
     <div class="totals" id="totals"></div>
@@ -1097,11 +5383,38 @@ function getCartPayloadCheckoutPageHtml(cart) {
 <script>
 (function () {
   var CART = ${safeCartJson};
-  var appliedDiscount = null; // holds validated discount object from server
+  var MARKET = ${safeMarketJson};  // currency and country every price on this page is in
+  var unavailableItems = ${safeUnavailableJson};  // [{ index, requested, available }] lines short on stock — payment is blocked
+  var CHECKOUT = ${safeCheckoutJson};  // { id, contact } — id saves progress for abandoned-checkout recovery
+  var appliedCodes = [];       // validated codes as the shopper entered them (server re-validates)
+  var codeDetails = {};        // code -> discount object from /api/discount/validate, for tag labels
+  var quote = null;            // signed price from /api/checkout/quote (minor units) — what's shown is what's charged
+  var rejectedCodes = [];      // [{ code, reason }] codes that can't be combined with the rest
+  var appliedGiftCard = null;  // { code, lastCharacters, balance } — debited only when the order completes
+  var shippingOptions = [];    // options for the chosen governorate, priced by the server
+  var selectedShipping = null;
+
+  // One key per order as entered: retries and double-clicks replay the first order instead of creating another.
+  // A refused order, an edited form or a new quote is a different order, so it gets a fresh key.
+  function newIdempotencyKey() {
+    return (window.crypto && window.crypto.randomUUID)
+      ? window.crypto.randomUUID()
+      : Date.now().toString(36) + '-' + Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+  }
+  var idempotencyKey = newIdempotencyKey();
 
   /* ── Formatting ── */
   function fmt(v) {
-    return new Intl.NumberFormat('en-EG', { style: 'currency', currency: 'EGP' }).format(v || 0);
+    return new Intl.NumberFormat(MARKET.locale, { style: 'currency', currency: MARKET.currency }).format(v || 0);
+  }
+
+  // Names, titles and codes come from Shopify or the shopper — never markup
+  function escapeHtml(value) {
+    return String(value == null ? '' : value).replace(/[&<>"']/g, function (c) { return '&#' + c.charCodeAt(0) + ';'; });
+  }
+
+  function fmtMinor(v) {
+    return fmt((v || 0) / Math.pow(10, MARKET.minorUnits));
   }
 
   /* ── Render items ── */
@@ -1110,59 +5423,223 @@ function getCartPayloadCheckoutPageHtml(cart) {
     var items = (CART && CART.items) || [];
     if (!items.length) { el.innerHTML = '<p style="color:var(--muted);font-size:13px;">No items in cart.</p>'; return; }
     var html = '';
-    items.forEach(function (item) {
+    items.forEach(function (item, index) {
+      var stock = unavailableItems.filter(function (u) { return u.index === index; })[0];
+      var stockHtml = stock
+        ? '<div class="item-stock">' + (stock.available > 0 ? 'Only ' + stock.available + ' left' : 'Sold out') + '</div>'
+        : '';
       var imgHtml = item.image
-        ? '<img src="' + item.image + '" alt="' + (item.name || '') + '" />'
+        ? '<img src="' + escapeHtml(item.image) + '" alt="' + escapeHtml(item.name) + '" />'
         : '<div class="item-img-placeholder"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.2"><rect x="3" y="3" width="18" height="18" rx="2"/><path d="M3 9h18M9 21V9"/></svg></div>';
-      html += '<div class="order-item">'
-        + '<div class="item-img-wrap">' + imgHtml + '<span class="item-qty-badge">' + (item.quantity || 1) + '</span></div>'
-        + '<div class="item-info"><div class="item-name">' + (item.name || 'Item') + '</div></div>'
-        + '<div class="item-price">' + fmt((item.price || 0) * (item.quantity || 1)) + '</div>'
+      var line = quote && quote.lines[index];
+      html += '<div class="order-item' + (stock ? ' unavailable' : '') + '">'
+        + '<div class="item-img-wrap">' + imgHtml + '<span class="item-qty-badge">' + escapeHtml(item.quantity || 1) + '</span></div>'
+        + '<div class="item-info"><div class="item-name">' + escapeHtml(item.name || 'Item') + '</div>' + stockHtml + '</div>'
+        + '<div class="item-price">' + (line ? fmtMinor(line.total) : fmt((item.price || 0) * (item.quantity || 1))) + '</div>'
         + '</div>';
     });
     el.innerHTML = html;
   }
 
-  /* ── Render totals (re-runs whenever discount changes) ── */
+  /* ── Render totals from the quote (re-runs whenever it changes) ── */
   function renderTotals() {
     var el = document.getElementById('totals');
-    var subtotal    = (CART && CART.total) || 0;
-    var shipping    = 100;
-    var discountAmt = appliedDiscount ? appliedDiscount.discountAmount : 0;
-    var grand       = subtotal + shipping - discountAmt;
+    if (!quote) {
+      el.innerHTML =
+        '<div class="total-line grand">'
+          + '<span class="tl-label">Total</span>'
+          + '<span class="tl-value">Calculating\u2026</span>'
+        + '</div>';
+      var waiting = document.getElementById('pay-btn');
+      if (!waiting.disabled) waiting.textContent = payLabel();
+      return;
+    }
 
     var discountRow = '';
-    if (appliedDiscount && discountAmt > 0) {
-      discountRow =
+    quote.discounts.forEach(function (discount) {
+      if (!(discount.amount > 0)) return;
+      discountRow +=
         '<div class="total-line discount-line">'
-        + '<span class="tl-label">Discount (' + appliedDiscount.code.toUpperCase() + ')</span>'
-        + '<span class="tl-value">\u2212' + fmt(discountAmt) + '</span>'
+        + '<span class="tl-label">' + (discount.target === 'shipping' ? 'Shipping discount' : 'Discount') + ' (' + escapeHtml(discount.title) + ')</span>'
+        + '<span class="tl-value">\u2212' + fmtMinor(discount.amount) + '</span>'
+        + '</div>';
+    });
+
+    var taxRow = '';
+    if (quote.taxes.amount > 0) {
+      taxRow =
+        '<div class="total-line">'
+        + '<span class="tl-label">' + (quote.taxes.included ? 'Including taxes' : 'Taxes') + '</span>'
+        + '<span class="tl-value">' + fmtMinor(quote.taxes.amount) + '</span>'
         + '</div>';
     }
 
     el.innerHTML =
       '<div class="total-line">'
-        + '<span class="tl-label">Subtotal &middot; ' + ((CART && CART.items && CART.items.length) || 0) + ' items</span>'
-        + '<span class="tl-value">' + fmt(subtotal) + '</span>'
+        + '<span class="tl-label">Subtotal &middot; ' + quote.lines.length + ' items</span>'
+        + '<span class="tl-value">' + fmtMinor(quote.subtotal) + '</span>'
       + '</div>'
       + '<div class="total-line">'
         + '<span class="tl-label">Shipping</span>'
-        + '<span class="tl-value">100 EGP</span>'
+        + '<span class="tl-value">' + (quote.shipping ? (quote.shipping.amount ? fmtMinor(quote.shipping.amount) : 'Free') : 'Enter ${regionLabel.toLowerCase()}') + '</span>'
       + '</div>'
       + discountRow
+      + taxRow
+      + (quote.giftCard && quote.giftCard.amount > 0
+        ? '<div class="total-line discount-line">'
+          + '<span class="tl-label">Gift card (\u2022\u2022\u2022\u2022 ' + quote.giftCard.lastCharacters + ')</span>'
+          + '<span class="tl-value">\u2212' + fmtMinor(quote.giftCard.amount) + '</span>'
+          + '</div>'
+        : '')
       + '<div class="total-line grand">'
         + '<span class="tl-label">Total</span>'
-        + '<span class="tl-value"><span class="currency-code"></span>' + fmt(grand) + '</span>'
+        + '<span class="tl-value"><span class="currency-code"></span>' + fmtMinor(quote.amountDue) + '</span>'
       + '</div>';
+
+    var button = document.getElementById('pay-btn');
+    if (!button.disabled) button.textContent = payLabel();
+  }
+
+  /* ── Nothing left to pay when a gift card covers the total ── */
+  function payLabel() {
+    return quote && quote.giftCard && quote.amountDue <= 0 ? 'Place order' : 'Pay now';
   }
 
   renderItems();
   renderTotals();
 
+  /* ── Cart lines as the server expects them ── */
+  function buildCartItems() {
+    return ((CART && CART.items) || []).map(function (item) {
+      var rawVariant = item.variantId || item.variant_id || item.id;
+      return {
+        variantId: 'gid://shopify/ProductVariant/' + String(rawVariant).split('/').pop(),
+        quantity: item.quantity, name: item.name, price: item.price,
+        description: item.category || item.name
+      };
+    });
+  }
+
+  /* ── Shipping options (re-priced whenever the governorate changes) ── */
+  var shippingEl = document.getElementById('shipping-options');
+  var stateEl    = document.getElementById('state');
+
+  stateEl.addEventListener('change', loadShippingOptions);
+
+  var shippingSeq = 0;
+
+  async function loadShippingOptions() {
+    var seq = ++shippingSeq;
+    var options = [];
+    selectedShipping = null;
+    shippingOptions  = [];
+    renderTotals();
+    shippingEl.innerHTML = '<div class="shipping-box"><div class="shipping-box-left"><div class="shipping-desc">Loading shipping options\u2026</div></div></div>';
+
+    try {
+      var res  = await fetch('/api/shipping/rates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ market: MARKET.id, governorate: stateEl.value, cartItems: buildCartItems() })
+      });
+      var json = await res.json();
+      options = (json && json.success && json.options) || [];
+    } catch (err) {
+      options = [];
+    }
+    if (seq !== shippingSeq) return;  // the governorate changed again while this was loading
+    shippingOptions = options;
+    renderShippingOptions();
+  }
+
+  function renderShippingOptions() {
+    if (!shippingOptions.length) {
+      shippingEl.innerHTML = '<div class="shipping-box"><div class="shipping-box-left"><div class="shipping-desc">No shipping options are available for this ${regionLabel.toLowerCase()}.</div></div></div>';
+      loadQuote();
+      return;
+    }
+    var html = '';
+    shippingOptions.forEach(function (opt, i) {
+      html += '<label class="shipping-box">'
+        + '<div class="shipping-box-left">'
+          + '<input type="radio" name="shipping_method" value="' + escapeHtml(opt.id) + '"' + (i === 0 ? ' checked' : '') + ' />'
+          + '<div><div class="shipping-name">' + escapeHtml(opt.title) + '</div><div class="shipping-desc">' + escapeHtml(opt.description) + '</div>'
+            + (opt.discountTitle ? '<div class="shipping-promo">' + escapeHtml(opt.discountTitle) + '</div>' : '') + '</div>'
+        + '</div>'
+        + '<div class="shipping-price">'
+          + (opt.discountAmount ? '<s>' + fmt(opt.originalAmount) + '</s>' : '')
+          + (opt.amount ? fmt(opt.amount) : 'Free')
+        + '</div>'
+        + '</label>';
+    });
+    shippingEl.innerHTML = html;
+    selectedShipping = shippingOptions[0];
+    shippingEl.querySelectorAll('input[name="shipping_method"]').forEach(function (input) {
+      input.addEventListener('change', function () {
+        selectedShipping = shippingOptions.filter(function (o) { return o.id === input.value; })[0] || null;
+        loadQuote();
+      });
+    });
+    loadQuote();
+  }
+
+  /* ── Price the whole order on the server (re-run when shipping, codes or the gift card change) ── */
+  var quoteSeq = 0;
+
+  async function loadQuote() {
+    var seq = ++quoteSeq;
+    var next = null;
+    try {
+      var res  = await fetch('/api/checkout/quote', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          market: MARKET.id,
+          cartItems: buildCartItems(),
+          governorate: selectedShipping ? stateEl.value : '',
+          shippingMethod: selectedShipping ? selectedShipping.id : null,
+          codes: appliedCodes,
+          email: document.getElementById('email').value.trim(),
+          giftCardCode: appliedGiftCard ? appliedGiftCard.code : null
+        })
+      });
+      var json = await res.json();
+      next = (json && json.success && json.quote) || null;
+    } catch (err) {
+      next = null;
+    }
+    if (seq !== quoteSeq) return;  // a newer request is on its way
+    applyQuote(next);
+  }
+
+  function applyQuote(next) {
+    if (!quote || !next || next.signature !== quote.signature) idempotencyKey = newIdempotencyKey();
+    quote = next;
+    rejectedCodes = (quote && quote.rejectedDiscounts) || [];
+    if (quote) {
+      unavailableItems = quote.unavailableItems || [];
+      // Codes that stopped working since they were applied are dropped, like at checkout
+      (quote.invalidDiscounts || []).forEach(function (failed) {
+        appliedCodes = appliedCodes.filter(function (c) { return c !== failed.code; });
+        delete codeDetails[failed.code];
+        setFeedback(failed.error, 'error');
+      });
+      if (quote.giftCardError && appliedGiftCard) {
+        appliedGiftCard = null;
+        giftCardTag.classList.remove('visible');
+        giftCardTag.innerHTML = '';
+        setFeedback(quote.giftCardError, 'error');
+      }
+    }
+    renderItems();
+    renderTags();
+    renderTotals();
+  }
+
   /* ── Discount UI ── */
   var discountInput    = document.getElementById('discount-input');
   var discountBtn      = document.getElementById('discount-btn');
-  var discountTag      = document.getElementById('discount-tag');
+  var discountTags     = document.getElementById('discount-tags');
   var discountFeedback = document.getElementById('discount-feedback');
 
   discountBtn.addEventListener('click', applyDiscount);
@@ -1174,37 +5651,55 @@ function getCartPayloadCheckoutPageHtml(cart) {
     var code = (discountInput.value || '').trim();
     if (!code) { setFeedback('Please enter a discount code.', 'error'); return; }
 
+    if (appliedCodes.some(function (c) { return c.toUpperCase() === code.toUpperCase(); })) {
+      setFeedback('That code is already applied.', 'error');
+      return;
+    }
+
     discountBtn.disabled = true;
     discountBtn.textContent = 'Checking\u2026';
     setFeedback('', '');
-    hideTag();
 
     try {
-      var subtotal = (CART && CART.total) || 0;
       var res  = await fetch('/api/discount/validate', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ code: code, cartTotal: subtotal })
+        body: JSON.stringify({
+          market: MARKET.id,
+          code: code,
+          cartItems: buildCartItems(),
+          email: document.getElementById('email').value.trim(),
+          shippingAmount: selectedShipping ? selectedShipping.amount : 0
+        })
       });
       var json = await res.json();
 
+      if (!json.success && json.notFound) {
+        // Not a discount code — the same box takes gift cards
+        await applyGiftCard(code, json.error);
+        return;
+      }
+
       if (!json.success) {
-        appliedDiscount = null;
         setFeedback(json.error || 'Invalid discount code.', 'error');
-        renderTotals();
         return;
       }
 
-      appliedDiscount = json.discount;
+      var discount = json.discount;
+      appliedCodes.push(discount.code);
+      codeDetails[discount.code] = discount;
       discountInput.value = '';
-
-      var saving = appliedDiscount.discountType === 'percentage'
-        ? Math.abs(parseFloat(appliedDiscount.value)).toFixed(0) + '% off'
-        : '\u2212' + fmt(appliedDiscount.discountAmount);
-
-      showTag(appliedDiscount.code.toUpperCase(), saving);
-      setFeedback('Discount applied \u2014 you save ' + fmt(appliedDiscount.discountAmount) + '!', 'success');
-      renderTotals();
+      await loadQuote();
+
+      var rejected = rejectedCodes.filter(function (r) { return r.code === discount.code; })[0];
+      if (rejected) {
+        setFeedback(rejected.reason + '.', 'error');
+      } else if (quote && appliedCodes.indexOf(discount.code) !== -1) {
+        var applied = quote.discounts.filter(function (d) { return d.code === discount.code; })[0];
+        setFeedback(discount.target === 'shipping' || !applied
+          ? 'Discount applied.'
+          : 'Discount applied \u2014 you save ' + fmtMinor(applied.amount) + '!', 'success');
+      }
 
     } catch (err) {
       setFeedback('Could not validate code. Please try again.', 'error');
@@ -1214,28 +5709,78 @@ function getCartPayloadCheckoutPageHtml(cart) {
     }
   }
 
-  function removeDiscount() {
-    appliedDiscount = null;
-    hideTag();
-    setFeedback('', '');
-    renderTotals();
+  async function applyGiftCard(code, discountError) {
+    var res  = await fetch('/api/gift-card/validate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ market: MARKET.id, code: code, cartItems: buildCartItems() })
+    });
+    var json = await res.json();
+
+    if (!json.success) {
+      setFeedback(/^[a-z0-9\s-]{8,}$/i.test(code) ? json.error : (discountError || json.error), 'error');
+      return;
+    }
+
+    appliedGiftCard = json.giftCard;
+    discountInput.value = '';
+    showGiftCardTag();
+    setFeedback('Gift card applied \u2014 balance ' + fmt(appliedGiftCard.balance) + '.', 'success');
+    await loadQuote();
   }
 
-  function showTag(code, saving) {
-    discountTag.innerHTML =
-      '<span class="tag-code">'
-        + '<svg width="12" height="12" viewBox="0 0 12 12" fill="none"><path d="M2 6l3 3 5-5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>'
-        + code
-      + '</span>'
-      + '<span class="tag-savings">' + saving + '</span>'
+  var giftCardTag = document.getElementById('gift-card-tag');
+
+  function showGiftCardTag() {
+    giftCardTag.innerHTML =
+      '<span class="tag-code">Gift card \u2022\u2022\u2022\u2022 ' + escapeHtml(appliedGiftCard.lastCharacters) + '</span>'
+      + '<span class="tag-savings">' + fmt(appliedGiftCard.balance) + ' available</span>'
       + '<button class="tag-remove" title="Remove">&times;</button>';
-    discountTag.classList.add('visible');
-    discountTag.querySelector('.tag-remove').addEventListener('click', removeDiscount);
+    giftCardTag.classList.add('visible');
+    giftCardTag.querySelector('.tag-remove').addEventListener('click', removeGiftCard);
+  }
+
+  function removeGiftCard() {
+    appliedGiftCard = null;
+    giftCardTag.classList.remove('visible');
+    giftCardTag.innerHTML = '';
+    loadQuote();
+  }
+
+  function removeDiscount(code) {
+    appliedCodes = appliedCodes.filter(function (c) { return c !== code; });
+    delete codeDetails[code];
+    setFeedback('', '');
+    renderTags();
+    loadQuote();
+  }
+
+  /* ── One tag per entered code; codes that can't stack are shown as not applied ── */
+  function tagSaving(discount) {
+    if (discount.discountType === 'bxgy') return discount.title;
+    var saving = discount.discountType === 'percentage'
+      ? Math.abs(parseFloat(discount.value)).toFixed(0) + '% off'
+      : '\u2212' + fmt(Math.abs(parseFloat(discount.value)) || discount.discountAmount);
+    return discount.target === 'shipping' ? saving + ' shipping' : saving;
   }
 
-  function hideTag() {
-    discountTag.classList.remove('visible');
-    discountTag.innerHTML = '';
+  function renderTags() {
+    discountTags.innerHTML = '';
+    appliedCodes.forEach(function (code) {
+      var rejected = rejectedCodes.filter(function (r) { return r.code === code; })[0];
+      var tag = document.createElement('div');
+      tag.className = 'discount-tag visible';
+      tag.innerHTML =
+        '<span class="tag-code">'
+          + (rejected ? '' : '<svg width="12" height="12" viewBox="0 0 12 12" fill="none"><path d="M2 6l3 3 5-5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>')
+          + escapeHtml(code.toUpperCase())
+        + '</span>'
+        + '<span class="tag-savings">' + (rejected ? 'Not applied' : escapeHtml(tagSaving(codeDetails[code] || {}))) + '</span>'
+        + '<button class="tag-remove" title="Remove">&times;</button>';
+      if (rejected) tag.title = rejected.reason;
+      tag.querySelector('.tag-remove').addEventListener('click', function () { removeDiscount(code); });
+      discountTags.appendChild(tag);
+    });
   }
 
   function setFeedback(msg, type) {
@@ -1243,6 +5788,48 @@ function getCartPayloadCheckoutPageHtml(cart) {
     discountFeedback.className   = 'discount-feedback' + (type ? ' ' + type : '');
   }
 
+  loadQuote();
+
+  /* ── Save contact details as they're completed, so an abandoned checkout can be recovered ── */
+  var contactFields = ['email', 'first_name', 'last_name', 'phone'];
+  var savedContact  = '';
+
+  if (CHECKOUT.contact) {
+    var prefill = { email: CHECKOUT.contact.email, first_name: CHECKOUT.contact.firstName, last_name: CHECKOUT.contact.lastName, phone: CHECKOUT.contact.phone };
+    contactFields.forEach(function (id) {
+      var input = document.getElementById(id);
+      if (input && !input.value && prefill[id]) input.value = prefill[id];
+    });
+    savedContact = JSON.stringify(prefill);
+  }
+
+  contactFields.forEach(function (id) {
+    var input = document.getElementById(id);
+    if (input) input.addEventListener('change', saveProgress);
+  });
+
+  function saveProgress() {
+    var emailEl = document.getElementById('email');
+    if (!CHECKOUT.id || !emailEl.value || !emailEl.checkValidity()) return;
+    var contact = {
+      email: emailEl.value.trim(),
+      first_name: document.getElementById('first_name').value.trim(),
+      last_name: document.getElementById('last_name').value.trim(),
+      phone: document.getElementById('phone').value.trim()
+    };
+    var snapshot = JSON.stringify(contact);
+    if (snapshot === savedContact) return;
+    savedContact = snapshot;
+    fetch('/api/checkout/progress', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        checkoutId: CHECKOUT.id,
+        email: contact.email, firstName: contact.first_name, lastName: contact.last_name, phone: contact.phone
+      })
+    }).catch(function () { savedContact = ''; });
+  }
+
   /* ── Payment method toggle ── */
   window.onPaymentChange = function (input) {
     ['opt-card', 'opt-wallet', 'opt-cod'].forEach(function (id) {
@@ -1251,12 +5838,23 @@ function getCartPayloadCheckoutPageHtml(cart) {
     });
     var target = document.getElementById('opt-' + input.value);
     if (target) target.classList.add('selected');
+
+    // The courier calls before delivering cash on delivery orders
+    var phoneEl = document.getElementById('phone');
+    phoneEl.required = input.value === 'cod';
+    phoneEl.placeholder = phoneEl.required ? 'Mobile number (for cash on delivery)' : 'Mobile number (optional)';
   };
 
   /* ── Form submit ── */
   var form   = document.getElementById('checkout-form');
   var payBtn = document.getElementById('pay-btn');
   var errEl  = document.getElementById('error-msg');
+  var STOCK_ERROR = 'Some items in your cart are no longer available. Please update your cart to continue.';
+
+  if (unavailableItems.length) showError(STOCK_ERROR);
+
+  form.addEventListener('input', function () { idempotencyKey = newIdempotencyKey(); });
+  form.addEventListener('change', function () { idempotencyKey = newIdempotencyKey(); });
 
   form.addEventListener('submit', async function (e) {
     e.preventDefault();
@@ -1267,11 +5865,20 @@ function getCartPayloadCheckoutPageHtml(cart) {
     try {
       var fd = new FormData(form);
 
+      if (unavailableItems.length) { showError(STOCK_ERROR); return; }
+
+      if (!selectedShipping) { showError('Please choose your ${regionLabel.toLowerCase()} and a shipping method.'); return; }
+
+      // The server charges exactly the quoted total, so refresh a quote that has run out first
+      if (!quote || Date.parse(quote.expiresAt) <= Date.now()) await loadQuote();
+      if (!quote) { showError('We could not price your order. Please try again.'); return; }
+      if (unavailableItems.length) { showError(STOCK_ERROR); return; }
+
       var customer = {
         email: fd.get('email'), firstName: fd.get('first_name'), lastName: fd.get('last_name'),
         phone: fd.get('phone'), city: fd.get('city'), address1: fd.get('address1'),
         address2: fd.get('address2'), zip: fd.get('zip'), province: fd.get('state'),
-        country: 'EG', country_code: 'EG'
+        country: MARKET.country, country_code: MARKET.country
       };
 
       var billingData = {
@@ -1282,48 +5889,79 @@ function getCartPayloadCheckoutPageHtml(cart) {
         state: customer.province || 'Cairo'
       };
 
-      var cartItems = ((CART && CART.items) || []).map(function (item) {
-        var rawVariant = item.variantId || item.variant_id || item.id;
-        return {
-          variantId: 'gid://shopify/ProductVariant/' + rawVariant,
-          quantity: item.quantity, name: item.name, price: item.price,
-          description: item.category || item.name
-        };
-      });
+      var cartItems = buildCartItems();
 
       var body = {
+        market: MARKET.id,
+        checkoutId: CHECKOUT.id,
         cartItems, customer, billingData,
         paymobMethod: fd.get('paymob_method'),
+        shippingMethod: selectedShipping.id,
         newsletter:   fd.get('newsletter') === 'on',  // ← forward checkbox state
-        appliedDiscount: appliedDiscount || null
+        appliedDiscounts: appliedCodes.map(function (code) { return { code: code }; }),  // server re-validates the codes
+        giftCardCode: appliedGiftCard ? appliedGiftCard.code : null,               // balance is re-checked too
+        quote: { signature: quote.signature, expiresAt: quote.expiresAt }          // refused if the price moved since
       };
 
       var res  = await fetch('/api/checkout/egypt', {
-        method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+        body: JSON.stringify(body)
       });
       var text = await res.text();
+      if (!res.ok) idempotencyKey = newIdempotencyKey();
       var json;
       try { json = JSON.parse(text); } catch (_) { json = null; }
 
+      if (!res.ok && json && json.discountError) {
+        // Code expired or ran out between apply and submit — drop it so totals are accurate again
+        removeDiscount(appliedCodes.filter(function (c) { return c.toUpperCase() === String(json.code || '').toUpperCase(); })[0]);
+        setFeedback(json.error, 'error');
+        showError(json.error);
+        return;
+      }
+      if (!res.ok && json && json.outOfStock) {
+        unavailableItems = json.unavailableItems || [];
+        renderItems();
+        showError(STOCK_ERROR);
+        return;
+      }
+      if (!res.ok && json && json.quoteChanged) {
+        // Prices, stock or a code changed under us — show the new total and let the shopper confirm it
+        applyQuote(json.quote || null);
+        showError(json.error);
+        return;
+      }
+      if (!res.ok && json && json.phoneRequired) {
+        showError(json.error);
+        document.getElementById('phone').focus();
+        return;
+      }
+      if (!res.ok && json && json.giftCardError) {
+        removeGiftCard();
+        setFeedback(json.error, 'error');
+        showError(json.error);
+        return;
+      }
       if (!res.ok) { showError((json && (json.error || json.message)) || text || 'Checkout failed'); return; }
       if (!json)   { showError(text || 'Checkout failed'); return; }
 
       if      (json.success && json.paymentUrl) { window.location.href = json.paymentUrl; }
-      else if (json.success && json.cod)        { window.location.href = json.redirectUrl || '/'; }
+      else if (json.success && json.redirectUrl) { window.location.href = json.redirectUrl; }
       else    { showError(json.error || 'Checkout failed'); }
 
     } catch (err) {
       showError(err.message || 'Checkout failed. Please try again.');
     } finally {
-      if (!payBtn.disabled) { payBtn.disabled = false; payBtn.textContent = 'Pay now'; }
+      if (!payBtn.disabled) { payBtn.disabled = false; payBtn.textContent = payLabel(); }
     }
   });
 
   function showError(msg) {
     errEl.textContent   = msg;
     errEl.style.display = 'block';
-    payBtn.disabled     = false;
-    payBtn.textContent  = 'Pay now';
+    payBtn.disabled     = unavailableItems.length > 0;
+    payBtn.textContent  = payLabel();
   }
 })();
 </script>
@@ -1331,30 +5969,80 @@ function getCartPayloadCheckoutPageHtml(cart) {
 </html>`;
 }
 
-app.post('/api/checkout/render', (req, res) => {
-    const cart = req.body || {};
-    const token = createCheckoutToken();
-    checkoutSessions.set(token, { cart, createdAt: Date.now() });
-    const baseUrl = getBaseUrl(req);
-    const redirectUrl = baseUrl ? (baseUrl.replace(/\/$/, '') + '/api/checkout/page?token=' + token) : ('/api/checkout/page?token=' + token);
-    res.json({ success: true, redirectUrl });
+app.post('/api/checkout/render', async (req, res) => {
+    try {
+        const cart = req.body || {};
+        const market = findMarketForCart(cart);
+        if (!market) return res.status(400).json({ success: false, error: 'Unknown market' });
+
+        // Flag lines that are already out of stock so the page can block payment for them
+        const unavailableItems = await findUnavailableCartItems(cart, market);
+
+        const token = createCheckoutToken();
+        await checkoutSessions.set(token, { cart, market: market.id, unavailableItems, createdAt: Date.now() }, SESSION_TTL_MS);
+        const baseUrl = getBaseUrl(req);
+        const redirectUrl = baseUrl ? (baseUrl.replace(/\/$/, '') + '/api/checkout/page?token=' + token) : ('/api/checkout/page?token=' + token);
+        res.json({ success: true, redirectUrl, unavailableItems });
+    } catch (error) {
+        console.error('Checkout session store error:', error.message);
+        res.status(500).json({ success: false, error: 'Could not start checkout session' });
+    }
 });
 
-app.get('/api/checkout/page', (req, res) => {
+app.get('/api/checkout/page', async (req, res) => {
     const token = req.query.token;
     if (!token) return res.status(400).send('Missing token');
 
-    const session = checkoutSessions.get(token);
-    if (!session) return res.status(404).send('Checkout session expired or invalid');
-
-    const { cart, createdAt } = session;
-    if (Date.now() - createdAt > SESSION_TTL_MS) {
-        checkoutSessions.delete(token);
-        return res.status(410).send('Checkout session expired');
+    try {
+        // take() is one-time use; the store has already dropped expired sessions
+        const session = await checkoutSessions.take(String(token));
+        if (!session) return res.status(404).send('Checkout session expired or invalid');
+
+        const market = resolveMarket(session.market) || getDefaultMarket();
+        // Recovery tracking is best-effort — the page works without a checkout id
+        const checkoutId = createCheckoutToken();
+        const tracked = await trackAbandonedCheckout(checkoutId, { cart: session.cart, market })
+            .catch((err) => { console.error('Abandoned checkout store error:', err.message); return null; });
+
+        res.type('html').send(getCartPayloadCheckoutPageHtml(session.cart, market, session.unavailableItems || [], {
+            id: tracked ? checkoutId : null
+        }));
+    } catch (error) {
+        console.error('Checkout session store error:', error.message);
+        res.status(500).send('Checkout is temporarily unavailable');
     }
+});
+
+/**
+ * GET /api/checkout/recover?token=
+ * Reopens an abandoned checkout from its saved cart and contact details.
+ * Unlike the one-time page token this link works until the order is placed
+ * or ABANDONED_CHECKOUT_TTL_DAYS runs out.
+ */
+app.get('/api/checkout/recover', async (req, res) => {
+    const token = req.query.token;
+    if (!token) return res.status(400).send('Missing token');
+
+    try {
+        const record = await abandonedCheckouts.get(String(token));
+        if (!record) return res.status(404).send('This checkout link has expired');
+        if (record.completedAt) {
+            const frontendUrl = process.env.FRONTEND_URL && process.env.FRONTEND_URL.replace(/\/$/, '');
+            return frontendUrl
+                ? res.redirect(302, `${frontendUrl}/pages/thank-you?order_number=${encodeURIComponent(record.orderNumber || '')}`)
+                : res.status(410).send('This order has already been placed');
+        }
 
-    checkoutSessions.delete(token); // one-time use
-    res.type('html').send(getCartPayloadCheckoutPageHtml(cart));
+        const market = resolveMarket(record.market) || getDefaultMarket();
+        const unavailableItems = await findUnavailableCartItems(record.cart, market);
+        res.type('html').send(getCartPayloadCheckoutPageHtml(record.cart, market, unavailableItems, {
+            id: String(token),
+            contact: record.contact
+        }));
+    } catch (error) {
+        console.error('Abandoned checkout store error:', error.message);
+        res.status(500).send('Checkout is temporarily unavailable');
+    }
 });
 app.get('/signup-egypt', (req, res) => {
   res.type('html').send(`<!DOCTYPE html>
@@ -1550,22 +6238,29 @@ app.get('/signup', (req, res) => {
 });
 
 // ==================== TEST EMAIL ENDPOINT ====================
-app.get('/api/test-order-email', async (req, res) => {
+// Sends a sample order confirmation. ?provider=smtp (or klaviyo, file, console) tries just that provider.
+// Admin only (see requireAdmin), as it sends real messages to any address.
+app.get('/api/test-order-email', requireAdmin, async (req, res) => {
   const email = req.query.email;
   if (!email) return res.json({ error: 'Pass ?email=your@email.com' });
 
   try {
-      await sendOrderConfirmationEmail({
+      const result = await sendNotification('orderConfirmation', {
           email,
           firstName: 'Test',
           lastName: 'User',
           orderNumber: 1234,
           totalAmount: 1500,
+          currency: getDefaultMarket().currency,
           items: [{ name: 'Test Item', quantity: 1, price: 1400 }]
-      });
+      }, req.query.provider ? { providerNames: [String(req.query.provider).toLowerCase()] } : {});
+      if (result.skipped) return res.json({ success: false, error: result.reason });
       return res.json({ 
           success: true, 
-          message: `Event fired for ${email}. If flow is Live in Klaviyo, email should arrive within 1 minute.`
+          provider: result.provider,
+          message: result.provider === 'klaviyo'
+              ? `Event fired for ${email}. If flow is Live in Klaviyo, email should arrive within 1 minute.`
+              : `Sent to ${email} via ${result.provider}.`
       });
   } catch (err) {
       return res.json({ 
@@ -1576,5 +6271,69 @@ app.get('/api/test-order-email', async (req, res) => {
 });
 
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
\ No newline at end of file
+// Sends a sample text notification. ?type=shipped (default codConfirmation), ?provider=whatsapp tries just that provider.
+// Admin only, like the email test.
+app.get('/api/test-order-text', requireAdmin, async (req, res) => {
+  const phone = toE164Phone(req.query.phone, getDefaultMarket());
+  if (!phone) return res.json({ error: 'Pass ?phone=+201001234567' });
+  const type = String(req.query.type || 'codConfirmation');
+  if (!TEXT_NOTIFICATION_TEMPLATES[type]) return res.json({ error: `Unknown type, expected one of ${Object.keys(TEXT_NOTIFICATION_TEMPLATES).join(', ')}` });
+
+  try {
+      const result = await sendTextNotification(type, {
+          phone,
+          firstName: 'Test',
+          orderNumber: 1234,
+          totalAmount: 1500,
+          currency: getDefaultMarket().currency,
+          trackingUrl: 'https://example.com/track/1234'
+      }, req.query.provider ? { providerNames: [String(req.query.provider).toLowerCase()] } : {});
+      if (result.skipped) return res.json({ success: false, error: result.reason });
+      return res.json({ success: true, provider: result.provider, message: `Sent ${type} to ${phone} via ${result.provider}.` });
+  } catch (err) {
+      return res.json({ success: false, error: err.message });
+  }
+});
+
+
+// Exported for the unit tests in test/; running this file starts the server
+module.exports = {
+    app,
+    createMemoryStore,
+    createFileStore,
+    runIdempotent,
+    recordLedgerTransaction,
+    findLedgerTransactionByDraftOrder,
+    findLedgerTransactionByShopifyOrder,
+    claimLedgerEvent,
+    completeLedgerEvent,
+    releaseLedgerEvent,
+    classifyPaymobTransaction,
+    allocateLineDiscount,
+    allocateBxgyDiscount,
+    evaluateAutomaticDiscount,
+    discountsCombine,
+    settleDiscountAmounts,
+    combineDiscounts,
+    getShippingOptions,
+    applyShippingDiscount,
+    selectShippingOption,
+    toMinorUnits,
+    fromMinorUnits,
+    priceCheckoutQuote,
+    signCheckoutQuote,
+    verifyCheckoutQuote,
+    enqueueOutboxJob,
+    listOutboxJobs,
+    retryOutboxJob,
+    sendNotification,
+    sendTextNotification
+};
+
+if (require.main === module) {
+    startStoreSweeper();
+    startOutboxWorker();
+
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+}
\ No newline at end of file
@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.QUOTE_SIGNING_SECRET = 'test-secret';
+process.env.ADMIN_API_KEY = 'admin-test';
+process.env.CHECKOUT_PROGRESS_LIMIT = '4';
+process.env.TRUST_PROXY = 'true';
+const { app } = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function post(path, body, ip = '203.0.113.1') {
+    return fetch(baseUrl + path, { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip }, body: JSON.stringify(body) });
+}
+
+// Opens a checkout page the way the storefront does and returns its checkout id
+async function openCheckout() {
+    const session = await (await post('/api/checkout/render', { items: [], currency: 'EGP' })).json();
+    const html = await (await fetch(session.redirectUrl.startsWith('/') ? baseUrl + session.redirectUrl : session.redirectUrl)).text();
+    return JSON.parse(html.match(/var CHECKOUT = (\{.*?\});/)[1]).id;
+}
+
+test('a checkout sends one Started Checkout event however often its email changes', async () => {
+    const checkoutId = await openCheckout();
+    assert.ok(checkoutId);
+
+    for (const email of ['first@example.com', 'second@example.com', 'third@example.com']) {
+        const res = await post('/api/checkout/progress', { checkoutId, email });
+        assert.equal(res.status, 200);
+    }
+
+    const outbox = await (await fetch(`${baseUrl}/api/admin/outbox`, { headers: { Authorization: 'Bearer admin-test' } })).json();
+    const started = outbox.jobs.filter(job => job.type === 'klaviyo.startedCheckout' && job.payload.checkoutId === checkoutId);
+    assert.equal(started.length, 1);
+    assert.equal(started[0].payload.email, 'first@example.com');
+});
+
+test('contact saves are rate-limited per checkout and per IP', async () => {
+    const checkoutId = await openCheckout();
+    const perCheckout = [];
+    for (let i = 0; i < 5; i++) {
+        perCheckout.push((await post('/api/checkout/progress', { checkoutId, email: 'shopper@example.com' }, `198.51.100.${i}`)).status);
+    }
+    assert.deepEqual(perCheckout, [200, 200, 200, 200, 429]);
+
+    const perIp = [];
+    for (let i = 0; i < 5; i++) {
+        perIp.push((await post('/api/checkout/progress', { checkoutId: `unknown-${i}`, email: 'shopper@example.com' }, '192.0.2.1')).status);
+    }
+    assert.deepEqual(perIp, [404, 404, 404, 404, 429]);
+});
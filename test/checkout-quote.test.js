@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.QUOTE_SIGNING_SECRET = 'test-secret';
+const { toMinorUnits, fromMinorUnits, priceCheckoutQuote, signCheckoutQuote, verifyCheckoutQuote } = require('../server');
+
+const egypt = { id: 'eg', currency: 'EGP', minorUnits: 2 };
+const oman = { id: 'om', currency: 'OMR', minorUnits: 3 };
+
+const dress = { variantId: 'gid://shopify/ProductVariant/1', name: 'Dress', quantity: 2, price: 1250.5 };
+const scarf = { variantId: 'gid://shopify/ProductVariant/2', name: 'Scarf', quantity: 1, price: 99.99 };
+const standardShipping = { id: 'standard', title: 'Standard Shipping', originalAmount: 100, amount: 100, discountAmount: 0, discountTitle: null };
+
+function quoteFor(market, priced) {
+    return { market: market.id, currency: market.currency, ...priced };
+}
+
+test('minor units follow the market currency', () => {
+    assert.equal(toMinorUnits(1250.5, egypt), 125050);
+    assert.equal(toMinorUnits(12.345, oman), 12345);
+    assert.equal(toMinorUnits(0.1 + 0.2, egypt), 30);
+    assert.equal(toMinorUnits(undefined, egypt), 0);
+    assert.equal(fromMinorUnits(12345, oman), 12.345);
+    assert.equal(fromMinorUnits(125050, egypt), 1250.5);
+});
+
+test('totals add up in minor units', () => {
+    const priced = priceCheckoutQuote({ market: egypt, items: [dress, scarf], shipping: standardShipping, discounts: [], card: null });
+
+    assert.deepEqual(priced.lines.map(l => [l.unitPrice, l.total]), [[125050, 250100], [9999, 9999]]);
+    assert.equal(priced.subtotal, 260099);
+    assert.equal(priced.shipping.amount, 10000);
+    assert.equal(priced.total, 270099);
+    assert.equal(priced.amountDue, 270099);
+});
+
+test('line discounts come off the items and shipping discounts off the shipping line', () => {
+    const discounts = [
+        { code: 'TEN', target: 'line_items', discountClass: 'order', discountAmount: 260.1, allocations: [{ line: 0, amount: 250.1 }, { line: 1, amount: 10 }] },
+        { code: 'SHIP', target: 'shipping', discountClass: 'shipping', discountAmount: 100, allocations: [] }
+    ];
+    const shipping = { ...standardShipping, amount: 0, discountAmount: 100, discountTitle: 'SHIP' };
+    const priced = priceCheckoutQuote({ market: egypt, items: [dress, scarf], shipping, discounts, card: null });
+
+    assert.deepEqual(priced.lines.map(l => l.discount), [25010, 1000]);
+    assert.equal(priced.discountTotal, 26010);
+    assert.equal(priced.total, 260099 - 26010);
+});
+
+test('included taxes are shown but not added', () => {
+    const market = { ...egypt, taxRate: 0.14 };
+    const priced = priceCheckoutQuote({ market, items: [{ ...scarf, price: 114 }], shipping: null, discounts: [], card: null });
+
+    assert.deepEqual(priced.taxes, { amount: 1400, rate: 0.14, included: true });
+    assert.equal(priced.total, 11400);
+});
+
+test('excluded taxes are added on top of discounted items and shipping, rounded to the minor unit', () => {
+    const market = { ...egypt, taxRate: 0.05, taxesIncluded: false };
+    const discounts = [{ code: 'FIVE', target: 'line_items', discountClass: 'order', discountAmount: 5, allocations: [{ line: 0, amount: 5 }] }];
+    const priced = priceCheckoutQuote({ market, items: [scarf], shipping: standardShipping, discounts, card: null });
+
+    // (99.99 - 5 + 100) * 5% = 9.7495
+    assert.equal(priced.taxes.amount, 975);
+    assert.equal(priced.taxes.included, false);
+    assert.equal(priced.total, 9999 - 500 + 10000 + 975);
+});
+
+test('a gift card pays up to the total and leaves the rest due', () => {
+    const small = priceCheckoutQuote({ market: egypt, items: [scarf], shipping: null, discounts: [], card: { lastCharacters: 'abcd', balance: 50 } });
+    assert.equal(small.giftCard.amount, 5000);
+    assert.equal(small.amountDue, 4999);
+
+    const large = priceCheckoutQuote({ market: egypt, items: [scarf], shipping: null, discounts: [], card: { lastCharacters: 'abcd', balance: 500 } });
+    assert.equal(large.giftCard.amount, 9999);
+    assert.equal(large.giftCard.balance, 50000);
+    assert.equal(large.amountDue, 0);
+});
+
+test('three-decimal currencies keep their baisa', () => {
+    const priced = priceCheckoutQuote({ market: oman, items: [{ ...scarf, price: 12.345 }], shipping: { ...standardShipping, originalAmount: 4.125, amount: 4.125 }, discounts: [], card: null });
+    assert.equal(priced.total, 16470);
+});
+
+test('a signed quote verifies until it changes or expires', () => {
+    const quote = quoteFor(egypt, priceCheckoutQuote({ market: egypt, items: [dress], shipping: standardShipping, discounts: [], card: null }));
+    const expiresAt = new Date(Date.now() + 60 * 1000).toISOString();
+    const signature = signCheckoutQuote(quote, expiresAt);
+
+    assert.equal(verifyCheckoutQuote(quote, { signature, expiresAt }), true);
+    assert.equal(verifyCheckoutQuote(quote, { signature: signature.toUpperCase(), expiresAt }), true);
+    assert.equal(verifyCheckoutQuote({ ...quote, amountDue: quote.amountDue - 1 }, { signature, expiresAt }), false);
+    assert.equal(verifyCheckoutQuote({ ...quote, shipping: { ...quote.shipping, amount: 0 } }, { signature, expiresAt }), false);
+    assert.equal(verifyCheckoutQuote(quote, { signature, expiresAt: new Date(Date.now() + 120 * 1000).toISOString() }), false);
+    assert.equal(verifyCheckoutQuote(quote, { signature: 'abc', expiresAt }), false);
+    assert.equal(verifyCheckoutQuote(quote, null), false);
+
+    const expired = new Date(Date.now() - 1000).toISOString();
+    assert.equal(verifyCheckoutQuote(quote, { signature: signCheckoutQuote(quote, expired), expiresAt: expired }), false);
+});
+
+test('without QUOTE_SIGNING_SECRET quotes are signed with a key derived from the Shopify admin token', (t) => {
+    const quote = quoteFor(egypt, priceCheckoutQuote({ market: egypt, items: [scarf], shipping: null, discounts: [], card: null }));
+    const expiresAt = new Date(Date.now() + 60 * 1000).toISOString();
+    const saved = { secret: process.env.QUOTE_SIGNING_SECRET, token: process.env.SHOPIFY_ADMIN_ACCESS_TOKEN };
+    t.after(() => {
+        process.env.QUOTE_SIGNING_SECRET = saved.secret;
+        if (saved.token === undefined) delete process.env.SHOPIFY_ADMIN_ACCESS_TOKEN;
+        else process.env.SHOPIFY_ADMIN_ACCESS_TOKEN = saved.token;
+    });
+    delete process.env.QUOTE_SIGNING_SECRET;
+
+    process.env.SHOPIFY_ADMIN_ACCESS_TOKEN = 'shpat_one';
+    const signature = signCheckoutQuote(quote, expiresAt);
+    assert.equal(signCheckoutQuote(quote, expiresAt), signature);
+
+    process.env.SHOPIFY_ADMIN_ACCESS_TOKEN = 'shpat_two';
+    assert.equal(verifyCheckoutQuote(quote, { signature, expiresAt }), false);
+
+    delete process.env.SHOPIFY_ADMIN_ACCESS_TOKEN;
+    assert.throws(() => signCheckoutQuote(quote, expiresAt), /QUOTE_SIGNING_SECRET/);
+});
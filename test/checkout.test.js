@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.QUOTE_SIGNING_SECRET = 'test-secret';
+process.env.SHOPIFY_STORE_DOMAIN = 'shop.invalid';
+process.env.SHOPIFY_ADMIN_ACCESS_TOKEN = 'shpat_test';
+process.env.PAYMOB_API_KEY = 'paymob-test';
+process.env.PAYMOB_INTEGRATION_ID = '1';
+const { app } = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function post(path, body) {
+    return fetch(baseUrl + path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+test('checkouts without a signed quote are refused', async () => {
+    const res = await post('/api/checkout/egypt', {
+        cartItems: [{ variantId: 'gid://shopify/ProductVariant/1', quantity: 1, price: 1 }],
+        customer: { email: 'shopper@example.com' }
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { success: false, error: 'Missing checkout quote' });
+});
+
+test('a gift card without the Storefront token is a configuration error, not an invalid card', async () => {
+    const res = await post('/api/checkout/quote', {
+        cartItems: [{ variantId: 'gid://shopify/ProductVariant/1', quantity: 1 }],
+        giftCardCode: 'abcd1234efgh'
+    });
+    assert.equal(res.status, 500);
+    assert.deepEqual(await res.json(), { success: false, error: 'Missing env vars: SHOPIFY_STOREFRONT_ACCESS_TOKEN' });
+});
@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.QUOTE_SIGNING_SECRET = 'test-secret';
+process.env.DISCOUNT_VALIDATE_LIMIT = '2';
+const { app } = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function post(path, body) {
+    return fetch(baseUrl + path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+const cartItems = [{ variantId: 'gid://shopify/ProductVariant/1', quantity: 1 }];
+
+test('code checks on every route share the per-IP and per-email limit', async () => {
+    for (let i = 0; i < 2; i++) {
+        const res = await post('/api/discount/validate', { code: `GUESS${i}`, cartItems, email: 'shopper@example.com' });
+        assert.notEqual(res.status, 429);
+    }
+
+    const resolve = await post('/api/discount/resolve', { codes: ['GUESS'], cartItems, email: 'shopper@example.com' });
+    assert.equal(resolve.status, 429);
+
+    const quote = await post('/api/checkout/quote', { codes: ['GUESS'], cartItems, email: 'other@example.com' });
+    assert.equal(quote.status, 429);
+
+    const checkout = await post('/api/checkout/egypt', { cartItems, customer: { email: 'other@example.com' }, appliedDiscounts: [{ code: 'GUESS' }] });
+    assert.equal(checkout.status, 429);
+    assert.deepEqual(await checkout.json(), { success: false, error: 'Too many attempts, please try again later' });
+});
+
+test('quotes without codes are not throttled', async () => {
+    const res = await post('/api/checkout/quote', { cartItems });
+    assert.notEqual(res.status, 429);
+});
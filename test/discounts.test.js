@@ -0,0 +1,247 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.QUOTE_SIGNING_SECRET = 'test-secret';
+// Automatic discounts are priced in the shop currency (EGP) and converted per market
+process.env.MARKETS_JSON = JSON.stringify({
+    eg: { id: 'eg', currency: 'EGP', envSuffix: '', minorUnits: 2 },
+    om: { id: 'om', currency: 'OMR', envSuffix: '_OM', minorUnits: 3, shopCurrencyRate: 0.008 },
+    sa: { id: 'sa', currency: 'SAR', envSuffix: '_SA', minorUnits: 2 }
+});
+const {
+    allocateLineDiscount,
+    allocateBxgyDiscount,
+    evaluateAutomaticDiscount,
+    discountsCombine,
+    settleDiscountAmounts,
+    combineDiscounts
+} = require('../server');
+
+const egypt = { id: 'eg', currency: 'EGP', minorUnits: 2 };
+const oman = { id: 'om', currency: 'OMR', minorUnits: 3 };
+
+const variant = (id) => `gid://shopify/ProductVariant/${id}`;
+const dress = { variantId: variant(1), productId: 'gid://shopify/Product/7', quantity: 2, price: 1250.5 };
+const scarf = { variantId: variant(2), productId: 'gid://shopify/Product/8', quantity: 1, price: 99.99 };
+const everything = { all: true, variantIds: [], productIds: [], collectionIds: [] };
+const variants = (...ids) => ({ all: false, variantIds: ids.map(String), productIds: [], collectionIds: [] });
+
+const summary = (allocations) => allocations.map(a => [a.line, a.quantity, a.amount]);
+
+function automatic(discount) {
+    return { id: 'gid://shopify/DiscountAutomaticNode/1', automaticDiscount: { title: 'Automatic', ...discount } };
+}
+
+test('percentage line discounts apply to every eligible line', () => {
+    const rule = { value_type: 'percentage', value: '-10.0' };
+    assert.deepEqual(summary(allocateLineDiscount(rule, [dress, scarf], [0, 1], egypt)), [[0, 2, 250.1], [1, 1, 10]]);
+    assert.deepEqual(summary(allocateLineDiscount(rule, [dress, scarf], [1], egypt)), [[1, 1, 10]]);
+});
+
+test('fixed line discounts split across lines by total, or come off each unit', () => {
+    const across = allocateLineDiscount({ value_type: 'fixed_amount', value: '-100.0', allocation_method: 'across' }, [dress, scarf], [0, 1], egypt);
+    assert.deepEqual(summary(across), [[0, 2, 96.15], [1, 1, 3.85]]);
+
+    const each = allocateLineDiscount({ value_type: 'fixed_amount', value: '-200.0', allocation_method: 'each' }, [dress, scarf], [0, 1], egypt);
+    assert.deepEqual(summary(each), [[0, 2, 400], [1, 1, 99.99]]);
+});
+
+test('fixed discounts split in baisa still add up to the total', () => {
+    const lines = [1, 2, 3].map(id => ({ variantId: variant(id), quantity: 1, price: 1 }));
+    const allocations = allocateLineDiscount({ value_type: 'fixed_amount', value: '-1.0', allocation_method: 'across' }, lines, [0, 1, 2], oman);
+    assert.deepEqual(allocations.map(a => a.amount), [0.333, 0.333, 0.334]);
+});
+
+test('buy X get Y discounts the cheapest qualifying units', () => {
+    const offer = { buys: { items: everything, quantity: 2 }, gets: { items: everything, quantity: 1, percentage: 100 } };
+    const lines = [{ variantId: variant(1), quantity: 2, price: 100 }, { variantId: variant(2), quantity: 1, price: 50 }];
+    assert.deepEqual(summary(allocateBxgyDiscount(lines, offer, egypt)), [[1, 1, 50]]);
+});
+
+test('buy X get Y applies as often as the cart allows, up to its limit', () => {
+    const offer = { buys: { items: everything, quantity: 2 }, gets: { items: everything, quantity: 1, percentage: 100 } };
+    const lines = [{ variantId: variant(1), quantity: 6, price: 100 }];
+
+    assert.deepEqual(summary(allocateBxgyDiscount(lines, offer, egypt)), [[0, 2, 200]]);
+    assert.deepEqual(summary(allocateBxgyDiscount(lines, { ...offer, limit: 1 }, egypt)), [[0, 1, 100]]);
+    assert.deepEqual(allocateBxgyDiscount([{ ...lines[0], quantity: 2 }], offer, egypt), []);
+});
+
+test('buy X get Y can require an amount spent on other items', () => {
+    const offer = { buys: { items: variants(1), amount: 500 }, gets: { items: variants(2), quantity: 1, percentage: 50 } };
+    const lines = [{ variantId: variant(1), quantity: 2, price: 300 }, { variantId: variant(2), quantity: 3, price: 40 }];
+
+    assert.deepEqual(summary(allocateBxgyDiscount(lines, offer, egypt)), [[1, 1, 20]]);
+    assert.deepEqual(allocateBxgyDiscount([{ ...lines[0], quantity: 1 }, lines[1]], offer, egypt), []);
+});
+
+test('buy X get Y amounts off never exceed the unit price', () => {
+    const offer = { buys: { items: variants(1), quantity: 1 }, gets: { items: variants(2), quantity: 1, amountPerItem: 1.25 } };
+    const lines = [{ variantId: variant(1), quantity: 1, price: 5 }, { variantId: variant(2), quantity: 1, price: 1.125 }];
+    assert.deepEqual(summary(allocateBxgyDiscount(lines, offer, oman)), [[1, 1, 1.125]]);
+});
+
+test('automatic basic discounts check the minimum and price like a code', () => {
+    const node = automatic({
+        __typename: 'DiscountAutomaticBasic',
+        customerGets: { items: { allItems: true }, value: { percentage: 0.1 } },
+        minimumRequirement: { greaterThanOrEqualToSubtotal: { amount: '1000.0' } }
+    });
+
+    const discount = evaluateAutomaticDiscount(node, [dress, scarf], 0, 'EGP');
+    assert.equal(discount.automatic, true);
+    assert.equal(discount.code, null);
+    assert.equal(discount.discountClass, 'order');
+    assert.equal(discount.discountAmount, 260.1);
+    assert.equal(evaluateAutomaticDiscount(node, [scarf], 0, 'EGP'), null);
+    assert.equal(evaluateAutomaticDiscount({ ...node, automaticDiscount: { ...node.automaticDiscount, startsAt: '2999-01-01T00:00:00Z' } }, [dress], 0, 'EGP'), null);
+});
+
+test('automatic fixed amounts are converted to the market currency, or skipped without a rate', () => {
+    const node = automatic({
+        __typename: 'DiscountAutomaticBasic',
+        customerGets: {
+            items: { products: { nodes: [{ id: 'gid://shopify/Product/7' }] } },
+            value: { amount: { amount: '500.0' }, appliesOnEachItem: true }
+        }
+    });
+    const lines = [{ ...dress, price: 3.5 }, { ...scarf, price: 2 }];
+
+    const discount = evaluateAutomaticDiscount(node, lines, 0, 'OMR');
+    assert.equal(discount.discountClass, 'product');
+    assert.equal(discount.value, '-4');
+    assert.deepEqual(summary(discount.allocations), [[0, 2, 7]]);
+    assert.equal(evaluateAutomaticDiscount(node, lines, 0, 'SAR'), null);
+});
+
+test('automatic buy X get Y discounts are product discounts', () => {
+    const node = automatic({
+        __typename: 'DiscountAutomaticBxgy',
+        customerBuys: { items: { allItems: true }, value: { quantity: '2' } },
+        customerGets: { items: { allItems: true }, value: { quantity: { quantity: '1' }, effect: { percentage: 1 } } }
+    });
+    const lines = [{ variantId: variant(1), quantity: 3, price: 100 }];
+
+    const discount = evaluateAutomaticDiscount(node, lines, 0, 'EGP');
+    assert.deepEqual([discount.discountClass, discount.discountType, discount.discountAmount], ['product', 'bxgy', 100]);
+    assert.equal(evaluateAutomaticDiscount(node, [{ ...lines[0], quantity: 2 }], 0, 'EGP'), null);
+});
+
+test('automatic free shipping covers rates up to its maximum', () => {
+    const node = automatic({
+        __typename: 'DiscountAutomaticFreeShipping',
+        maximumShippingPrice: { amount: '500.0' }
+    });
+
+    assert.equal(evaluateAutomaticDiscount(node, [dress], 100, 'EGP').discountAmount, 100);
+    assert.equal(evaluateAutomaticDiscount(node, [dress], 600, 'EGP'), null);
+    assert.equal(evaluateAutomaticDiscount(node, [dress], 0, 'EGP').discountAmount, 0);
+
+    const shipping = evaluateAutomaticDiscount(node, [dress], 3.5, 'OMR');
+    assert.deepEqual([shipping.target, shipping.discountAmount, shipping.maxShippingAmount], ['shipping', 3.5, 4]);
+    assert.equal(evaluateAutomaticDiscount(node, [dress], 4.125, 'OMR'), null);
+});
+
+const stacksWithAll = { orderDiscounts: true, productDiscounts: true, shippingDiscounts: true };
+
+function productDiscount(code, allocations, combinesWith = stacksWithAll) {
+    const discountAmount = allocations.reduce((sum, a) => sum + a.amount, 0);
+    return { code, target: 'line_items', discountClass: 'product', discountAmount, allocations, combinesWith };
+}
+
+function orderPercentage(code, percentage, lines, combinesWith = stacksWithAll) {
+    const rule = { value_type: 'percentage', value: String(-percentage) };
+    const allocations = allocateLineDiscount(rule, lines, lines.map((line, i) => i), egypt);
+    return {
+        code,
+        target: 'line_items',
+        discountClass: 'order',
+        discountAmount: allocations.reduce((sum, a) => sum + a.amount, 0),
+        allocations,
+        allocationMethod: 'across',
+        discountType: 'percentage',
+        value: rule.value,
+        combinesWith
+    };
+}
+
+function freeShipping(code, amount, combinesWith = stacksWithAll) {
+    return { code, target: 'shipping', discountClass: 'shipping', discountAmount: amount, allocations: [], combinesWith };
+}
+
+test('discounts stack only when each allows the other, and never two shipping discounts', () => {
+    const order = orderPercentage('ORDER', 10, [dress]);
+    const product = productDiscount('PRODUCT', [{ line: 0, amount: 100 }]);
+
+    assert.equal(discountsCombine(order, product), true);
+    assert.equal(discountsCombine(order, productDiscount('ALONE', [{ line: 0, amount: 100 }], { orderDiscounts: false, productDiscounts: true })), false);
+    assert.equal(discountsCombine(orderPercentage('PRODUCTS_ONLY', 10, [dress], { productDiscounts: true }), order), false);
+    assert.equal(discountsCombine(freeShipping('SHIP', 100), freeShipping('SHIPTOO', 100)), false);
+});
+
+test('each line keeps its best product discount, and order discounts apply to what is left', () => {
+    const lines = [dress, scarf];
+    const small = productDiscount('SMALL', [{ line: 0, amount: 250.1 }, { line: 1, amount: 10 }]);
+    const large = productDiscount('LARGE', [{ line: 0, amount: 500 }]);
+    const order = orderPercentage('ORDER', 10, lines);
+
+    const settled = settleDiscountAmounts([small, large, order, freeShipping('SHIP', 0)], lines, egypt);
+    const byCode = Object.fromEntries(settled.map(d => [d.code, d]));
+
+    assert.deepEqual(byCode.SMALL.allocations, [{ line: 1, amount: 10 }]);
+    assert.equal(byCode.SMALL.discountAmount, 10);
+    assert.equal(byCode.LARGE.discountAmount, 500);
+    // 10% of (2501 - 500) and of (99.99 - 10)
+    assert.deepEqual(summary(byCode.ORDER.allocations), [[0, 2, 200.1], [1, 1, 9]]);
+    assert.equal(byCode.ORDER.discountAmount, 209.1);
+    assert.ok(byCode.SHIP, 'shipping discounts are kept before a rate is chosen');
+});
+
+test('a product discount beaten on every line drops out', () => {
+    const settled = settleDiscountAmounts([
+        productDiscount('LARGE', [{ line: 0, amount: 500 }]),
+        productDiscount('SMALL', [{ line: 0, amount: 250.1 }])
+    ], [dress], egypt);
+    assert.deepEqual(settled.map(d => d.code), ['LARGE']);
+});
+
+test('codes apply in the order entered and the rest are rejected with a reason', () => {
+    const lines = [dress, scarf];
+    const alone = { orderDiscounts: false, productDiscounts: false, shippingDiscounts: true };
+    const { applied, rejected } = combineDiscounts([
+        orderPercentage('TEN', 10, lines, alone),
+        orderPercentage('TWENTY', 20, lines, alone),
+        freeShipping('SHIP', 100),
+        productDiscount('SMALL', [{ line: 1, amount: 5 }])
+    ], [], lines, egypt);
+
+    assert.deepEqual(applied.map(d => d.code), ['TEN', 'SHIP']);
+    assert.deepEqual(rejected, [
+        { code: 'TWENTY', reason: "TWENTY can't be combined with TEN" },
+        { code: 'SMALL', reason: "SMALL can't be combined with TEN" }
+    ]);
+});
+
+test('codes that add nothing once settled are rejected', () => {
+    const { applied, rejected } = combineDiscounts([
+        productDiscount('LARGE', [{ line: 0, amount: 500 }]),
+        productDiscount('SMALL', [{ line: 0, amount: 250.1 }])
+    ], [], [dress], egypt);
+
+    assert.deepEqual(applied.map(d => d.code), ['LARGE']);
+    assert.deepEqual(rejected, [{ code: 'SMALL', reason: "SMALL doesn't add to the discounts already applied" }]);
+});
+
+test('an automatic discount that saves more wins over codes it cannot stack with', () => {
+    const lines = [dress, scarf];
+    const alone = { orderDiscounts: false, productDiscounts: false, shippingDiscounts: false };
+    const summer = { ...orderPercentage(null, 20, lines, alone), automatic: true, title: 'Summer sale' };
+
+    const better = combineDiscounts([orderPercentage('TEN', 10, lines, alone)], [summer], lines, egypt);
+    assert.deepEqual(better.applied.map(d => d.title), ['Summer sale']);
+    assert.deepEqual(better.rejected, [{ code: 'TEN', reason: "TEN can't be combined with Summer sale" }]);
+
+    const worse = combineDiscounts([orderPercentage('THIRTY', 30, lines, alone)], [summer], lines, egypt);
+    assert.deepEqual(worse.applied.map(d => d.code), ['THIRTY']);
+    assert.deepEqual(worse.rejected, []);
+});
@@ -0,0 +1,78 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The file driver lets a second store stand in for another instance sharing the keys
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paymob-idempotency-'));
+process.env.STORE_DRIVER = 'file';
+process.env.STORE_FILE_DIR = storeDir;
+process.env.QUOTE_SIGNING_SECRET = 'test-secret';
+const { runIdempotent, createFileStore } = require('../server');
+
+after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+const ok = { status: 200, body: { success: true, orderId: 1 } };
+const body = { cartItems: [{ variantId: '1', quantity: 1 }] };
+
+function countingHandler(result) {
+    const handler = async () => {
+        handler.calls += 1;
+        return typeof result === 'function' ? result() : result;
+    };
+    handler.calls = 0;
+    return handler;
+}
+
+test('a completed key replays the stored response', async () => {
+    const handler = countingHandler(ok);
+    assert.deepEqual(await runIdempotent('key-completed', body, handler), ok);
+    assert.deepEqual(await runIdempotent('key-completed', body, handler), { ...ok, replayed: true });
+    assert.equal(handler.calls, 1);
+});
+
+test('a key reused for a different checkout is refused', async () => {
+    await runIdempotent('key-reused', body, countingHandler(ok));
+    const result = await runIdempotent('key-reused', { cartItems: [] }, countingHandler(ok));
+    assert.equal(result.status, 422);
+});
+
+test('a retry while the first request is running shares its result', async () => {
+    let finish;
+    const handler = countingHandler(() => new Promise(resolve => { finish = () => resolve(ok); }));
+    const first = runIdempotent('key-inflight', body, handler);
+    const second = runIdempotent('key-inflight', body, handler);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    finish();
+
+    assert.deepEqual(await first, ok);
+    assert.deepEqual(await second, { ...ok, replayed: true });
+    assert.equal(handler.calls, 1);
+});
+
+test('a key pending on another instance is waited on, then replayed', async () => {
+    const otherInstance = createFileStore('idempotency-keys');
+    const { createHash } = require('crypto');
+    const fingerprint = createHash('sha256').update(JSON.stringify(body)).digest('hex');
+    await otherInstance.set('key-elsewhere', { state: 'pending', fingerprint, startedAt: Date.now() }, 60 * 1000);
+    setTimeout(() => otherInstance.set('key-elsewhere', { state: 'completed', fingerprint, response: ok }, 60 * 1000), 300);
+
+    const handler = countingHandler(ok);
+    assert.deepEqual(await runIdempotent('key-elsewhere', body, handler), { ...ok, replayed: true });
+    assert.equal(handler.calls, 0);
+});
+
+test('a refused or failed request releases the key for a retry', async () => {
+    const refused = { status: 400, body: { success: false, error: 'Cart is empty' } };
+    const refusing = countingHandler(refused);
+    assert.deepEqual(await runIdempotent('key-refused', body, refusing), refused);
+    assert.deepEqual(await runIdempotent('key-refused', body, refusing), refused);
+    assert.equal(refusing.calls, 2);
+
+    const throwing = countingHandler(() => { throw new Error('Shopify is down'); });
+    await assert.rejects(runIdempotent('key-failed', body, throwing), /Shopify is down/);
+    const handler = countingHandler(ok);
+    assert.deepEqual(await runIdempotent('key-failed', body, handler), ok);
+    assert.equal(handler.calls, 1);
+});
@@ -0,0 +1,191 @@
+const { test, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+process.env.QUOTE_SIGNING_SECRET = 'test-secret';
+for (const key of Object.keys(process.env).filter(key => /^(KLAVIYO_|SMTP_|NOTIFICATION_|TEXT_NOTIFICATION_|WHATSAPP_|TWILIO_)/.test(key)))
+    delete process.env[key];
+const { sendNotification, sendTextNotification } = require('../server');
+
+const notificationsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paymob-notifications-'));
+process.env.NOTIFICATIONS_FILE_DIR = notificationsDir;
+after(() => fs.rmSync(notificationsDir, { recursive: true, force: true }));
+
+// The providers log every message; keep the test report to the results
+for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+beforeEach(() => console.warn.mock.resetCalls());
+
+const confirmation = {
+    email: 'shopper@example.com',
+    firstName: 'Mona',
+    orderNumber: 1042,
+    totalAmount: 2600.99,
+    currency: 'EGP',
+    items: [{ name: 'Dress', quantity: 2, price: 1250.5 }, { name: 'Scarf', quantity: 1, price: 99.99 }]
+};
+const shipped = { phone: '+201001234567', firstName: 'Mona', orderNumber: 1042, trackingUrl: 'https://track.example/1042' };
+const shippedText = 'Hi Mona, your Nazeerah order #1042 is on its way. Track it here: https://track.example/1042';
+const paymentFailed = { email: 'shopper@example.com', draftOrderId: 77, totalAmount: 500, currency: 'EGP', reason: 'Card declined' };
+
+function withEnv(t, vars) {
+    const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+    Object.assign(process.env, vars);
+    t.after(() => {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+}
+
+test('providers missing their env are passed over and the result says why', async () => {
+    assert.deepEqual(await sendNotification('orderConfirmation', confirmation), {
+        skipped: true,
+        reason: 'klaviyo: missing KLAVIYO_API_KEY'
+    });
+    assert.deepEqual(await sendNotification('orderConfirmation', confirmation, { providerNames: ['klaviyo', 'smtp'] }), {
+        skipped: true,
+        reason: 'klaviyo: missing KLAVIYO_API_KEY; smtp: missing SMTP_HOST, NOTIFICATION_FROM'
+    });
+    assert.deepEqual(await sendNotification('orderConfirmation', confirmation, { providerNames: [] }), {
+        skipped: true,
+        reason: 'No notification providers configured'
+    });
+    assert.deepEqual(await sendNotification('orderConfirmation', { ...confirmation, email: '' }, { providerNames: ['console'] }), {
+        skipped: true,
+        reason: 'Missing customer email'
+    });
+});
+
+test('the first provider that can deliver does, and writes the rendered email', async () => {
+    const result = await sendNotification('orderConfirmation', confirmation, { providerNames: ['klaviyo', 'file', 'console'] });
+
+    assert.equal(result.provider, 'file');
+    assert.ok(result.file.startsWith(notificationsDir));
+    assert.match(fs.readFileSync(result.file, 'utf8'), /Order #1042 confirmed/);
+    const written = JSON.parse(fs.readFileSync(result.file.replace(/\.html$/, '.json'), 'utf8'));
+    assert.equal(written.to, 'shopper@example.com');
+    assert.equal(written.subject, 'Order #1042 confirmed');
+    assert.match(written.text, /Total: /);
+});
+
+test('a provider that throws falls through to the next one', async (t) => {
+    // A file where the directory should be, so the file provider can't write
+    const blocked = path.join(notificationsDir, 'blocked');
+    fs.writeFileSync(blocked, '');
+    withEnv(t, { NOTIFICATIONS_FILE_DIR: path.join(blocked, 'inside') });
+
+    const result = await sendNotification('paymentFailed', paymentFailed, { providerNames: ['pigeon', 'file', 'console'] });
+    assert.deepEqual(result, { sent: true, provider: 'console' });
+    assert.match(console.warn.mock.calls[0].arguments[0], /paymentFailed for shopper@example.com delivered by console after: pigeon: unknown provider; file: /);
+});
+
+test('only when every provider fails does sending throw, so the outbox retries it', async (t) => {
+    withEnv(t, { KLAVIYO_API_KEY: 'pk_test' });
+    const post = mock.method(axios, 'post', async () => {
+        throw Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, data: { errors: ['unavailable'] } } });
+    });
+    t.after(() => post.mock.restore());
+
+    await assert.rejects(
+        sendNotification('orderConfirmation', confirmation, { providerNames: ['klaviyo', 'pigeon'] }),
+        /^Error: No provider delivered orderConfirmation: klaviyo: \{"errors":\["unavailable"\]\}; pigeon: unknown provider$/
+    );
+    assert.equal((await sendNotification('orderConfirmation', confirmation, { providerNames: ['klaviyo', 'console'] })).provider, 'console');
+});
+
+test('a provider that skips a type passes it on without counting as a failure', async (t) => {
+    withEnv(t, { KLAVIYO_API_KEY: 'pk_test' });
+    const post = mock.method(axios, 'post', async () => ({ data: {} }));
+    t.after(() => post.mock.restore());
+
+    assert.deepEqual(await sendNotification('paymentFailed', paymentFailed, { providerNames: ['klaviyo'] }), {
+        skipped: true,
+        reason: 'klaviyo: KLAVIYO_PAYMENT_FAILED_EVENT not enabled'
+    });
+    assert.equal((await sendNotification('paymentFailed', paymentFailed, { providerNames: ['klaviyo', 'console'] })).provider, 'console');
+    assert.equal(post.mock.callCount(), 0);
+    assert.equal(console.warn.mock.callCount(), 0);
+});
+
+test('the chain comes from NOTIFICATION_PROVIDERS, overridden per type', async (t) => {
+    withEnv(t, { NOTIFICATION_PROVIDERS: 'smtp, Console', NOTIFICATION_PROVIDERS_PAYMENT_FAILED: 'file' });
+
+    assert.equal((await sendNotification('orderConfirmation', confirmation)).provider, 'console');
+    assert.equal((await sendNotification('paymentFailed', paymentFailed)).provider, 'file');
+    await assert.rejects(sendNotification('shippingUpdate', confirmation), /Unknown notification type "shippingUpdate"/);
+});
+
+const whatsappEnv = { WHATSAPP_PHONE_NUMBER_ID: '1234', WHATSAPP_ACCESS_TOKEN: 'wa_test' };
+const twilioEnv = { TWILIO_ACCOUNT_SID: 'AC123', TWILIO_AUTH_TOKEN: 'tw_test', TWILIO_SMS_FROM: '+15550001111' };
+
+test('text notifications are off until a chain is configured, and need a phone', async () => {
+    assert.deepEqual(await sendTextNotification('shipped', shipped), { skipped: true, reason: 'No text notification providers configured' });
+    assert.deepEqual(await sendTextNotification('shipped', { ...shipped, phone: null }, { providerNames: ['console'] }), {
+        skipped: true,
+        reason: 'Missing customer phone'
+    });
+    assert.deepEqual(await sendTextNotification('shipped', shipped, { providerNames: ['whatsapp', 'sms'] }), {
+        skipped: true,
+        reason: 'whatsapp: missing WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_ACCESS_TOKEN; sms: missing TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_SMS_FROM'
+    });
+});
+
+test('WhatsApp sends the type\'s template, and passes types without one on', async (t) => {
+    withEnv(t, { ...whatsappEnv, WHATSAPP_TEMPLATE_SHIPPED: 'order_shipped' });
+    const post = mock.method(axios, 'post', async () => ({ data: { messages: [{ id: 'wamid.1' }] } }));
+    t.after(() => post.mock.restore());
+
+    assert.deepEqual(await sendTextNotification('shipped', { ...shipped, trackingUrl: null }, { providerNames: ['whatsapp', 'console'] }), {
+        sent: true,
+        messageId: 'wamid.1',
+        provider: 'whatsapp'
+    });
+    const [url, body] = post.mock.calls[0].arguments;
+    assert.equal(url, 'https://graph.facebook.com/v21.0/1234/messages');
+    assert.equal(body.to, '201001234567');
+    assert.equal(body.template.name, 'order_shipped');
+    assert.deepEqual(body.template.components[0].parameters.map(p => p.text), ['Mona', '1042', '-']);
+
+    const result = await sendTextNotification('codConfirmation', { ...shipped, totalAmount: 500, currency: 'EGP' }, { providerNames: ['whatsapp', 'file'] });
+    assert.equal(result.provider, 'file');
+    assert.equal(post.mock.callCount(), 1);
+    const written = JSON.parse(fs.readFileSync(result.file, 'utf8'));
+    assert.equal(written.to, '+201001234567');
+    assert.match(written.text, /^Hi Mona, your Nazeerah order #1042 is confirmed\. Please have .*500.* ready in cash when it arrives\.$/);
+});
+
+test('a failed WhatsApp message falls back to SMS, and failing both throws', async (t) => {
+    withEnv(t, { ...whatsappEnv, ...twilioEnv, WHATSAPP_TEMPLATE_SHIPPED: 'order_shipped' });
+    let twilioUp = true;
+    const post = mock.method(axios, 'post', async (url) => {
+        if (url.startsWith('https://api.twilio.com/') && twilioUp) return { data: { sid: 'SM1' } };
+        throw Object.assign(new Error('Request failed with status code 400'), { response: { status: 400, data: { error: 'rejected' } } });
+    });
+    t.after(() => post.mock.restore());
+
+    assert.deepEqual(await sendTextNotification('shipped', shipped, { providerNames: ['whatsapp', 'sms'] }), { sent: true, messageId: 'SM1', provider: 'sms' });
+    const [url, body] = post.mock.calls[1].arguments;
+    assert.equal(url, 'https://api.twilio.com/2010-04-01/Accounts/AC123/Messages.json');
+    assert.deepEqual(Object.fromEntries(new URLSearchParams(body)), { To: '+201001234567', From: '+15550001111', Body: shippedText });
+    assert.match(console.warn.mock.calls[0].arguments[0], /delivered by sms after: whatsapp: \{"error":"rejected"\}/);
+
+    twilioUp = false;
+    await assert.rejects(
+        sendTextNotification('shipped', shipped, { providerNames: ['whatsapp', 'sms'] }),
+        /^Error: No provider delivered shipped: whatsapp: \{"error":"rejected"\}; sms: \{"error":"rejected"\}$/
+    );
+});
+
+test('the text chain comes from TEXT_NOTIFICATION_PROVIDERS, overridden per type', async (t) => {
+    withEnv(t, { TEXT_NOTIFICATION_PROVIDERS: 'console', TEXT_NOTIFICATION_PROVIDERS_SHIPPED: 'sms,file' });
+
+    assert.deepEqual(await sendTextNotification('paymentConfirmed', { ...shipped, totalAmount: 500, currency: 'EGP' }), { sent: true, provider: 'console' });
+    const result = await sendTextNotification('shipped', shipped);
+    assert.equal(result.provider, 'file');
+    assert.equal(JSON.parse(fs.readFileSync(result.file, 'utf8')).text, shippedText);
+    await assert.rejects(sendTextNotification('delivered', shipped), /Unknown text notification type "delivered"/);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.QUOTE_SIGNING_SECRET = 'test-secret';
+const { enqueueOutboxJob, listOutboxJobs, retryOutboxJob } = require('../server');
+
+// The job once its first attempt (scheduled after enqueueOutboxJob returns) has run
+async function settled(jobId) {
+    for (let i = 0; i < 50; i++) {
+        const [job] = await listOutboxJobs(j => j.id === jobId);
+        if (job.attempts > 0) return job;
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    throw new Error(`Outbox job ${jobId} never ran`);
+}
+
+test('enqueueing stores the job and runs it after returning', async () => {
+    const job = await enqueueOutboxJob('checkout.complete', { checkoutId: 'unknown-checkout' }, { id: 'test-complete' });
+    assert.equal(job.state, 'pending');
+    assert.equal(job.attempts, 0);
+
+    const ran = await settled('test-complete');
+    assert.equal(ran.state, 'done');
+
+    const again = await enqueueOutboxJob('checkout.complete', { checkoutId: 'unknown-checkout' }, { id: 'test-complete' });
+    assert.equal(again.state, 'done');
+    assert.equal(again.attempts, 1);
+});
+
+test('only dead or failed jobs can be retried', async () => {
+    await enqueueOutboxJob('checkout.complete', { checkoutId: 'unknown-checkout' }, { id: 'test-done' });
+    const waiting = await enqueueOutboxJob('checkout.complete', { checkoutId: 'unknown-checkout' }, { id: 'test-waiting' });
+    assert.deepEqual(await retryOutboxJob('test-waiting'), { job: waiting, retried: false });
+
+    const done = await settled('test-done');
+    assert.deepEqual(await retryOutboxJob('test-done'), { job: done, retried: false });
+
+    await enqueueOutboxJob('notify.text', { type: 'unknown-type', phone: '+201001234567' }, { id: 'test-failed' });
+    const failed = await settled('test-failed');
+    assert.equal(failed.state, 'pending');
+    assert.ok(failed.lastError);
+
+    const retried = await retryOutboxJob('test-failed');
+    assert.equal(retried.retried, true);
+    assert.equal(retried.job.attempts, 1);
+
+    assert.equal(await retryOutboxJob('missing'), null);
+});
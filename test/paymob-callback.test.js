@@ -0,0 +1,241 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+
+process.env.QUOTE_SIGNING_SECRET = 'test-secret';
+process.env.SHOPIFY_STORE_DOMAIN = 'shop.example.com';
+process.env.SHOPIFY_ADMIN_ACCESS_TOKEN = 'shpat_test';
+process.env.PAYMOB_HMAC = 'hmac-test';
+const {
+    app,
+    recordLedgerTransaction,
+    findLedgerTransactionByDraftOrder,
+    findLedgerTransactionByShopifyOrder,
+    claimLedgerEvent,
+    completeLedgerEvent,
+    releaseLedgerEvent,
+    classifyPaymobTransaction
+} = require('../server');
+
+// The handlers log every step; keep the test report to the results
+for (const level of ['log', 'warn', 'error']) mock.method(console, level, () => {});
+
+// A Shopify admin API with just the draft orders and orders the callback touches
+const shopify = { records: new Map(), completed: [] };
+
+function shopifyPath(url) {
+    return new URL(url).pathname.replace('/admin/api/2025-01/', '');
+}
+
+function notFound() {
+    return Object.assign(new Error('Request failed with status code 404'), { response: { status: 404, data: { errors: 'Not Found' } } });
+}
+
+mock.method(axios, 'get', async (url) => {
+    const record = shopify.records.get(shopifyPath(url));
+    if (!record) throw notFound();
+    return { data: { [shopifyPath(url).startsWith('draft_orders') ? 'draft_order' : 'order']: record } };
+});
+
+mock.method(axios, 'put', async (url, body) => {
+    const path = shopifyPath(url);
+    const completing = path.match(/^draft_orders\/(\d+)\/complete\.json$/);
+    if (completing) {
+        shopify.completed.push(completing[1]);
+        const orderId = 9000 + shopify.completed.length;
+        shopify.records.set(`orders/${orderId}.json`, { id: orderId, order_number: 1000 + shopify.completed.length, tags: '', note_attributes: [] });
+        return { data: { draft_order: { id: Number(completing[1]), order_id: orderId } } };
+    }
+    if (!shopify.records.has(path)) throw notFound();
+    const [key] = Object.keys(body);
+    const updated = { ...shopify.records.get(path), ...body[key] };
+    shopify.records.set(path, updated);
+    return { data: { [key]: updated } };
+});
+
+mock.method(axios, 'post', async (url) => {
+    if (shopifyPath(url) === 'graphql.json') return { data: { data: { draftOrderUpdate: { draftOrder: null, userErrors: [] } } } };
+    throw notFound();
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    shopify.records.clear();
+    shopify.completed.length = 0;
+});
+
+let nextTransactionId = 100;
+
+function transaction(fields = {}) {
+    return {
+        id: nextTransactionId++,
+        amount_cents: 50000,
+        currency: 'EGP',
+        success: false,
+        pending: false,
+        is_voided: false,
+        is_refunded: false,
+        error_occured: false,
+        source_data: { type: 'card', sub_type: 'Visa', pan: '1234' },
+        order: { id: 77, merchant_order_id: '555' },
+        ...fields
+    };
+}
+
+function sign(txn) {
+    const order = typeof txn.order === 'object' ? txn.order.id : txn.order;
+    const fields = [
+        txn.amount_cents, txn.created_at, txn.currency, txn.error_occured,
+        txn.has_parent_transaction, txn.id, txn.integration_id, txn.is_3d_secure,
+        txn.is_auth, txn.is_capture, txn.is_refunded, txn.is_standalone_payment,
+        txn.is_voided, order, txn.owner, txn.pending,
+        txn.source_data.pan, txn.source_data.sub_type, txn.source_data.type,
+        txn.success
+    ];
+    return crypto.createHmac('sha512', 'hmac-test')
+        .update(fields.map(v => (v === undefined || v === null ? '' : String(v))).join(''))
+        .digest('hex');
+}
+
+async function callback(txn, hmac = sign(txn)) {
+    const res = await fetch(`${baseUrl}/api/paymob/callback?hmac=${hmac}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type: 'TRANSACTION', obj: txn })
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+function draftOrder(id = 555) {
+    shopify.records.set(`draft_orders/${id}.json`, { id, tags: 'paymob-pending', note_attributes: [], email: 'shopper@example.com' });
+}
+
+function tagsOf(path) {
+    return String(shopify.records.get(path)?.tags || '').split(',').filter(Boolean);
+}
+
+test('Paymob transactions are classified by their flags', () => {
+    assert.equal(classifyPaymobTransaction({ success: true }), 'paid');
+    assert.equal(classifyPaymobTransaction({ success: 'true' }), 'paid');
+    assert.equal(classifyPaymobTransaction({ success: false, pending: true }), 'pending');
+    assert.equal(classifyPaymobTransaction({ success: false, pending: false }), 'failed');
+    assert.equal(classifyPaymobTransaction({ success: true, is_voided: true }), 'voided');
+    assert.equal(classifyPaymobTransaction({ success: true, is_refunded: 'true' }), 'refunded');
+    assert.equal(classifyPaymobTransaction({ success: true, is_refund: true }), 'refunded');
+});
+
+test('the ledger merges records and finds them by draft order and Shopify order', async () => {
+    await recordLedgerTransaction('t1', { shopifyDraftOrderId: 'd1', amountCents: 1000 });
+    await recordLedgerTransaction('t1', { shopifyOrderId: 'o1', state: 'paid' });
+
+    const record = await findLedgerTransactionByDraftOrder('d1');
+    assert.equal(record.transactionId, 't1');
+    assert.equal(record.amountCents, 1000);
+    assert.equal(record.state, 'paid');
+    assert.equal((await findLedgerTransactionByShopifyOrder('o1')).transactionId, 't1');
+
+    // A later transaction for the same draft doesn't take over the one that made the order
+    await recordLedgerTransaction('t2', { shopifyDraftOrderId: 'd1' });
+    assert.equal((await findLedgerTransactionByDraftOrder('d1')).transactionId, 't1');
+});
+
+test('a ledger event is claimed once, until it is released', async () => {
+    assert.equal(await claimLedgerEvent('t3', 'paid'), 'claimed');
+    assert.equal(await claimLedgerEvent('t3', 'paid'), 'processing');
+    await releaseLedgerEvent('t3', 'paid');
+    assert.equal(await claimLedgerEvent('t3', 'paid'), 'claimed');
+    await completeLedgerEvent('t3', 'paid');
+    assert.equal(await claimLedgerEvent('t3', 'paid'), 'done');
+});
+
+test('callbacks with a bad HMAC are refused', async () => {
+    const txn = transaction({ success: true });
+    const { status } = await callback(txn, 'f'.repeat(128));
+    assert.equal(status, 400);
+    assert.equal(shopify.completed.length, 0);
+});
+
+test('a paid callback completes the draft once, however often Paymob repeats it', async () => {
+    draftOrder();
+    const txn = transaction({ success: true });
+
+    assert.deepEqual((await callback(txn)).body, { received: true });
+    assert.deepEqual((await callback(txn)).body, { received: true, duplicate: true });
+    assert.deepEqual(shopify.completed, ['555']);
+
+    const record = await findLedgerTransactionByDraftOrder('555');
+    assert.equal(record.transactionId, String(txn.id));
+    assert.equal(record.shopifyOrderId, '9001');
+});
+
+test('a second payment for an already completed draft is ignored', async () => {
+    draftOrder(560);
+    const order = { id: 82, merchant_order_id: '560' };
+    const first = transaction({ success: true, order });
+    await callback(first);
+    const second = transaction({ success: true, order });
+
+    assert.deepEqual((await callback(second)).body, { received: true, duplicate: true });
+    assert.deepEqual(shopify.completed, ['560']);
+    assert.equal((await findLedgerTransactionByDraftOrder('560')).transactionId, String(first.id));
+});
+
+test('a declined callback tags the draft once', async () => {
+    draftOrder(556);
+    const txn = transaction({ order: { id: 78, merchant_order_id: '556' }, data: { message: 'Insufficient funds' } });
+
+    assert.deepEqual((await callback(txn)).body, { received: true, outcome: 'failed' });
+    assert.ok(tagsOf('draft_orders/556.json').includes('paymob-failed'));
+    const note = shopify.records.get('draft_orders/556.json').note;
+
+    assert.deepEqual((await callback(txn)).body, { received: true, outcome: 'failed', duplicate: true });
+    assert.equal(shopify.records.get('draft_orders/556.json').note, note);
+    assert.equal((await findLedgerTransactionByDraftOrder('556')).state, 'declined');
+});
+
+test('a pending callback only records the transaction', async () => {
+    const txn = transaction({ pending: true, order: { id: 79, merchant_order_id: '557' } });
+    assert.deepEqual((await callback(txn)).body, { received: true, outcome: 'pending' });
+    assert.equal((await findLedgerTransactionByDraftOrder('557')).state, 'pending');
+});
+
+test('a void marks the order the transaction paid for', async () => {
+    draftOrder(558);
+    const paid = transaction({ success: true, order: { id: 80, merchant_order_id: '558' } });
+    await callback(paid);
+    const orderPath = `orders/${9000 + shopify.completed.length}.json`;
+
+    const voided = { ...paid, is_voided: true };
+    assert.deepEqual((await callback(voided)).body, { received: true, outcome: 'voided' });
+    assert.ok(tagsOf(orderPath).includes('paymob-voided'));
+    assert.deepEqual((await callback(voided)).body, { received: true, outcome: 'voided', duplicate: true });
+});
+
+test('each new refunded amount marks the order once', async () => {
+    draftOrder(559);
+    const paid = transaction({ success: true, order: { id: 81, merchant_order_id: '559' } });
+    await callback(paid);
+    const orderPath = `orders/${9000 + shopify.completed.length}.json`;
+    const refundedAmount = () => shopify.records.get(orderPath).note_attributes.find(a => a.name === 'paymob_refunded_amount')?.value;
+
+    const partial = { ...paid, is_refunded: true, refunded_amount_cents: 10000 };
+    assert.deepEqual((await callback(partial)).body, { received: true, outcome: 'refunded' });
+    assert.ok(tagsOf(orderPath).includes('paymob-refunded'));
+    assert.equal(refundedAmount(), '100.00');
+    assert.deepEqual((await callback(partial)).body, { received: true, outcome: 'refunded', duplicate: true });
+
+    assert.deepEqual((await callback({ ...partial, refunded_amount_cents: 50000 })).body, { received: true, outcome: 'refunded' });
+    assert.equal(refundedAmount(), '500.00');
+    assert.equal((await findLedgerTransactionByDraftOrder('559')).refundedAmountCents, 50000);
+});
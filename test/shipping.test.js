@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.QUOTE_SIGNING_SECRET = 'test-secret';
+// Two markets on the shared (Egypt) shipping config: one with a shop-currency rate, one without
+process.env.MARKETS_JSON = JSON.stringify({
+    eg: { id: 'eg', currency: 'EGP', envSuffix: '', minorUnits: 2 },
+    ae: { id: 'ae', currency: 'AED', envSuffix: '', minorUnits: 2, shopCurrencyRate: 0.075 },
+    sa: { id: 'sa', currency: 'SAR', envSuffix: '', minorUnits: 2 }
+});
+const { getShippingOptions, applyShippingDiscount, selectShippingOption } = require('../server');
+
+const egypt = { id: 'eg', currency: 'EGP', envSuffix: '', minorUnits: 2 };
+const oman = {
+    id: 'om', currency: 'OMR', envSuffix: 'OM', minorUnits: 3,
+    shipping: {
+        defaultZone: 'oman',
+        zones: [{ id: 'oman', name: 'Oman', governorates: ['Muscat', 'Dhofar'] }],
+        methods: [{ id: 'standard', title: 'Standard Shipping', rates: { oman: { base: 4.125, includedKg: 2, perExtraKg: 1.05 } } }]
+    }
+};
+
+const summary = (options) => options.map(o => [o.id, o.amount]);
+
+test('rates come from the governorate zone, cheapest first', () => {
+    assert.deepEqual(summary(getShippingOptions({ governorate: 'Cairo', weightGrams: 1500, subtotal: 0, market: egypt })), [['standard', 100], ['express', 180]]);
+    assert.deepEqual(summary(getShippingOptions({ governorate: 'Alexandria', weightGrams: 0, subtotal: 0, market: egypt })), [['standard', 100], ['express', 220]]);
+
+    const [upper] = getShippingOptions({ governorate: 'Aswan', weightGrams: 0, subtotal: 0, market: egypt });
+    assert.deepEqual(upper, { id: 'standard', title: 'Standard Shipping', description: '2 to 8 business days', zone: 'upper_egypt', originalAmount: 130, amount: 130, discountAmount: 0, discountTitle: null });
+});
+
+test('governorate names are matched loosely and unknown ones use the default zone', () => {
+    assert.equal(getShippingOptions({ governorate: 'Kafr el-Sheikh Governorate', weightGrams: 0, subtotal: 0, market: egypt })[0].zone, 'delta_canal');
+    assert.equal(getShippingOptions({ governorate: 'Atlantis', weightGrams: 0, subtotal: 0, market: egypt })[0].zone, 'delta_canal');
+});
+
+test('every started kilogram over the included weight is charged', () => {
+    const [standard] = getShippingOptions({ governorate: 'Giza', weightGrams: 3200, subtotal: 0, market: egypt });
+    assert.equal(standard.amount, 100 + 2 * 15);
+});
+
+test('methods are left out where they have no rate or the cart is too heavy', () => {
+    assert.deepEqual(summary(getShippingOptions({ governorate: 'Red Sea', weightGrams: 0, subtotal: 0, market: egypt })), [['standard', 150]]);
+    assert.deepEqual(summary(getShippingOptions({ governorate: 'Cairo', weightGrams: 10500, subtotal: 0, market: egypt })), [['standard', 100 + 9 * 15]]);
+});
+
+test('a market with its own shipping config is priced in its minor unit', () => {
+    assert.deepEqual(summary(getShippingOptions({ governorate: 'Muscat', weightGrams: 2500, subtotal: 0, market: oman })), [['standard', 5.175]]);
+});
+
+test('the chosen method is priced server-side, standard by default', () => {
+    assert.equal(selectShippingOption({ governorate: 'Cairo', weightGrams: 0, subtotal: 0, method: 'EXPRESS', market: egypt }).amount, 180);
+    assert.equal(selectShippingOption({ governorate: 'Cairo', weightGrams: 0, subtotal: 0, market: egypt }).id, 'standard');
+    assert.equal(selectShippingOption({ governorate: 'Aswan', weightGrams: 0, subtotal: 0, method: 'express', market: egypt }), null);
+});
+
+function withEnv(t, vars) {
+    const saved = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]));
+    Object.assign(process.env, vars);
+    t.after(() => {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+}
+
+test('a free-shipping rule makes its methods free from the minimum subtotal', () => {
+    const market = { ...oman, shipping: { ...oman.shipping, freeShipping: [{ minSubtotal: 20, methods: ['standard'], zones: ['oman'] }] } };
+
+    assert.equal(getShippingOptions({ governorate: 'Muscat', weightGrams: 0, subtotal: 19.999, market })[0].amount, 4.125);
+    const [free] = getShippingOptions({ governorate: 'Muscat', weightGrams: 0, subtotal: 20, market });
+    assert.deepEqual([free.originalAmount, free.amount, free.discountAmount, free.discountTitle], [4.125, 0, 4.125, 'Free shipping over 20 OMR']);
+
+    const otherZone = { ...market, shipping: { ...market.shipping, freeShipping: [{ minSubtotal: 20, zones: ['salalah'] }] } };
+    assert.equal(getShippingOptions({ governorate: 'Muscat', weightGrams: 0, subtotal: 50, market: otherZone })[0].amount, 4.125);
+});
+
+test('FREE_SHIPPING_MIN_SUBTOTAL makes standard shipping free, but not express', (t) => {
+    withEnv(t, { FREE_SHIPPING_MIN_SUBTOTAL: '1500' });
+    assert.deepEqual(summary(getShippingOptions({ governorate: 'Cairo', weightGrams: 0, subtotal: 1499, market: egypt })), [['standard', 100], ['express', 180]]);
+    assert.deepEqual(summary(getShippingOptions({ governorate: 'Cairo', weightGrams: 0, subtotal: 1500, market: egypt })), [['standard', 0], ['express', 180]]);
+});
+
+test('shop-currency thresholds are converted for other markets, or dropped without a rate', (t) => {
+    withEnv(t, { FREE_SHIPPING_MIN_SUBTOTAL: '1500' });
+    const emirates = { id: 'ae', currency: 'AED', envSuffix: '', minorUnits: 2, shopCurrencyRate: 0.075 };
+    const [standard] = getShippingOptions({ governorate: 'Cairo', weightGrams: 0, subtotal: 112.5, market: emirates });
+    assert.equal(standard.amount, 0);
+    assert.equal(standard.discountTitle, 'Free shipping over 112.5 AED');
+
+    const saudi = { id: 'sa', currency: 'SAR', envSuffix: '', minorUnits: 2 };
+    assert.equal(getShippingOptions({ governorate: 'Cairo', weightGrams: 0, subtotal: 100000, market: saudi })[0].amount, 100);
+});
+
+test('shipping discount codes come off the rate, never below zero', () => {
+    const [standard] = getShippingOptions({ governorate: 'Muscat', weightGrams: 0, subtotal: 0, market: oman });
+
+    const half = applyShippingDiscount(standard, standard.amount / 2, 'HALFSHIP', oman);
+    assert.deepEqual([half.amount, half.discountAmount, half.discountTitle], [2.062, 2.063, 'HALFSHIP']);
+
+    const free = applyShippingDiscount(half, 10, 'FREESHIP', oman);
+    assert.deepEqual([free.amount, free.discountAmount, free.discountTitle], [0, 4.125, 'HALFSHIP, FREESHIP']);
+    assert.equal(free.originalAmount, 4.125);
+
+    const express = selectShippingOption({ governorate: 'Cairo', weightGrams: 0, subtotal: 0, method: 'express', market: egypt });
+    assert.equal(applyShippingDiscount(express, 30.555, 'SHIP30', egypt).amount, 149.44);
+});
@@ -0,0 +1,80 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.QUOTE_SIGNING_SECRET = 'test-secret';
+const { createMemoryStore, createFileStore } = require('../server');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paymob-store-'));
+process.env.STORE_FILE_DIR = storeDir;
+after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+for (const [driver, create] of [['memory', () => createMemoryStore()], ['file', (namespace) => createFileStore(namespace)]]) {
+    test(`${driver} store: set, get, take and delete`, async () => {
+        const store = create('basics');
+        assert.equal(store.driver, driver);
+        assert.equal(await store.get('missing'), null);
+
+        await store.set('session:1', { cart: [1, 2] });
+        assert.deepEqual(await store.get('session:1'), { cart: [1, 2] });
+        assert.deepEqual(await store.keys(), ['session:1']);
+
+        assert.deepEqual(await store.take('session:1'), { cart: [1, 2] });
+        assert.equal(await store.take('session:1'), null);
+        assert.equal(await store.get('session:1'), null);
+
+        await store.set('session:2', 'value');
+        await store.delete('session:2');
+        assert.equal(await store.get('session:2'), null);
+    });
+
+    test(`${driver} store: setIfAbsent only claims a key that isn't live`, async () => {
+        const store = create('claims');
+        assert.equal(await store.setIfAbsent('lock', 'first'), true);
+        assert.equal(await store.setIfAbsent('lock', 'second'), false);
+        assert.equal(await store.get('lock'), 'first');
+
+        assert.equal(await store.setIfAbsent('short-lock', 'first', 1), true);
+        await sleep(5);
+        assert.equal(await store.setIfAbsent('short-lock', 'second'), true);
+        assert.equal(await store.get('short-lock'), 'second');
+    });
+
+    test(`${driver} store: expired entries are never returned and are swept`, async () => {
+        const store = create('expiry');
+        await store.set('expiring', 'soon', 1);
+        await store.set('expiring-too', 'soon', 1);
+        await store.set('lasting', 'later', 60 * 1000);
+        await sleep(5);
+
+        assert.equal(await store.get('expiring'), null);
+        assert.equal(await store.take('expiring-too'), null);
+        await store.set('expiring', 'soon', 1);
+        await sleep(5);
+        assert.equal(await store.sweep(), 1);
+        assert.deepEqual(await store.keys(), ['lasting']);
+        assert.equal(await store.get('lasting'), 'later');
+    });
+}
+
+test('file store: the sweep removes temp and taken files a crashed process left behind', async () => {
+    const store = createFileStore('orphans');
+    const dir = path.join(storeDir, 'orphans');
+    await store.set('kept', 'value');
+
+    const old = (Date.now() - 11 * 60 * 1000) / 1000;
+    for (const name of ['kept.json.123.1.tmp', 'gone.json.123.1.taken']) {
+        fs.writeFileSync(path.join(dir, name), '{}');
+        fs.utimesSync(path.join(dir, name), old, old);
+    }
+    // A write or take still in progress in another process
+    fs.writeFileSync(path.join(dir, 'busy.json.456.2.tmp'), '{}');
+
+    assert.equal(await store.sweep(), 2);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['busy.json.456.2.tmp', 'kept.json']);
+    assert.equal(await store.get('kept'), 'value');
+});